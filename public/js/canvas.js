@@ -1,6 +1,9 @@
 /**
  * Canvas Drawing Controller for Draw It Or Lose It
  * Handles HTML5 Canvas drawing functionality with real-time features
+ * Drawings are vector strokes (id, tool, color, width, timed points) streamed
+ * through the server, so every client renders the same strokes the same way
+ * Undo and redo are applied by the server, which sends the resulting strokes back
  */
 
 class CanvasController {
@@ -10,9 +13,18 @@ class CanvasController {
         this.isDrawing = false;
         this.currentColor = '#000000';
         this.brushSize = 3;
-        this.drawingHistory = [];
-        this.historyIndex = -1;
         this.lastPoint = null;
+        this.socket = null;
+        this.strokes = [];
+        this.strokesById = new Map();
+        this.currentStroke = null;
+        this.strokeStartedAt = 0;
+        this.strokeCounter = 0;
+        this.pendingPoints = [];
+        this.flushTimer = null;
+        this.drawingEnabled = false;
+        this.canUndo = false;
+        this.canRedo = false;
         
         this.initializeCanvas();
         this.bindCanvasEvents();
@@ -33,6 +45,25 @@ class CanvasController {
         this.bindColorEvents();
         this.bindBrushEvents();
         this.bindActionEvents();
+        this.bindSocketEvents();
+    }
+
+    /**
+     * Bind stroke events relayed by the server
+     */
+    bindSocketEvents() {
+        const socket = window.gameController ? window.gameController.socket : null;
+        if (!socket) return;
+
+        this.socket = socket;
+        socket.on('canvasState', (data) => {
+            this.loadStrokes(data.strokes);
+            this.setHistoryState(data.canUndo, data.canRedo);
+        });
+        socket.on('strokeStart', (data) => this.addRemoteStroke(data.stroke));
+        socket.on('strokePoints', (data) => this.appendRemotePoints(data.id, data.points));
+        socket.on('canvasCleared', () => this.clearStrokes());
+        socket.on('roundStarted', () => this.reset());
     }
 
     /**
@@ -52,9 +83,6 @@ class CanvasController {
         // Set white background
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Save initial state
-        this.saveState();
     }
 
     /**
@@ -124,52 +152,207 @@ class CanvasController {
         if (undoBtn) {
             undoBtn.addEventListener('click', () => this.undoLast());
         }
+
+        // Redo the last undone action
+        const redoBtn = document.getElementById('redoLast');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redoLast());
+        }
+
+        this.updateHistoryButtons();
     }
 
     /**
-     * Start drawing
+     * Start drawing a new stroke
      */
     startDrawing(e) {
         e.preventDefault();
+        if (!this.drawingEnabled) return;
+
         this.isDrawing = true;
         
         const point = this.getEventPoint(e);
         this.lastPoint = point;
-        
-        // Start new path
-        this.ctx.beginPath();
-        this.ctx.moveTo(point.x, point.y);
-        
-        // Save state for undo functionality
-        this.saveState();
+        this.strokeStartedAt = Date.now();
+        this.setHistoryState(true, false);
+
+        const stroke = {
+            id: this.generateStrokeId(),
+            tool: 'pen',
+            color: this.currentColor,
+            width: this.brushSize,
+            points: [{ x: point.x, y: point.y, t: 0 }]
+        };
+        this.currentStroke = stroke;
+        this.addStroke(stroke);
+        this.renderStroke(stroke);
+
+        this.emitStroke('strokeStart', {
+            id: stroke.id,
+            tool: stroke.tool,
+            color: stroke.color,
+            width: stroke.width,
+            points: stroke.points.slice()
+        });
+
+        // Stream points in small batches while the stroke is drawn
+        this.pendingPoints = [];
+        this.flushTimer = setInterval(() => this.flushPoints(), 50);
     }
 
     /**
-     * Draw on canvas
+     * Extend the current stroke
      */
     draw(e) {
-        if (!this.isDrawing) return;
+        if (!this.isDrawing || !this.currentStroke) return;
         
         e.preventDefault();
         const point = this.getEventPoint(e);
-        
-        // Draw line from last point to current point
-        this.ctx.lineTo(point.x, point.y);
-        this.ctx.stroke();
+        const timedPoint = { x: point.x, y: point.y, t: Date.now() - this.strokeStartedAt };
+
+        const from = this.currentStroke.points.length;
+        this.currentStroke.points.push(timedPoint);
+        this.pendingPoints.push(timedPoint);
+        this.renderStroke(this.currentStroke, from);
         
         this.lastPoint = point;
     }
 
     /**
-     * Stop drawing
+     * Finish the current stroke
      */
     stopDrawing() {
         if (this.isDrawing) {
             this.isDrawing = false;
             this.lastPoint = null;
+
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+            this.flushPoints();
+
+            if (this.currentStroke) {
+                this.emitStroke('strokeEnd', { id: this.currentStroke.id });
+                this.currentStroke = null;
+            }
         }
     }
 
+    /**
+     * Send points drawn since the last flush
+     */
+    flushPoints() {
+        if (!this.currentStroke || this.pendingPoints.length === 0) return;
+
+        this.emitStroke('strokePoints', { id: this.currentStroke.id, points: this.pendingPoints });
+        this.pendingPoints = [];
+    }
+
+    /**
+     * Send a stroke event to the server
+     */
+    emitStroke(event, data) {
+        if (this.socket) {
+            this.socket.emit(event, data);
+        }
+    }
+
+    /**
+     * Create a stroke id unique to this client
+     */
+    generateStrokeId() {
+        const clientId = this.socket && this.socket.id ? this.socket.id : 'local';
+        this.strokeCounter++;
+        return `${clientId}-${Date.now()}-${this.strokeCounter}`;
+    }
+
+    /**
+     * Track a stroke for redraws and incoming points
+     */
+    addStroke(stroke) {
+        this.strokes.push(stroke);
+        this.strokesById.set(stroke.id, stroke);
+    }
+
+    /**
+     * Render a stroke, or only its points from a given index onwards
+     * The same renderer is used for local and remote strokes
+     */
+    renderStroke(stroke, fromIndex = 0) {
+        const points = stroke.points;
+        if (points.length === 0) return;
+
+        const start = Math.max(0, fromIndex - 1);
+        this.ctx.save();
+        this.ctx.strokeStyle = stroke.tool === 'eraser' ? '#FFFFFF' : stroke.color;
+        this.ctx.lineWidth = stroke.width;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[start].x, points[start].y);
+
+        if (points.length === 1) {
+            // A single point is drawn as a dot
+            this.ctx.lineTo(points[0].x, points[0].y);
+        }
+
+        for (let i = start + 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
+
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Repaint the canvas from the stroke list
+     */
+    redrawStrokes() {
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.strokes.forEach(stroke => this.renderStroke(stroke));
+    }
+
+    /**
+     * Replace the canvas with the server's strokes (late join or reconnect)
+     */
+    loadStrokes(strokes = []) {
+        this.strokes = [];
+        this.strokesById.clear();
+        strokes.forEach(stroke => this.addStroke(stroke));
+        this.redrawStrokes();
+    }
+
+    /**
+     * Show a stroke another player started
+     */
+    addRemoteStroke(stroke) {
+        if (!stroke || this.strokesById.has(stroke.id)) return;
+
+        this.addStroke(stroke);
+        this.renderStroke(stroke);
+    }
+
+    /**
+     * Extend a stroke another player is drawing
+     */
+    appendRemotePoints(strokeId, points = []) {
+        const stroke = this.strokesById.get(strokeId);
+        if (!stroke) return;
+
+        const from = stroke.points.length;
+        stroke.points.push(...points);
+        this.renderStroke(stroke, from);
+    }
+
+    /**
+     * Remove every stroke and repaint a blank canvas
+     */
+    clearStrokes() {
+        this.strokes = [];
+        this.strokesById.clear();
+        this.redrawStrokes();
+    }
+
     /**
      * Get point coordinates from mouse or touch event
      */
@@ -216,76 +399,65 @@ class CanvasController {
      * Clear the entire canvas
      */
     clearCanvas() {
+        if (!this.drawingEnabled) return;
+
         if (confirm('Are you sure you want to clear the canvas?')) {
-            this.ctx.fillStyle = '#FFFFFF';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-            this.saveState();
+            if (this.strokes.length > 0) {
+                this.setHistoryState(true, false);
+            }
+            this.clearStrokes();
+            this.emitStroke('clearCanvas');
         }
     }
 
     /**
-     * Undo the last drawing action
+     * Undo the last stroke or clear for everyone in the room
      */
     undoLast() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState();
-        }
+        if (!this.drawingEnabled || !this.canUndo) return;
+
+        this.stopDrawing();
+        this.emitStroke('undoStroke');
     }
 
     /**
-     * Save current canvas state for undo functionality
+     * Redo the last undone stroke or clear for everyone in the room
      */
-    saveState() {
-        this.historyIndex++;
-        
-        // Remove any states after current index
-        if (this.historyIndex < this.drawingHistory.length) {
-            this.drawingHistory.length = this.historyIndex;
-        }
-        
-        // Save current state
-        this.drawingHistory[this.historyIndex] = this.canvas.toDataURL();
-        
-        // Limit history size to prevent memory issues
-        if (this.drawingHistory.length > 20) {
-            this.drawingHistory.shift();
-            this.historyIndex--;
-        }
+    redoLast() {
+        if (!this.drawingEnabled || !this.canRedo) return;
+
+        this.emitStroke('redoStroke');
     }
 
     /**
-     * Restore canvas state from history
+     * Track whether undo and redo are available
      */
-    restoreState() {
-        if (this.historyIndex >= 0 && this.historyIndex < this.drawingHistory.length) {
-            const img = new Image();
-            img.onload = () => {
-                this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                this.ctx.drawImage(img, 0, 0);
-            };
-            img.src = this.drawingHistory[this.historyIndex];
-        }
+    setHistoryState(canUndo, canRedo) {
+        this.canUndo = Boolean(canUndo);
+        this.canRedo = Boolean(canRedo);
+        this.updateHistoryButtons();
     }
 
     /**
-     * Get canvas data as image
+     * Enable the undo and redo buttons only when they can be used
      */
-    getCanvasData() {
-        return this.canvas.toDataURL('image/png');
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoLast');
+        const redoBtn = document.getElementById('redoLast');
+
+        if (undoBtn) {
+            undoBtn.disabled = !this.drawingEnabled || !this.canUndo;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.drawingEnabled || !this.canRedo;
+        }
     }
 
     /**
-     * Load image data onto canvas
+     * Get canvas data as image
      */
-    loadCanvasData(dataUrl) {
-        const img = new Image();
-        img.onload = () => {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.ctx.drawImage(img, 0, 0);
-            this.saveState();
-        };
-        img.src = dataUrl;
+    getCanvasData() {
+        return this.canvas.toDataURL('image/png');
     }
 
     /**
@@ -325,8 +497,15 @@ class CanvasController {
      * Enable/disable drawing
      */
     setDrawingEnabled(enabled) {
+        if (!this.canvas) return;
+
+        if (!enabled) {
+            this.stopDrawing();
+        }
+        this.drawingEnabled = enabled;
         this.canvas.style.cursor = enabled ? 'crosshair' : 'not-allowed';
         this.canvas.style.opacity = enabled ? '1' : '0.5';
+        this.updateHistoryButtons();
     }
 
     /**
@@ -334,9 +513,9 @@ class CanvasController {
      */
     getDrawingStats() {
         return {
-            historyLength: this.drawingHistory.length,
-            currentIndex: this.historyIndex,
-            canUndo: this.historyIndex > 0,
+            strokeCount: this.strokes.length,
+            canUndo: this.canUndo,
+            canRedo: this.canRedo,
             brushSize: this.brushSize,
             currentColor: this.currentColor
         };
@@ -346,11 +525,12 @@ class CanvasController {
      * Reset canvas to initial state
      */
     reset() {
+        this.stopDrawing();
+        this.strokes = [];
+        this.strokesById.clear();
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        this.drawingHistory = [];
-        this.historyIndex = -1;
-        this.saveState();
+        this.setHistoryState(false, false);
     }
 }
 
@@ -1,44 +1,383 @@
 /**
  * Main Game Logic for Draw It Or Lose It
  * Demonstrates CS 230 principles: Singleton pattern, OOP, and real-time functionality
+ * The server's Game.toJSON() view is the source of truth; this controller only renders it
  */
 
 class GameController {
     constructor() {
-        this.gameService = null;
+        this.socket = null;
         this.currentGame = null;
-        this.isDrawing = false;
-        this.currentColor = '#000000';
-        this.brushSize = 3;
-        this.drawingHistory = [];
-        this.historyIndex = -1;
-        
+        this.playerId = null;
+        this.spectatorId = null; // Set while this client only watches the game
+        this.canManage = false; // Whether this client is the game's host or a co-host
+        this.timeRemaining = null;
+        this.lastRoundScores = null;
+        this.account = null;
+        this.nameRules = null; // The server's naming rules; unicode mode accepts letters from any script
+
         this.initializeGame();
         this.bindEvents();
     }
 
     /**
-     * Initialize the game service and UI
+     * Initialize the Socket.IO connection and UI
      */
     initializeGame() {
         try {
-            // In a real implementation, this would connect to the backend
-            // For now, we'll simulate the game service
-            this.gameService = {
-                createGame: (name, options) => this.simulateCreateGame(name, options),
-                getCurrentGame: () => this.currentGame,
-                endCurrentGame: () => this.simulateEndGame(),
-                isNameUnique: (name) => this.simulateNameCheck(name)
-            };
-            
+            // The auth token from gameCreated or playerJoined is sent on every (re)connect
+            this.socket = io({
+                auth: (callback) => callback({ token: sessionStorage.getItem('drawItAuthToken') || undefined })
+            });
+            this.bindSocketEvents();
+            this.loadWordPacks();
+            this.loadNameRules();
+            this.loadAccount();
+
             this.updateGameState();
             console.log('Game Controller initialized successfully');
         } catch (error) {
             console.error('Failed to initialize game:', error);
-            this.showError('Failed to initialize game. Please refresh the page.');
+            this.showError('Failed to connect to the game server. Please refresh the page.');
+        }
+    }
+
+    /**
+     * Fill the word pack picker with the packs the server has loaded
+     */
+    async loadWordPacks() {
+        const select = document.getElementById('wordPacks');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/wordpacks');
+            const packs = await response.json();
+
+            select.innerHTML = '';
+            packs.forEach(pack => {
+                const option = document.createElement('option');
+                option.value = pack.id;
+                option.textContent = `${pack.name} (${pack.wordCount} words)`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load word packs:', error);
+        }
+    }
+
+    /**
+     * Fetch the server's naming rules so names are checked the same way before sending them
+     */
+    async loadNameRules() {
+        try {
+            const response = await fetch('/api/validate/rules');
+            this.nameRules = await response.json();
+        } catch (error) {
+            console.error('Failed to load naming rules:', error);
+        }
+    }
+
+    /**
+     * Show the logged-in account, if the stored login is still valid
+     */
+    async loadAccount() {
+        const token = localStorage.getItem('drawItAccountToken');
+        if (!token) {
+            this.renderAccount();
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/accounts/me', {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                localStorage.removeItem('drawItAccountToken');
+            }
+            this.account = response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Failed to load account:', error);
+        }
+        this.renderAccount();
+    }
+
+    /**
+     * Log in or create an account, depending on which button submitted the form
+     */
+    async handleAccount(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const action = event.submitter && event.submitter.dataset.action === 'register' ? 'register' : 'login';
+        try {
+            const response = await fetch(action === 'register' ? '/api/accounts' : '/api/accounts/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: formData.get('username').trim(),
+                    password: formData.get('password')
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showError(data.error);
+                return;
+            }
+
+            localStorage.setItem('drawItAccountToken', data.token);
+            this.account = data.account;
+            this.renderAccount();
+            event.target.reset();
+            this.showSuccess(`Logged in as ${data.account.username}`);
+        } catch (error) {
+            this.showError('Could not reach the server');
         }
     }
 
+    /**
+     * Forget the stored login
+     */
+    logout() {
+        const token = localStorage.getItem('drawItAccountToken');
+        localStorage.removeItem('drawItAccountToken');
+        this.account = null;
+        this.renderAccount();
+        if (token) {
+            fetch('/api/accounts/logout', { method: 'POST', headers: { Authorization: `Bearer ${token}` } })
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Show either the login form or the logged-in account's profile
+     */
+    renderAccount() {
+        const form = document.getElementById('accountForm');
+        const profile = document.getElementById('accountProfile');
+        if (!form || !profile) return;
+
+        form.style.display = this.account ? 'none' : '';
+        profile.style.display = this.account ? '' : 'none';
+        if (!this.account) return;
+
+        const account = this.account;
+        document.getElementById('accountSummary').textContent =
+            `${account.username}: ${account.gamesPlayed} games, ${account.wins} wins, ` +
+            `${account.totalPoints} points, ${account.wordsGuessed} words guessed`;
+
+        const joinPlayerName = document.getElementById('joinPlayerName');
+        if (joinPlayerName && !joinPlayerName.value) {
+            joinPlayerName.value = account.username;
+        }
+    }
+
+    /**
+     * Bind Socket.IO events sent by the server
+     */
+    bindSocketEvents() {
+        // Resume the player's session after a page reload or a dropped connection
+        this.socket.on('connect', () => {
+            const sessionToken = sessionStorage.getItem('drawItSessionToken');
+            if (sessionToken) {
+                this.socket.emit('resumeSession', { sessionToken });
+            }
+        });
+
+        // The server refuses a stale auth token; drop it and connect without one
+        this.socket.on('connect_error', () => {
+            if (sessionStorage.getItem('drawItAuthToken')) {
+                sessionStorage.removeItem('drawItAuthToken');
+                this.socket.connect();
+            }
+        });
+
+        this.socket.on('sessionResumed', (data) => {
+            this.playerId = data.player.id;
+            sessionStorage.setItem('drawItAuthToken', data.authToken);
+            this.currentGame = data.game;
+            this.updateGameState();
+            this.showSuccess(`Welcome back, ${data.player.name}!`);
+        });
+
+        this.socket.on('sessionExpired', () => {
+            sessionStorage.removeItem('drawItSessionToken');
+        });
+
+        this.socket.on('gameCreated', (data) => {
+            this.currentGame = data.game;
+            this.canManage = true;
+            sessionStorage.setItem('drawItAuthToken', data.authToken);
+            this.updateGameState();
+            this.showSuccess(`Game "${data.game.name}" created! Join code: ${data.game.joinCode}`);
+        });
+
+        this.socket.on('teamCreated', (data) => {
+            this.showSuccess(`Team "${data.team.name}" created successfully!`);
+        });
+
+        this.socket.on('playerJoined', (data) => {
+            this.playerId = data.player.id;
+            sessionStorage.setItem('drawItSessionToken', data.sessionToken);
+            sessionStorage.setItem('drawItAuthToken', data.authToken);
+            this.showSuccess(`Joined as "${data.player.name}"`);
+        });
+
+        this.socket.on('spectatorJoined', (data) => {
+            this.spectatorId = data.spectator.id;
+            this.showSuccess(`Watching as "${data.spectator.name}"`);
+        });
+
+        this.socket.on('gameUpdated', (data) => {
+            this.currentGame = data.game;
+            this.canManage = Boolean(data.canManage);
+            this.updateGameState();
+        });
+
+        this.socket.on('gameEnded', (data) => {
+            this.currentGame = null;
+            this.playerId = null;
+            this.spectatorId = null;
+            this.canManage = false;
+            this.timeRemaining = null;
+            this.lastRoundScores = null;
+            sessionStorage.removeItem('drawItSessionToken');
+            sessionStorage.removeItem('drawItAuthToken');
+            this.renderWordChoices([]);
+            this.updateGameState();
+            // The finished game is now part of the account's profile
+            this.loadAccount();
+            if (data.reason === 'notEnoughPlayers') {
+                this.showNotification('The game ended because too few players were active');
+            } else {
+                this.showSuccess(data.game ? `Game "${data.game.name}" ended` : 'Game ended');
+            }
+        });
+
+        this.socket.on('playerRemoved', (data) => {
+            const because = {
+                idle: 'for being inactive',
+                kick: 'by the host',
+                ban: 'and banned by the host',
+                voteKick: 'by a player vote'
+            }[data.reason] || '';
+            if (data.playerId !== this.playerId) {
+                this.showNotification(`${data.playerName} was removed ${because}`);
+                return;
+            }
+
+            this.playerId = null;
+            sessionStorage.removeItem('drawItSessionToken');
+            // Kicked and banned players are taken out of the game's room as well
+            if (data.reason !== 'idle' && !this.canManage) {
+                this.currentGame = null;
+                sessionStorage.removeItem('drawItAuthToken');
+                this.updateGameState();
+            }
+            this.showError(`You were removed from the game ${because}`);
+        });
+
+        this.socket.on('gameError', (data) => {
+            // A taken name comes with a free one to try instead
+            this.showError(data.suggestion ? `${data.error}. Try "${data.suggestion}"` : data.error);
+        });
+
+        // Pauses and resumes come as state changes; round changes have their own events
+        this.socket.on('gameStateChanged', (data) => {
+            if (data.to === 'paused') {
+                this.showNotification('Game paused');
+            } else if (data.from === 'paused') {
+                this.showNotification('Game resumed');
+            }
+        });
+
+        this.socket.on('choosingWord', (data) => {
+            if (data.drawerId !== this.playerId) {
+                const drawer = this.currentGame ? this.currentGame.players.find(player => player.id === data.drawerId) : null;
+                this.showNotification(`Round ${data.round}: ${drawer ? drawer.name : 'The drawer'} is choosing a word`);
+            }
+        });
+
+        // Only the drawer receives the candidate words
+        this.socket.on('wordChoices', (data) => {
+            this.renderWordChoices(data.choices, data.timeout);
+        });
+
+        this.socket.on('roundStarted', (data) => {
+            this.renderWordChoices([]);
+            this.timeRemaining = data.duration;
+            this.updateRoundTimer();
+            const isDrawer = data.drawerId === this.playerId;
+            this.showNotification(isDrawer ? `Round ${data.round}: you are drawing!` : `Round ${data.round} started - start guessing!`);
+        });
+
+        this.socket.on('roundTick', (data) => {
+            this.timeRemaining = data.timeRemaining;
+            this.updateRoundTimer();
+        });
+
+        this.socket.on('hintRevealed', (data) => {
+            this.setWordDisplay(data.wordHint, true);
+        });
+
+        this.socket.on('wordGuessed', (data) => {
+            if (data.playerId !== this.playerId) {
+                this.showNotification(`${data.playerName} guessed the word!`);
+            }
+        });
+
+        this.socket.on('roundScores', (data) => {
+            this.lastRoundScores = data;
+            this.renderRoundScores();
+        });
+
+        this.socket.on('roundEnded', (data) => {
+            this.timeRemaining = null;
+            this.updateRoundTimer();
+            const message = data.reason === 'guessed'
+                ? `The word "${data.word}" was guessed!`
+                : data.reason === 'drawerLeft'
+                    ? 'The drawer left, skipping their turn'
+                    : data.reason === 'drawerIdle'
+                        ? 'The drawer is away, skipping their turn'
+                        : `Time's up! The word was "${data.word}"`;
+            this.showNotification(message);
+        });
+
+        this.socket.on('guessResult', (data) => {
+            if (data.filterReason) {
+                this.showNotification(`Other players saw your guess censored: ${data.filterReason.toLowerCase()}`);
+            }
+            if (data.correct) {
+                this.showSuccess(`Correct guess! +${data.points} points`);
+            } else if (data.close) {
+                this.showNotification('So close - check your spelling!');
+            } else {
+                this.showError('Not quite - keep guessing!');
+            }
+        });
+
+        this.socket.on('guessMade', (data) => {
+            this.showNotification(`${data.playerName} guessed "${data.guess}"`);
+        });
+
+        this.socket.on('chatHistory', (data) => {
+            const container = document.getElementById('chatMessages');
+            if (container) container.innerHTML = '';
+            data.messages.forEach(message => this.renderChatMessage(message));
+        });
+
+        this.socket.on('chatMessage', (message) => {
+            this.renderChatMessage(message);
+            if (message.filterReason && message.playerId === this.playerId) {
+                this.showNotification(`Your message was censored: ${message.filterReason.toLowerCase()}`);
+            }
+        });
+
+        this.socket.on('disconnect', () => {
+            this.showError('Lost connection to the game server');
+        });
+    }
+
     /**
      * Bind event listeners for user interactions
      */
@@ -49,6 +388,29 @@ class GameController {
             createGameForm.addEventListener('submit', (e) => this.handleCreateGame(e));
         }
 
+        // Chat
+        const chatForm = document.getElementById('chatForm');
+        if (chatForm) {
+            chatForm.addEventListener('submit', (e) => this.handleChat(e));
+        }
+
+        // Account login
+        const accountForm = document.getElementById('accountForm');
+        if (accountForm) {
+            accountForm.addEventListener('submit', (e) => this.handleAccount(e));
+        }
+
+        const logoutBtn = document.getElementById('logoutBtn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+
+        // Join an existing game by code
+        const joinGameForm = document.getElementById('joinGameForm');
+        if (joinGameForm) {
+            joinGameForm.addEventListener('submit', (e) => this.handleJoinGame(e));
+        }
+
         // Team management
         const addTeamBtn = document.getElementById('addTeamBtn');
         if (addTeamBtn) {
@@ -77,9 +439,10 @@ class GameController {
             endGameBtn.addEventListener('click', () => this.endGame());
         }
 
-        const nextRoundBtn = document.getElementById('nextRoundBtn');
-        if (nextRoundBtn) {
-            nextRoundBtn.addEventListener('click', () => this.nextRound());
+        // Guessing
+        const guessForm = document.getElementById('guessForm');
+        if (guessForm) {
+            guessForm.addEventListener('submit', (e) => this.handleGuess(e));
         }
 
         // Modal events
@@ -91,34 +454,85 @@ class GameController {
      */
     handleCreateGame(event) {
         event.preventDefault();
-        
+
         const formData = new FormData(event.target);
         const gameName = formData.get('gameName').trim();
         const maxTeams = parseInt(formData.get('maxTeams'));
         const maxPlayers = parseInt(formData.get('maxPlayers'));
+        const wordPacks = formData.getAll('wordPacks');
+        const wordDifficulty = formData.get('wordDifficulty');
+        const contentFilter = formData.get('contentFilter');
+        const settings = {
+            maxRounds: parseInt(formData.get('maxRounds')),
+            roundTimeLimit: parseInt(formData.get('roundTimeLimit')),
+            hintInterval: parseInt(formData.get('hintInterval')),
+            scoringMode: formData.get('scoringMode'),
+            enableChat: formData.has('enableChat'),
+            showScores: formData.has('showScores'),
+            allowSpectators: formData.has('allowSpectators'),
+            spectatorChat: formData.has('spectatorChat')
+        };
 
-        // Validate game name
+        // Validate game name (uniqueness is checked by the server)
         if (!this.validateGameName(gameName)) {
             this.showError('Please enter a valid game name (2-50 characters, unique)');
             return;
         }
 
-        try {
-            const game = this.gameService.createGame(gameName, {
+        this.socket.emit('createGame', {
+            name: gameName,
+            options: {
                 maxTeams,
-                maxPlayersPerTeam: maxPlayers
-            });
+                maxPlayersPerTeam: maxPlayers,
+                wordPacks,
+                wordDifficulties: wordDifficulty ? [wordDifficulty] : [],
+                contentFilter: contentFilter || undefined,
+                ...settings
+            }
+        });
+    }
 
-            this.currentGame = game;
-            this.updateGameState();
-            this.showSuccess(`Game "${gameName}" created successfully!`);
-            
-            // Show team management section
-            this.showSection('teamManagement');
-            
-        } catch (error) {
-            this.showError(error.message);
+    /**
+     * Handle joining an existing game by its join code, as a player or to watch
+     */
+    handleJoinGame(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const joinCode = formData.get('joinCode').trim().toUpperCase();
+        const playerName = formData.get('joinPlayerName').trim();
+        const isSpectating = Boolean(event.submitter && event.submitter.dataset.action === 'spectate');
+
+        if (!joinCode) {
+            this.showError('Please enter a join code');
+            return;
+        }
+
+        if (!this.validateGameName(playerName)) {
+            this.showError('Please enter a valid player name');
+            return;
+        }
+
+        if (isSpectating) {
+            this.socket.emit('spectateGame', {
+                joinCode,
+                spectatorId: 'spectator_' + Date.now(),
+                name: playerName,
+                authToken: sessionStorage.getItem('drawItAuthToken') || undefined,
+                accountToken: localStorage.getItem('drawItAccountToken') || undefined
+            });
+            event.target.reset();
+            return;
         }
+
+        this.socket.emit('joinGame', {
+            joinCode,
+            playerId: 'player_' + Date.now(),
+            playerName,
+            authToken: sessionStorage.getItem('drawItAuthToken') || undefined,
+            accountToken: localStorage.getItem('drawItAccountToken') || undefined
+        });
+        event.target.reset();
     }
 
     /**
@@ -126,9 +540,18 @@ class GameController {
      */
     validateGameName(name) {
         if (!name || typeof name !== 'string') return false;
-        if (name.length < 2 || name.length > 50) return false;
-        if (!/^[a-zA-Z0-9\s\-_]+$/.test(name)) return false;
-        return this.gameService.isNameUnique(name);
+        if (!(this.nameRules && this.nameRules.unicode)) {
+            if (name.length < 2 || name.length > 50) return false;
+            return /^[a-zA-Z0-9\s\-_]+$/.test(name);
+        }
+
+        // Unicode mode counts characters as people see them, so "é" or a flag is one
+        const normalized = name.normalize('NFKC').trim();
+        const length = typeof Intl.Segmenter === 'function'
+            ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(normalized)).length
+            : Array.from(normalized).length;
+        if (length < 2 || length > 50) return false;
+        return /^[\p{L}\p{M}\p{N}\s\-_]+$/u.test(normalized);
     }
 
     /**
@@ -140,36 +563,16 @@ class GameController {
             return;
         }
 
-        try {
-            this.currentGame.startGame();
-            this.updateGameState();
-            this.showSection('gameCanvas');
-            this.showSection('gameControls');
-            this.showSuccess('Game started! Begin drawing!');
-            
-            // Set a random word for demonstration
-            const words = ['cat', 'house', 'tree', 'car', 'sun', 'mountain', 'river', 'bird'];
-            const randomWord = words[Math.floor(Math.random() * words.length)];
-            this.setCurrentWord(randomWord);
-            
-        } catch (error) {
-            this.showError(error.message);
-        }
+        this.socket.emit('startGame');
     }
 
     /**
-     * Pause the game
+     * Pause the game, or resume it if it is paused
      */
     pauseGame() {
         if (!this.currentGame) return;
 
-        try {
-            this.currentGame.pauseGame();
-            this.updateGameState();
-            this.showSuccess('Game paused');
-        } catch (error) {
-            this.showError(error.message);
-        }
+        this.socket.emit(this.currentGame.gameState === 'paused' ? 'resumeGame' : 'pauseGame');
     }
 
     /**
@@ -179,93 +582,479 @@ class GameController {
         if (!this.currentGame) return;
 
         if (confirm('Are you sure you want to end the current game?')) {
-            try {
-                this.gameService.endCurrentGame();
-                this.currentGame = null;
-                this.updateGameState();
-                this.hideAllSections();
-                this.showSuccess('Game ended successfully');
-            } catch (error) {
-                this.showError(error.message);
-            }
+            this.socket.emit('endGame');
         }
     }
 
     /**
-     * Advance to next round
+     * Submit a guess for the current round
      */
-    nextRound() {
-        if (!this.currentGame) return;
+    handleGuess(event) {
+        event.preventDefault();
 
-        try {
-            this.currentGame.nextRound();
-            this.updateGameState();
-            
-            // Set new random word
-            const words = ['cat', 'house', 'tree', 'car', 'sun', 'mountain', 'river', 'bird'];
-            const randomWord = words[Math.floor(Math.random() * words.length)];
-            this.setCurrentWord(randomWord);
-            
-            this.showSuccess('Round advanced! New word selected.');
-        } catch (error) {
-            this.showError(error.message);
-        }
+        const input = document.getElementById('guessInput');
+        const guess = input ? input.value.trim() : '';
+        if (!guess) return;
+
+        this.socket.emit('submitGuess', { guess });
+        input.value = '';
     }
 
     /**
-     * Set the current word to draw
+     * Check whether this client is the current drawer
      */
-    setCurrentWord(word) {
-        if (!this.currentGame) return;
+    isCurrentDrawer() {
+        return Boolean(this.currentGame && this.currentGame.currentDrawer &&
+            this.currentGame.currentDrawer.id === this.playerId);
+    }
 
-        this.currentGame.setCurrentWord(word);
+    /**
+     * Show the word (drawer) or its hint (guessers)
+     */
+    setWordDisplay(text, isHint) {
+        const wordLabel = document.getElementById('currentWordLabel');
         const wordDisplay = document.getElementById('currentWord');
         const wordContainer = document.getElementById('currentWordDisplay');
-        
-        if (wordDisplay) wordDisplay.textContent = word;
+
+        if (wordLabel) wordLabel.textContent = isHint ? 'Hint:' : 'Current Word:';
+        if (wordDisplay) wordDisplay.textContent = isHint ? text.split('').join(' ') : text;
         if (wordContainer) wordContainer.style.display = 'block';
     }
 
     /**
-     * Update the game state display
+     * Show the drawer's word choices as buttons; an empty list hides them
+     */
+    renderWordChoices(choices, timeout) {
+        const container = document.getElementById('wordChoices');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (choices.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const label = document.createElement('span');
+        label.textContent = timeout ? `Pick a word to draw (${timeout}s):` : 'Pick a word to draw:';
+        container.appendChild(label);
+
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = choice.difficulty ? `${choice.word} (${choice.difficulty})` : choice.word;
+            button.addEventListener('click', () => this.socket.emit('chooseWord', { word: choice.word }));
+            container.appendChild(button);
+        });
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Update the round timer display
+     */
+    updateRoundTimer() {
+        const timerEl = document.getElementById('roundTimer');
+        if (timerEl) {
+            timerEl.textContent = this.timeRemaining === null ? '--' : `${this.timeRemaining}s`;
+        }
+    }
+
+    /**
+     * Update the game state display from the server's game view
      */
     updateGameState() {
         const gameNameEl = document.getElementById('currentGameName');
         const gameStatusEl = document.getElementById('gameStatus');
         const teamCountEl = document.getElementById('teamCount');
         const playerCountEl = document.getElementById('playerCount');
+        const spectatorCountEl = document.getElementById('spectatorCount');
         const currentRoundEl = document.getElementById('currentRound');
+        const joinCodeEl = document.getElementById('joinCode');
 
         if (this.currentGame) {
             if (gameNameEl) gameNameEl.textContent = this.currentGame.name;
             if (gameStatusEl) gameStatusEl.textContent = this.getGameStatusText();
             if (teamCountEl) teamCountEl.textContent = this.currentGame.teams.length;
             if (playerCountEl) playerCountEl.textContent = this.currentGame.players.length;
+            if (spectatorCountEl) spectatorCountEl.textContent = (this.currentGame.spectators || []).length;
             if (currentRoundEl) {
                 currentRoundEl.textContent = `${this.currentGame.currentRound}/${this.currentGame.maxRounds}`;
             }
+            if (joinCodeEl) joinCodeEl.textContent = this.currentGame.joinCode || '-';
         } else {
             if (gameNameEl) gameNameEl.textContent = 'No Active Game';
             if (gameStatusEl) gameStatusEl.textContent = 'Waiting for players';
             if (teamCountEl) teamCountEl.textContent = '0';
             if (playerCountEl) playerCountEl.textContent = '0';
+            if (spectatorCountEl) spectatorCountEl.textContent = '0';
             if (currentRoundEl) currentRoundEl.textContent = '0/10';
+            if (joinCodeEl) joinCodeEl.textContent = '-';
+        }
+
+        this.renderTeams();
+        this.renderPlayers();
+        this.renderRound();
+        this.updateSections();
+
+        if (window.uiController) {
+            window.uiController.updateUI();
+        }
+    }
+
+    /**
+     * Render the current word or hint for this client's role
+     */
+    renderRound() {
+        const game = this.currentGame;
+        // Drawing only starts once the drawer has chosen a word
+        const isDrawing = Boolean(game && game.gameState === 'drawing');
+        const showsWord = isDrawing || Boolean(game && game.gameState === 'round-summary');
+
+        const guessForm = document.getElementById('guessForm');
+        if (guessForm) {
+            guessForm.style.display = isDrawing && this.playerId && !this.isCurrentDrawer() ? 'flex' : 'none';
+        }
+
+        if (window.canvasController) {
+            window.canvasController.setDrawingEnabled(isDrawing && this.isCurrentDrawer());
+        }
+
+        const wordContainer = document.getElementById('currentWordDisplay');
+        if (!showsWord || (!game.currentWord && !game.wordHint)) {
+            if (wordContainer) wordContainer.style.display = 'none';
+            return;
+        }
+
+        if (game.currentWord) {
+            this.setWordDisplay(game.currentWord, false);
+        } else {
+            this.setWordDisplay(game.wordHint, true);
         }
     }
 
+    /**
+     * Render the team list from the server's game view
+     */
+    renderTeams() {
+        const container = document.getElementById('teamsContainer');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!this.currentGame) return;
+
+        this.currentGame.teams.forEach(team => {
+            const card = document.createElement('div');
+            card.className = 'team-card';
+
+            const header = document.createElement('div');
+            header.className = 'team-header';
+            const name = document.createElement('span');
+            name.className = 'team-name';
+            name.textContent = team.name;
+            const color = document.createElement('span');
+            color.className = 'team-color';
+            color.style.background = team.color;
+            header.appendChild(name);
+            header.appendChild(color);
+
+            const stats = document.createElement('div');
+            stats.className = 'team-stats';
+            stats.innerHTML = '<span></span><span></span><span></span>';
+            stats.children[0].textContent = `Players: ${team.playerCount}`;
+            stats.children[1].textContent = `Score: ${team.score}`;
+            stats.children[2].textContent = team.isReady ? 'Ready' : 'Not ready';
+
+            card.appendChild(header);
+            card.appendChild(stats);
+
+            if (this.currentGame.gameState === 'lobby') {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-danger';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => this.removeTeam(team.id));
+                card.appendChild(removeBtn);
+            }
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Render the player list from the server's game view
+     */
+    renderPlayers() {
+        const container = document.getElementById('playersContainer');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!this.currentGame) return;
+
+        this.currentGame.players.forEach(player => {
+            const team = this.currentGame.teams.find(t => t.id === player.teamId);
+            const card = document.createElement('div');
+            card.className = 'player-card';
+
+            const header = document.createElement('div');
+            header.className = 'player-header';
+            const name = document.createElement('span');
+            name.className = 'player-name';
+            name.textContent = player.id === this.playerId ? `${player.name} (you)` : player.name;
+            const role = document.createElement('span');
+            role.textContent = player.isDrawing ? '✏️ Drawing' : '';
+            header.appendChild(name);
+            header.appendChild(role);
+
+            const stats = document.createElement('div');
+            stats.className = 'player-stats';
+            stats.innerHTML = '<span></span><span></span><span></span>';
+            stats.children[0].textContent = team ? team.name : 'No team';
+            stats.children[1].textContent = `Score: ${player.score}`;
+            stats.children[2].textContent = player.isConnected === false
+                ? 'Reconnecting...'
+                : player.isIdle
+                    ? 'Away'
+                    : (player.isReady ? 'Ready' : 'Not ready');
+            if ((this.currentGame.mutedIds || []).includes(player.id)) {
+                stats.children[2].textContent += ' · Muted';
+            }
+
+            card.appendChild(header);
+            card.appendChild(stats);
+
+            if (player.id === this.playerId && this.currentGame.gameState === 'lobby') {
+                card.appendChild(this.createOwnPlayerControls(player));
+            }
+
+            if (player.id !== this.playerId && !player.isHost) {
+                const moderation = this.createModerationControls(player);
+                if (moderation) {
+                    card.appendChild(moderation);
+                }
+            }
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Team switcher and ready toggle shown on this client's own player card
+     */
+    createOwnPlayerControls(player) {
+        const controls = document.createElement('div');
+        controls.className = 'player-controls';
+
+        const teamSelect = document.createElement('select');
+        const noTeam = document.createElement('option');
+        noTeam.value = '';
+        noTeam.textContent = 'No team';
+        teamSelect.appendChild(noTeam);
+
+        this.currentGame.teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team.id;
+            option.textContent = `${team.name} (${team.playerCount}/${this.currentGame.maxPlayersPerTeam})`;
+            option.selected = team.id === player.teamId;
+            teamSelect.appendChild(option);
+        });
+        teamSelect.addEventListener('change', (e) => this.switchTeam(e.target.value));
+
+        const readyBtn = document.createElement('button');
+        readyBtn.className = player.isReady ? 'btn btn-warning' : 'btn btn-success';
+        readyBtn.textContent = player.isReady ? 'Not Ready' : 'Ready';
+        readyBtn.disabled = !player.teamId;
+        readyBtn.addEventListener('click', () => this.toggleReady(!player.isReady));
+
+        controls.appendChild(teamSelect);
+        controls.appendChild(readyBtn);
+        return controls;
+    }
+
+    /**
+     * Kick, ban and mute buttons for hosts, or a vote-kick button for other players
+     */
+    createModerationControls(player) {
+        const controls = document.createElement('div');
+        controls.className = 'player-controls';
+
+        const addButton = (label, className, onClick) => {
+            const button = document.createElement('button');
+            button.className = `btn ${className}`;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            controls.appendChild(button);
+        };
+
+        if (this.canManage) {
+            const isMuted = (this.currentGame.mutedIds || []).includes(player.id);
+            addButton(isMuted ? 'Unmute' : 'Mute', 'btn-secondary',
+                () => this.socket.emit('mutePlayer', { playerId: player.id, isMuted: !isMuted }));
+            addButton('Kick', 'btn-warning', () => this.socket.emit('kickPlayer', { playerId: player.id }));
+            addButton('Ban', 'btn-danger', () => {
+                if (confirm(`Ban ${player.name} from this game?`)) {
+                    this.socket.emit('banPlayer', { playerId: player.id });
+                }
+            });
+            return controls;
+        }
+
+        if (!this.playerId) {
+            return null;
+        }
+
+        const votes = (this.currentGame.kickVotes || {})[player.id] || 0;
+        addButton(votes ? `Vote kick (${votes})` : 'Vote kick', 'btn-warning',
+            () => this.socket.emit('voteKick', { playerId: player.id }));
+        return controls;
+    }
+
+    /**
+     * Show the sections that apply to the current game state
+     */
+    updateSections() {
+        if (!this.currentGame) {
+            this.hideAllSections();
+            return;
+        }
+
+        this.showSection('teamManagement');
+        this.showSection('playerManagement');
+        this.showSection('gameControls');
+
+        if (!['lobby', 'finished'].includes(this.currentGame.gameState)) {
+            this.showSection('gameCanvas');
+        }
+
+        // Spectators watch: they cannot add teams or players, and chat only among themselves
+        const isSpectating = Boolean(this.spectatorId);
+        ['addTeamBtn', 'addPlayerBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = isSpectating ? 'none' : '';
+        });
+
+        const settings = this.currentGame.gameSettings;
+        const chatPanel = document.getElementById('chatPanel');
+        if (settings.enableChat && (this.playerId || (isSpectating && settings.spectatorChat))) {
+            this.showSection('chatPanel');
+            const channel = document.getElementById('chatChannel');
+            if (channel) {
+                Array.from(channel.options).forEach(option => {
+                    option.hidden = isSpectating !== (option.value === 'spectators');
+                });
+                channel.value = isSpectating ? 'spectators' : (channel.value === 'spectators' ? 'global' : channel.value);
+            }
+        } else if (chatPanel) {
+            chatPanel.style.display = 'none';
+        }
+
+        if (this.lastRoundScores && this.currentGame.gameSettings.showScores) {
+            this.showSection('gameStats');
+        }
+    }
+
+    /**
+     * Send a chat message; the server treats messages naming the word as guesses
+     */
+    handleChat(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const text = formData.get('text').trim();
+        if (!text) return;
+
+        this.socket.emit('chatMessage', { text, channel: this.spectatorId ? 'spectators' : formData.get('channel') });
+        event.target.reset();
+    }
+
+    /**
+     * Append a chat message to the chat panel
+     */
+    renderChatMessage(message) {
+        const container = document.getElementById('chatMessages');
+        if (!container) return;
+
+        const line = document.createElement('div');
+        line.className = `chat-message ${message.channel}`;
+
+        const author = document.createElement('strong');
+        const prefix = { team: '[Team] ', spectators: '[Spectators] ' }[message.channel] || '';
+        author.textContent = `${prefix}${message.playerName}: `;
+        line.appendChild(author);
+        line.appendChild(document.createTextNode(message.text));
+        if (message.filterReason) {
+            line.title = message.filterReason;
+        }
+
+        container.appendChild(line);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    /**
+     * Render the last round's score breakdown in the game statistics section
+     */
+    renderRoundScores() {
+        const grid = document.getElementById('statsGrid');
+        const breakdown = this.lastRoundScores;
+        if (!grid || !breakdown) return;
+
+        grid.innerHTML = '';
+        const playerNames = new Map(breakdown.players.map(player => [player.playerId, player.playerName]));
+
+        breakdown.teams.forEach(team => {
+            const card = document.createElement('div');
+            card.className = 'stat-card';
+
+            const title = document.createElement('h4');
+            title.textContent = team.teamName;
+            const value = document.createElement('div');
+            value.className = 'value';
+            value.textContent = team.score;
+            const gained = document.createElement('p');
+            gained.textContent = `+${team.points} in round ${breakdown.round}`;
+
+            card.append(title, value, gained);
+            grid.appendChild(card);
+        });
+
+        const roundCard = document.createElement('div');
+        roundCard.className = 'stat-card';
+        const roundTitle = document.createElement('h4');
+        roundTitle.textContent = `Round ${breakdown.round} points`;
+        roundCard.appendChild(roundTitle);
+
+        if (breakdown.entries.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'Nobody guessed the word';
+            roundCard.appendChild(none);
+        }
+
+        breakdown.entries.forEach(entry => {
+            const line = document.createElement('p');
+            const name = playerNames.get(entry.playerId) || 'Unknown';
+            line.textContent = entry.role === 'drawer'
+                ? `${name} (drawer, ${entry.guessed} guessed): +${entry.points}`
+                : `${name} (${entry.timeRemaining}s left): +${entry.points}`;
+            roundCard.appendChild(line);
+        });
+
+        grid.appendChild(roundCard);
+        this.updateSections();
+    }
+
     /**
      * Get human-readable game status
      */
     getGameStatusText() {
         if (!this.currentGame) return 'No game';
-        
+
         const statusMap = {
-            'waiting': 'Waiting for players',
-            'playing': 'Game in progress',
+            'lobby': 'Waiting for players',
+            'word-selection': 'Choosing a word',
+            'drawing': 'Drawing',
+            'round-summary': 'Round over',
             'paused': 'Game paused',
             'finished': 'Game finished'
         };
-        
+
         return statusMap[this.currentGame.gameState] || 'Unknown status';
     }
 
@@ -274,7 +1063,7 @@ class GameController {
      */
     showSection(sectionId) {
         const section = document.getElementById(sectionId);
-        if (section) {
+        if (section && section.style.display === 'none') {
             section.style.display = 'block';
             section.classList.add('fade-in');
         }
@@ -284,7 +1073,7 @@ class GameController {
      * Hide all game sections
      */
     hideAllSections() {
-        const sections = ['teamManagement', 'playerManagement', 'gameCanvas', 'gameControls', 'gameStats'];
+        const sections = ['teamManagement', 'playerManagement', 'gameCanvas', 'gameControls', 'chatPanel', 'gameStats'];
         sections.forEach(sectionId => {
             const section = document.getElementById(sectionId);
             if (section) {
@@ -307,6 +1096,10 @@ class GameController {
      * Show player creation modal
      */
     showPlayerModal() {
+        if (window.uiController) {
+            window.uiController.updateTeamDropdown();
+        }
+
         const modal = document.getElementById('playerModal');
         if (modal) {
             modal.style.display = 'block';
@@ -350,7 +1143,7 @@ class GameController {
      */
     handleCreateTeam(event) {
         event.preventDefault();
-        
+
         const formData = new FormData(event.target);
         const teamName = formData.get('teamName').trim();
         const teamColor = formData.get('teamColor');
@@ -360,65 +1153,69 @@ class GameController {
             return;
         }
 
-        try {
-            // Simulate team creation
-            const team = {
-                id: 'team_' + Date.now(),
-                name: teamName,
-                color: teamColor,
-                players: []
-            };
-
-            this.currentGame.teams.push(team);
-            this.updateGameState();
-            this.showSuccess(`Team "${teamName}" created successfully!`);
-            
-            // Close modal
-            document.getElementById('teamModal').style.display = 'none';
-            event.target.reset();
-            
-        } catch (error) {
-            this.showError(error.message);
+        if (!this.currentGame) {
+            this.showError('No active game');
+            return;
         }
+
+        this.socket.emit('createTeam', { teamName, color: teamColor });
+
+        // Close modal
+        document.getElementById('teamModal').style.display = 'none';
+        event.target.reset();
+    }
+
+    /**
+     * Remove a team; its players stay in the game without a team
+     */
+    removeTeam(teamId) {
+        this.socket.emit('removeTeam', { teamId });
+    }
+
+    /**
+     * Toggle this client's ready state
+     */
+    toggleReady(isReady) {
+        this.socket.emit('setReady', { isReady });
+    }
+
+    /**
+     * Move this client's player to another team (or none)
+     */
+    switchTeam(teamId) {
+        this.socket.emit('switchTeam', { teamId: teamId || null });
     }
 
     /**
-     * Handle player creation
+     * Handle player creation: this browser joins the current game as that player
      */
     handleCreatePlayer(event) {
         event.preventDefault();
-        
+
         const formData = new FormData(event.target);
         const playerName = formData.get('playerName').trim();
         const teamId = formData.get('playerTeam');
 
+        if (!this.currentGame) {
+            this.showError('No active game to join');
+            return;
+        }
+
         if (!this.validateGameName(playerName)) {
             this.showError('Please enter a valid player name');
             return;
         }
 
-        try {
-            // Simulate player creation
-            const player = {
-                id: 'player_' + Date.now(),
-                name: playerName,
-                teamId: teamId || null,
-                score: 0,
-                isDrawing: false,
-                isReady: false
-            };
+        this.socket.emit('joinGame', {
+            gameId: this.currentGame.id,
+            playerId: 'player_' + Date.now(),
+            playerName,
+            teamId: teamId || null
+        });
 
-            this.currentGame.players.push(player);
-            this.updateGameState();
-            this.showSuccess(`Player "${playerName}" added successfully!`);
-            
-            // Close modal
-            document.getElementById('playerModal').style.display = 'none';
-            event.target.reset();
-            
-        } catch (error) {
-            this.showError(error.message);
-        }
+        // Close modal
+        document.getElementById('playerModal').style.display = 'none';
+        event.target.reset();
     }
 
     /**
@@ -471,41 +1268,6 @@ class GameController {
             notification.remove();
         }, 3000);
     }
-
-    /**
-     * Simulate game service methods for demonstration
-     */
-    simulateCreateGame(name, options) {
-        if (!this.gameService.isNameUnique(name)) {
-            throw new Error('Game name must be unique');
-        }
-        
-        return {
-            id: 'game_' + Date.now(),
-            name: name,
-            teams: [],
-            players: [],
-            gameState: 'waiting',
-            currentRound: 0,
-            maxRounds: 10,
-            startGame: function() { this.gameState = 'playing'; this.currentRound = 1; },
-            pauseGame: function() { this.gameState = 'paused'; },
-            endGame: function() { this.gameState = 'finished'; },
-            nextRound: function() { this.currentRound++; },
-            setCurrentWord: function(word) { this.currentWord = word; }
-        };
-    }
-
-    simulateEndGame() {
-        const game = this.currentGame;
-        this.currentGame = null;
-        return game;
-    }
-
-    simulateNameCheck(name) {
-        // Simple simulation - in real app, this would check against database
-        return true;
-    }
 }
 
 // Initialize the game when the page loads
@@ -195,11 +195,15 @@ class UIController {
             }
         }
 
-        // Ctrl/Cmd + Z to undo
-        if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
             e.preventDefault();
             if (window.canvasController) {
-                window.canvasController.undoLast();
+                if (e.shiftKey) {
+                    window.canvasController.redoLast();
+                } else {
+                    window.canvasController.undoLast();
+                }
             }
         }
 
@@ -406,8 +410,10 @@ class UIController {
      */
     getGameStatusText(status) {
         const statusMap = {
-            'waiting': 'Waiting for players',
-            'playing': 'Game in progress',
+            'lobby': 'Waiting for players',
+            'word-selection': 'Choosing a word',
+            'drawing': 'Drawing',
+            'round-summary': 'Round over',
             'paused': 'Game paused',
             'finished': 'Game finished'
         };
@@ -436,31 +442,28 @@ class UIController {
         if (!window.gameController) return;
 
         const game = window.gameController.currentGame;
+        // Only the host and co-hosts may start, pause or end the game
+        const canManage = window.gameController.canManage;
         const startBtn = document.getElementById('startGameBtn');
         const pauseBtn = document.getElementById('pauseGameBtn');
         const endBtn = document.getElementById('endGameBtn');
-        const nextRoundBtn = document.getElementById('nextRoundBtn');
 
         if (game) {
             if (startBtn) {
-                startBtn.disabled = game.gameState !== 'waiting';
-                startBtn.textContent = game.gameState === 'waiting' ? 'Start Game' : 'Game Started';
+                startBtn.disabled = !canManage || game.gameState !== 'lobby';
+                startBtn.textContent = game.gameState === 'lobby' ? 'Start Game' : 'Game Started';
             }
             
             if (pauseBtn) {
-                pauseBtn.disabled = game.gameState !== 'playing';
+                pauseBtn.disabled = !canManage || ['lobby', 'finished'].includes(game.gameState);
                 pauseBtn.textContent = game.gameState === 'paused' ? 'Resume Game' : 'Pause Game';
             }
             
             if (endBtn) {
-                endBtn.disabled = false;
-            }
-            
-            if (nextRoundBtn) {
-                nextRoundBtn.disabled = game.gameState !== 'playing';
+                endBtn.disabled = !canManage;
             }
         } else {
-            [startBtn, pauseBtn, endBtn, nextRoundBtn].forEach(btn => {
+            [startBtn, pauseBtn, endBtn].forEach(btn => {
                 if (btn) {
                     btn.disabled = true;
                 }
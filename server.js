@@ -7,13 +7,32 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
 // Import our CS 230 classes
 const GameService = require('./src/core/GameService');
+const RoundEngine = require('./src/core/RoundEngine');
+const WordBank = require('./src/core/WordBank');
+const ChatService = require('./src/core/ChatService');
+const SessionManager = require('./src/core/SessionManager');
+const AccountService = require('./src/core/AccountService');
+const IdleSweeper = require('./src/core/IdleSweeper');
+const GameSettingsSchema = require('./src/utils/GameSettingsSchema');
+const MemoryHistoryStore = require('./src/storage/MemoryHistoryStore');
+const FileHistoryStore = require('./src/storage/FileHistoryStore');
+const SnapshotStore = require('./src/storage/SnapshotStore');
 const Game = require('./src/entities/Game');
 const Team = require('./src/entities/Team');
 const Player = require('./src/entities/Player');
 const NameValidator = require('./src/utils/NameValidator');
+const TokenSigner = require('./src/utils/TokenSigner');
+const ContentFilter = require('./src/utils/ContentFilter');
+const NameConflictError = require('./src/utils/NameConflictError');
+const IllegalStateTransitionError = require('./src/utils/IllegalStateTransitionError');
+const NameRegistry = require('./src/core/NameRegistry');
+
+// Numeric setting from the environment; undefined when unset so the default applies, 0 included
+const envNumber = (name) => (process.env[name] !== undefined ? Number(process.env[name]) : undefined);
 
 class GameServer {
     constructor() {
@@ -27,12 +46,47 @@ class GameServer {
         });
         
         this.gameService = null;
+        this.wordBank = null;
+        this.contentFilter = this.createContentFilter();
+        this.nameValidator = new NameValidator({
+            contentFilter: this.contentFilter,
+            unicode: process.env.UNICODE_NAMES === 'true'
+        });
+        this.chatService = new ChatService({
+            contentFilter: this.contentFilter,
+            isKnownWord: word => this.isKnownWord(word)
+        });
+        this.sessions = new SessionManager({
+            gracePeriod: envNumber('RECONNECT_GRACE_PERIOD')
+        });
+        // Idle thresholds are in seconds; unset values use the sweeper's defaults
+        this.idleSweeper = new IdleSweeper({
+            idleAfter: envNumber('IDLE_TIMEOUT'),
+            removeAfter: envNumber('IDLE_REMOVE_AFTER'),
+            minActivePlayers: envNumber('MIN_ACTIVE_PLAYERS'),
+            understaffedAction: process.env.IDLE_ACTION,
+            interval: envNumber('IDLE_SWEEP_INTERVAL')
+        });
+        this.idleSweepTimer = null;
+        this.idlePausedGames = new Set(); // Ids of games paused for lack of active players
         this.connectedClients = new Map();
+        this.roundEngines = new Map(); // Game id -> RoundEngine
         this.port = process.env.PORT || 3000;
+        this.snapshotInterval = process.env.SNAPSHOT_INTERVAL !== undefined ? Number(process.env.SNAPSHOT_INTERVAL) : 10;
+        this.snapshotStore = this.createSnapshotStore();
+        this.snapshotTimer = null;
+        this.accounts = this.createAccountService();
+        // Signs the tokens hosts and players use for REST requests and socket handshakes.
+        // Set AUTH_SECRET so tokens survive a restart; AUTH_TOKEN_TTL is in seconds.
+        this.tokens = new TokenSigner({
+            secret: process.env.AUTH_SECRET,
+            ttl: Number(process.env.AUTH_TOKEN_TTL)
+        });
         
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
+        this.initializeWordBank();
         this.initializeGameService();
     }
 
@@ -49,8 +103,9 @@ class GameServer {
         // CORS middleware
         this.app.use((req, res, next) => {
             res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Game-Id');
+            res.header('Access-Control-Expose-Headers', 'X-Total-Count');
             next();
         });
     }
@@ -78,6 +133,22 @@ class GameServer {
             res.json(stats);
         });
 
+        // Word packs available to new games
+        this.app.get('/api/wordpacks', (req, res) => {
+            res.json(this.wordBank ? this.wordBank.listPacks() : []);
+        });
+
+        // Settings a game can be created with, with their defaults and limits
+        this.app.get('/api/settings', (req, res) => {
+            res.json(GameSettingsSchema.describe());
+        });
+
+        // List active games
+        this.app.get('/api/games', (req, res) => {
+            const games = this.gameService.listGames().map(game => game.getSummary());
+            res.json(games);
+        });
+
         // Create new game
         this.app.post('/api/games', (req, res) => {
             try {
@@ -87,30 +158,111 @@ class GameServer {
                     return res.status(400).json({ error: 'Game name is required' });
                 }
 
-                const game = this.gameService.createGame(name, options);
+                const gameName = this.assertValidName(name, 'Game', options.contentFilter);
+                const game = this.gameService.createGame(gameName, this.gameOptions(options));
+                this.watchGame(game);
                 res.status(201).json({
                     success: true,
-                    game: game.toJSON()
+                    game: game.toJSON(),
+                    authToken: this.issueAuthToken(game, game.hostId)
+                });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+
+        // Player accounts
+        this.app.post('/api/accounts', (req, res) => {
+            try {
+                const { username, password } = req.body || {};
+                this.accounts.register(username, password);
+                res.status(201).json(this.accounts.login(username, password));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/accounts/login', (req, res) => {
+            try {
+                const { username, password } = req.body || {};
+                res.json(this.accounts.login(username, password));
+            } catch (error) {
+                res.status(401).json({ error: error.message });
+            }
+        });
+
+        // The logged-in account, identified by an "Authorization: Bearer <token>" header
+        // (registered before :username so "me" is not treated as a username)
+        this.app.get('/api/accounts/me', (req, res) => {
+            const account = this.accounts.getAccountByToken(this.getBearerToken(req));
+            if (!account) {
+                return res.status(401).json({ error: 'Log in to see your profile' });
+            }
+            res.json(account);
+        });
+
+        this.app.post('/api/accounts/logout', (req, res) => {
+            this.accounts.logout(this.getBearerToken(req));
+            res.json({ success: true });
+        });
+
+        this.app.get('/api/accounts/:username', (req, res) => {
+            const profile = this.accounts.getProfile(req.params.username);
+            if (!profile) {
+                return res.status(404).json({ error: 'Account not found' });
+            }
+            res.json(profile);
+        });
+
+        // Game history (registered before the :gameId routes so it is not treated as an id)
+        // Filters: from, to, player, team; paging: offset, limit (default 50, at most 100), order
+        this.app.get('/api/games/history', (req, res) => {
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+            if (limit > 100) {
+                return res.status(400).json({ error: 'Limit must be at most 100' });
+            }
+
+            try {
+                const result = this.gameService.queryGameHistory({
+                    from: req.query.from,
+                    to: req.query.to,
+                    player: req.query.player,
+                    team: req.query.team,
+                    offset: req.query.offset,
+                    limit,
+                    order: req.query.order
                 });
+                res.set('X-Total-Count', String(result.total));
+                res.json(result.games);
             } catch (error) {
                 res.status(400).json({ error: error.message });
             }
         });
 
-        // Get current game
-        this.app.get('/api/games/current', (req, res) => {
-            const game = this.gameService.getCurrentGame();
+        // Get a game ("current" resolves to the caller's room)
+        this.app.get('/api/games/:gameId', (req, res) => {
+            const game = this.resolveRequestGame(req);
             if (!game) {
                 return res.status(404).json({ error: 'No active game' });
             }
             
-            res.json(game.toJSON());
+            res.json(game.toJSONFor(null));
         });
 
-        // End current game
-        this.app.delete('/api/games/current', (req, res) => {
+        // End a game ("current" resolves to the caller's room); host or co-host only
+        this.app.delete('/api/games/:gameId', (req, res) => {
             try {
-                const endedGame = this.gameService.endCurrentGame();
+                const game = this.resolveRequestGame(req);
+                if (game && !this.authorizeRequest(req, res, game, 'end the game')) {
+                    return;
+                }
+
+                const endedGame = game ? this.gameService.endGame(game.id) : null;
+                if (endedGame) {
+                    this.stopRoundEngine(endedGame);
+                    this.io.to(endedGame.id).emit('gameEnded', { game: endedGame.toJSON() });
+                    this.closeGameRoom(endedGame);
+                }
                 res.json({
                     success: true,
                     game: endedGame ? endedGame.toJSON() : null
@@ -120,21 +272,190 @@ class GameServer {
             }
         });
 
-        // Validate name uniqueness
+        // Let the host choose co-hosts, who may also start, pause and end the game
+        this.app.post('/api/games/:gameId/cohosts', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            const authId = this.authenticateRequest(req, game);
+            if (!authId) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            try {
+                this.setCoHost(game, authId, req.body.playerId, true);
+                res.json({ success: true, coHostIds: game.coHostIds });
+            } catch (error) {
+                res.status(game.isHost(authId) ? 400 : 403).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/games/:gameId/cohosts/:playerId', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            const authId = this.authenticateRequest(req, game);
+            if (!authId) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            try {
+                this.setCoHost(game, authId, req.params.playerId, false);
+                res.json({ success: true, coHostIds: game.coHostIds });
+            } catch (error) {
+                res.status(game.isHost(authId) ? 400 : 403).json({ error: error.message });
+            }
+        });
+
+        // Moderation audit log of the caller's game; host or co-host only
+        this.app.get('/api/games/:gameId/moderation', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (this.authorizeRequest(req, res, game, 'see the moderation log')) {
+                res.json(game.moderationLog);
+            }
+        });
+
+        // Change the caller's game settings before it starts; host or co-host only
+        this.app.patch('/api/games/:gameId/settings', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (!this.authorizeRequest(req, res, game, 'change the settings')) {
+                return;
+            }
+
+            try {
+                this.gameService.updateGameSettings(game.id, req.body);
+                this.broadcastGameUpdate(game);
+                res.json({ success: true, settings: game.gameSettings });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+
+        // Create a team in the caller's game; host or co-host only
+        this.app.post('/api/games/:gameId/teams', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (!this.authorizeRequest(req, res, game, 'create teams')) {
+                return;
+            }
+
+            try {
+                const { name, color } = req.body;
+                const teamName = this.assertValidName(name, 'Team', game.gameSettings.contentFilter);
+                const team = game.createTeam(uuidv4(), teamName, color);
+                this.broadcastGameUpdate(game);
+                res.status(201).json({ success: true, team: team.toJSON() });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+
+        // Rename a team in the caller's game; host or co-host only
+        this.app.patch('/api/games/:gameId/teams/:teamId', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (!this.authorizeRequest(req, res, game, 'rename teams')) {
+                return;
+            }
+
+            try {
+                const team = this.renameTeam(game, req.params.teamId, (req.body || {}).name);
+                this.broadcastGameUpdate(game);
+                res.json({ success: true, team: team.toJSON() });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+
+        // Remove a team from the caller's game; host or co-host only
+        this.app.delete('/api/games/:gameId/teams/:teamId', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (!this.authorizeRequest(req, res, game, 'remove teams')) {
+                return;
+            }
+
+            try {
+                game.removeTeam(req.params.teamId);
+                this.broadcastGameUpdate(game);
+                res.json({ success: true });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Update a player's name, readiness and/or team; the player, the host or a co-host only
+        this.app.patch('/api/games/:gameId/players/:playerId', (req, res) => {
+            const game = this.resolveRequestGame(req);
+            if (!game) {
+                return res.status(404).json({ error: 'No active game' });
+            }
+
+            if (!this.authorizeRequest(req, res, game, 'update this player', req.params.playerId)) {
+                return;
+            }
+
+            try {
+                const player = this.updatePlayer(game, req.params.playerId, req.body);
+                this.broadcastGameUpdate(game);
+                res.json({ success: true, player: player.toJSON() });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+
+        // Naming rules, so clients can check names the same way before sending them
+        this.app.get('/api/validate/rules', (req, res) => {
+            res.json(this.nameValidator.getValidationRules());
+        });
+
+        // Validate name uniqueness: game names globally, team and player names within gameId's game
         this.app.post('/api/validate/name', (req, res) => {
-            const { name } = req.body;
+            const { name, type, gameId } = req.body;
             if (!name) {
                 return res.status(400).json({ error: 'Name is required' });
             }
 
-            const isUnique = this.gameService.isNameUnique(name);
-            res.json({ isUnique });
-        });
+            let scope = null;
+            if (type === 'game') {
+                scope = NameRegistry.GLOBAL;
+            } else if (gameId) {
+                const game = this.gameService.getGame(gameId);
+                if (!game) {
+                    return res.status(404).json({ error: 'Game not found' });
+                }
+                scope = game.nameScope;
+            }
 
-        // Game history
-        this.app.get('/api/games/history', (req, res) => {
-            const history = this.gameService.getGameHistory();
-            res.json(history);
+            const isUnique = this.gameService.isNameUnique(name, scope);
+            const content = this.nameValidator.checkContent(name, 'Name');
+            res.json({
+                isUnique,
+                isAllowed: content.isValid,
+                reason: content.reason,
+                suggestion: isUnique ? null : this.gameService.suggestName(name, scope || NameRegistry.GLOBAL)
+            });
         });
 
         // Serve main page
@@ -152,154 +473,1513 @@ class GameServer {
      * Setup Socket.IO handlers for real-time communication
      */
     setupSocketHandlers() {
+        this.io.use((socket, next) => this.authenticateHandshake(socket, next));
+
         this.io.on('connection', (socket) => {
             console.log(`Client connected: ${socket.id}`);
             
-            // Store client connection
+            // Store client connection; authId is who the client acts as for host-only actions
             this.connectedClients.set(socket.id, {
                 socket,
                 gameId: null,
                 playerId: null,
+                spectatorId: null,
+                authId: null,
                 connectedAt: new Date()
             });
 
+            const auth = socket.data && socket.data.auth;
+            const authGame = auth ? this.gameService.getGame(auth.gameId) : null;
+            if (authGame) {
+                this.joinGameRoom(socket, authGame);
+                this.connectedClients.get(socket.id).authId = auth.sub;
+            }
+
+            // Anything a player sends counts as activity for idle detection
+            socket.use((packet, next) => {
+                const client = this.connectedClients.get(socket.id);
+                const game = client && client.playerId ? this.gameService.getGame(client.gameId) : null;
+                const player = game ? game.getPlayer(client.playerId) : null;
+                if (player) {
+                    player.recordActivity();
+                }
+                next();
+            });
+
             // Handle game creation
-            socket.on('createGame', (data) => {
+            socket.on('createGame', (data = {}) => {
                 try {
-                    const game = this.gameService.createGame(data.name, data.options);
-                    socket.emit('gameCreated', { success: true, game: game.toJSON() });
-                    socket.broadcast.emit('gameUpdated', { game: game.toJSON() });
+                    const options = data.options || {};
+                    const gameName = this.assertValidName(data.name, 'Game', options.contentFilter);
+                    const game = this.gameService.createGame(gameName, this.gameOptions(options));
+                    this.watchGame(game);
+                    this.joinGameRoom(socket, game);
+                    this.connectedClients.get(socket.id).authId = game.hostId;
+                    socket.emit('gameCreated', {
+                        success: true,
+                        game: game.toJSON(),
+                        authToken: this.issueAuthToken(game, game.hostId)
+                    });
+                    this.broadcastGameList();
                 } catch (error) {
-                    socket.emit('gameError', { error: error.message });
+                    socket.emit('gameError', this.describeError(error));
                 }
             });
 
-            // Handle joining game
-            socket.on('joinGame', (data) => {
-                const game = this.gameService.getCurrentGame();
+            // Handle joining game (by game id or join code)
+            socket.on('joinGame', (data = {}) => {
+                const game = data.gameId || data.joinCode
+                    ? this.gameService.getGame(data.gameId || data.joinCode)
+                    : this.getClientGame(socket);
                 if (!game) {
                     socket.emit('gameError', { error: 'No active game' });
                     return;
                 }
 
                 try {
-                    const player = game.addPlayer(data.playerId, data.playerName, data.teamId);
-                    this.connectedClients.get(socket.id).playerId = player.id;
-                    this.connectedClients.get(socket.id).gameId = game.id;
+                    // A logged-in player is linked to their account so the game counts towards their profile
+                    let account = null;
+                    if (data.accountToken) {
+                        account = this.accounts.getAccountByToken(data.accountToken);
+                        if (!account) {
+                            throw new Error('Your login has expired, please log in again');
+                        }
+                        if (game.players.some(player => player.accountId === account.id)) {
+                            throw new Error('This account is already in the game');
+                        }
+                    }
+
+                    // The ban covers both the id the server issued and the one the client asks for
+                    const identity = this.issuedIdentity(socket, game, data.authToken);
+                    if (game.isBanned(identity, account && account.id) || game.isBanned(data.playerId)) {
+                        throw new Error('You are banned from this game');
+                    }
+                    // Host and co-host ids are only taken on by a client holding a token for them
+                    if (game.canManage(data.playerId) && identity !== data.playerId) {
+                        throw new Error('This player id is not available');
+                    }
+
+                    const playerName = this.assertValidName(
+                        data.playerName || (account && account.username), 'Player', game.gameSettings.contentFilter
+                    );
+                    const player = game.addPlayer(data.playerId, playerName, data.teamId);
+                    if (account) {
+                        player.linkAccount(account.id);
+                    }
+                    this.joinGameRoom(socket, game);
+                    const client = this.connectedClients.get(socket.id);
+                    client.playerId = player.id;
+
+                    // A host adding players from their own screen stays the host; anyone else
+                    // acts as their player, and the first one into a game without a host gets the role
+                    client.authId = identity || player.id;
+                    if (!game.hostId) {
+                        game.setHost(client.authId);
+                    }
                     
-                    socket.emit('playerJoined', { success: true, player: player.toJSON() });
-                    socket.broadcast.emit('gameUpdated', { game: game.toJSON() });
+                    const sessionToken = this.sessions.createSession(game.id, player.id);
+                    socket.emit('playerJoined', {
+                        success: true,
+                        player: player.toJSON(),
+                        sessionToken,
+                        authToken: this.issueAuthToken(game, client.authId)
+                    });
+                    socket.emit('canvasState', game.drawingBoard.toJSON());
+                    socket.emit('chatHistory', { messages: this.chatService.getHistory(game.id, player.teamId) });
+                    this.broadcastGameUpdate(game);
                 } catch (error) {
-                    socket.emit('gameError', { error: error.message });
+                    socket.emit('gameError', this.describeError(error));
                 }
             });
 
-            // Handle drawing data
-            socket.on('drawingData', (data) => {
-                const client = this.connectedClients.get(socket.id);
-                if (client && client.gameId) {
-                    // Broadcast drawing data to other players
-                    socket.broadcast.emit('drawingUpdate', {
-                        playerId: client.playerId,
-                        drawingData: data
-                    });
+            // Watch a game (by game id or join code) without playing; possible mid-round
+            socket.on('spectateGame', (data = {}) => {
+                const game = this.gameService.getGame(data.gameId || data.joinCode);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
                 }
-            });
 
-            // Handle game actions
-            socket.on('startGame', () => {
-                const game = this.gameService.getCurrentGame();
-                if (game) {
-                    try {
-                        game.startGame();
-                        this.io.emit('gameUpdated', { game: game.toJSON() });
-                    } catch (error) {
-                        socket.emit('gameError', { error: error.message });
+                try {
+                    const client = this.connectedClients.get(socket.id);
+                    if (client.playerId && client.gameId === game.id) {
+                        throw new Error('You are already playing in this game');
+                    }
+
+                    const account = data.accountToken ? this.accounts.getAccountByToken(data.accountToken) : null;
+                    const identity = this.issuedIdentity(socket, game, data.authToken);
+                    if (game.isBanned(identity, account && account.id) || game.isBanned(data.spectatorId)) {
+                        throw new Error('You are banned from this game');
                     }
+
+                    const spectatorId = data.spectatorId || uuidv4();
+                    const name = this.assertValidName(data.name, 'Spectator', game.gameSettings.contentFilter);
+                    const spectator = game.addSpectator(spectatorId, name);
+                    this.joinGameRoom(socket, game);
+                    client.spectatorId = spectator.id;
+
+                    socket.emit('spectatorJoined', { success: true, spectator: spectator.toJSON() });
+                    socket.emit('canvasState', game.drawingBoard.toJSON());
+                    socket.emit('chatHistory', { messages: this.chatService.getHistory(game.id, null, true) });
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
                 }
             });
 
-            socket.on('pauseGame', () => {
-                const game = this.gameService.getCurrentGame();
-                if (game) {
-                    try {
-                        game.pauseGame();
-                        this.io.emit('gameUpdated', { game: game.toJSON() });
-                    } catch (error) {
-                        socket.emit('gameError', { error: error.message });
-                    }
+            // Handle team management; host or co-host only
+            socket.on('createTeam', (data = {}) => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'create teams');
+                    const teamName = this.assertValidName(data.teamName, 'Team', game.gameSettings.contentFilter);
+                    const team = game.createTeam(uuidv4(), teamName, data.color);
+                    socket.emit('teamCreated', { success: true, team: team.toJSON() });
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
                 }
             });
 
-            socket.on('endGame', () => {
+            socket.on('updateSettings', (data = {}) => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
                 try {
-                    const endedGame = this.gameService.endCurrentGame();
-                    this.io.emit('gameEnded', { game: endedGame ? endedGame.toJSON() : null });
+                    this.assertCanManage(socket, game, 'change the settings');
+                    this.gameService.updateGameSettings(game.id, data.settings);
+                    this.broadcastGameUpdate(game);
                 } catch (error) {
-                    socket.emit('gameError', { error: error.message });
+                    socket.emit('gameError', this.describeError(error));
                 }
             });
 
-            // Handle disconnection
-            socket.on('disconnect', () => {
-                console.log(`Client disconnected: ${socket.id}`);
-                this.connectedClients.delete(socket.id);
+            socket.on('renameTeam', (data = {}) => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'rename teams');
+                    this.renameTeam(game, data.teamId, data.name);
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
             });
-        });
-    }
 
-    /**
-     * Initialize the game service (Singleton pattern)
-     */
-    initializeGameService() {
-        try {
-            this.gameService = GameService.getInstance();
-            this.gameService.initialize();
-            console.log('Game service initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize game service:', error);
-        }
-    }
+            socket.on('removeTeam', (data = {}) => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
 
-    /**
-     * Start the server
-     */
-    start() {
-        this.server.listen(this.port, () => {
-            console.log(`🎨 Draw It Or Lose It Server running on port ${this.port}`);
-            console.log(`📱 Access the game at: http://localhost:${this.port}`);
-            console.log(`🔧 API endpoints available at: http://localhost:${this.port}/api`);
-            console.log(`📊 Health check: http://localhost:${this.port}/api/health`);
-        });
-    }
+                try {
+                    this.assertCanManage(socket, game, 'remove teams');
+                    game.removeTeam(data.teamId);
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
 
-    /**
-     * Graceful shutdown
-     */
-    shutdown() {
-        console.log('Shutting down server...');
-        this.server.close(() => {
-            console.log('Server closed successfully');
-            process.exit(0);
-        });
-    }
-}
+            // Handle readiness and team switching for the socket's own player
+            socket.on('setReady', (data = {}) => {
+                this.handlePlayerUpdate(socket, { isReady: data.isReady });
+            });
+
+            socket.on('switchTeam', (data = {}) => {
+                this.handlePlayerUpdate(socket, { teamId: data.teamId || null });
+            });
+
+            socket.on('renamePlayer', (data = {}) => {
+                this.handlePlayerUpdate(socket, { name: data.name });
+            });
 
-// Create and start server
-const gameServer = new GameServer();
+            // Handle vector strokes from the current drawer
+            socket.on('strokeStart', (data = {}) => {
+                this.handleDrawing(socket, (game, client) => {
+                    const stroke = game.drawingBoard.beginStroke(data);
+                    socket.to(game.id).emit('strokeStart', { playerId: client.playerId, stroke });
+                });
+            });
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\nReceived SIGINT, shutting down gracefully...');
-    gameServer.shutdown();
-});
+            socket.on('strokePoints', (data = {}) => {
+                this.handleDrawing(socket, (game) => {
+                    // Relay the points as the board stored them, never the client's own objects
+                    const points = game.drawingBoard.appendPoints(data.id, data.points);
+                    socket.to(game.id).emit('strokePoints', { id: data.id, points });
+                });
+            });
 
-process.on('SIGTERM', () => {
-    console.log('\nReceived SIGTERM, shutting down gracefully...');
-    gameServer.shutdown();
-});
+            socket.on('strokeEnd', (data = {}) => {
+                this.handleDrawing(socket, (game) => {
+                    game.drawingBoard.endStroke(data.id);
+                    socket.to(game.id).emit('strokeEnd', { id: data.id });
+                });
+            });
 
-// Start the server
-gameServer.start();
+            socket.on('clearCanvas', () => {
+                this.handleDrawing(socket, (game) => {
+                    if (game.drawingBoard.clear()) {
+                        socket.to(game.id).emit('canvasCleared');
+                    }
+                });
+            });
+
+            // Undo and redo are resolved on the server so every client redraws the same strokes
+            socket.on('undoStroke', () => {
+                this.handleDrawing(socket, (game) => {
+                    if (!game.drawingBoard.undo()) {
+                        throw new Error('Nothing to undo');
+                    }
+                    this.io.to(game.id).emit('canvasState', game.drawingBoard.toJSON());
+                });
+            });
+
+            socket.on('redoStroke', () => {
+                this.handleDrawing(socket, (game) => {
+                    if (!game.drawingBoard.redo()) {
+                        throw new Error('Nothing to redo');
+                    }
+                    this.io.to(game.id).emit('canvasState', game.drawingBoard.toJSON());
+                });
+            });
+
+            // Handle game actions
+            socket.on('startGame', () => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'start the game');
+                    // Build the engine first: a deck that cannot be dealt leaves the game in the lobby
+                    const engine = this.createRoundEngine(game);
+                    try {
+                        game.startGame();
+                    } catch (error) {
+                        this.stopRoundEngine(game);
+                        throw error;
+                    }
+                    this.broadcastGameUpdate(game);
+                    engine.start();
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            socket.on('pauseGame', () => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'pause the game');
+                    game.pauseGame();
+                    const engine = this.roundEngines.get(game.id);
+                    if (engine) {
+                        engine.pause();
+                    }
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            socket.on('resumeGame', () => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'resume the game');
+                    game.resumeGame();
+                    // The host took over; the idle sweep no longer resumes it by itself
+                    this.idlePausedGames.delete(game.id);
+                    const engine = this.roundEngines.get(game.id);
+                    if (engine) {
+                        engine.resume();
+                    }
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            socket.on('endGame', () => {
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.assertCanManage(socket, game, 'end the game');
+                    this.stopRoundEngine(game);
+                    const endedGame = this.gameService.endGame(game.id);
+                    this.io.to(game.id).emit('gameEnded', { game: endedGame ? endedGame.toJSON() : null });
+                    this.closeGameRoom(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            // The host names or drops co-hosts among the game's players
+            socket.on('setCoHost', (data = {}) => {
+                const client = this.connectedClients.get(socket.id);
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    this.setCoHost(game, client.authId, data.playerId, data.isCoHost !== false);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            // Moderation: the host and co-hosts can kick, ban and mute players
+            socket.on('kickPlayer', (data = {}) => {
+                this.handleModeration(socket, 'kick players',
+                    (game, client) => game.kickPlayer(data.playerId, client.authId, data.reason));
+            });
+
+            socket.on('banPlayer', (data = {}) => {
+                this.handleModeration(socket, 'ban players',
+                    (game, client) => game.banPlayer(data.playerId, client.authId, data.reason));
+            });
+
+            socket.on('mutePlayer', (data = {}) => {
+                this.handleModeration(socket, 'mute players',
+                    (game, client) => game.setPlayerMuted(data.playerId, data.isMuted !== false, client.authId));
+            });
+
+            // Without a connected host, players can vote a disruptive player out
+            socket.on('voteKick', (data = {}) => {
+                const client = this.connectedClients.get(socket.id);
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    if (this.hasActiveHost(game)) {
+                        throw new Error('Vote-kicks are only possible while no host is connected');
+                    }
+
+                    const result = game.voteKick(client.playerId, data.playerId);
+                    if (result.entry) {
+                        this.dropPlayer(game, result.entry, 'voteKick');
+                    }
+                    this.broadcastGameUpdate(game);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            // Handle guesses for the current round
+            socket.on('submitGuess', (data = {}) => {
+                this.handleGuess(socket, data.guess);
+            });
+
+            // Chat messages that mention the word are treated as guesses
+            socket.on('chatMessage', (data = {}) => {
+                const client = this.connectedClients.get(socket.id);
+                const game = this.getClientGame(socket);
+                if (!game) {
+                    socket.emit('gameError', { error: 'No active game' });
+                    return;
+                }
+
+                try {
+                    const result = this.chatService.postMessage(game, client.playerId || client.spectatorId, data);
+                    if (result.type === 'message') {
+                        this.sendChatMessage(game, result.message);
+                        return;
+                    }
+
+                    // The drawer and players who already guessed must not give the word away
+                    const engine = this.roundEngines.get(game.id);
+                    if (!engine || game.isDrawer(client.playerId) || engine.hasGuessed(client.playerId)) {
+                        throw new Error('You cannot say the word in chat');
+                    }
+                    if (game.gameState === 'paused') {
+                        throw new Error('Guesses wait until the game resumes');
+                    }
+                    this.handleGuess(socket, result.text, { fromChat: true });
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            // The drawer picks one of the words offered in wordChoices
+            socket.on('chooseWord', (data = {}) => {
+                const client = this.connectedClients.get(socket.id);
+                const game = this.getClientGame(socket);
+                const engine = game ? this.roundEngines.get(game.id) : null;
+                if (!engine) {
+                    socket.emit('gameError', { error: 'No word choice is pending' });
+                    return;
+                }
+
+                try {
+                    engine.chooseWord(client.playerId, data.word);
+                } catch (error) {
+                    socket.emit('gameError', this.describeError(error));
+                }
+            });
+
+            // Handle session resume: reattach a reconnecting socket to the player it belonged to
+            socket.on('resumeSession', (data = {}) => {
+                this.resumeSession(socket, data.sessionToken);
+            });
+
+            // Handle disconnection
+            socket.on('disconnect', () => {
+                console.log(`Client disconnected: ${socket.id}`);
+                this.handleDisconnect(socket);
+            });
+        });
+    }
+
+    /**
+     * Resolve the game a REST request targets
+     * "current" means the caller's room, named by the X-Game-Id header or ?gameId=
+     * @param {Object} req - Express request
+     * @returns {Game|null} The targeted game or null if none exists
+     */
+    resolveRequestGame(req) {
+        const { gameId } = req.params;
+        if (gameId && gameId !== 'current') {
+            return this.gameService.getGame(gameId);
+        }
+
+        const roomId = req.get('X-Game-Id') || req.query.gameId;
+        if (roomId) {
+            return this.gameService.getGame(roomId);
+        }
+
+        return this.gameService.isSingleGameMode() ? this.gameService.getCurrentGame() : null;
+    }
+
+    /**
+     * Read the token of an "Authorization: Bearer <token>" header
+     * @param {Object} req - Express request
+     * @returns {string|null} The token, or null if there is none
+     */
+    getBearerToken(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Options for a new game: the caller becomes its host, and the content filter
+     * strictness defaults to the server's (CONTENT_FILTER)
+     * @param {Object} options - Options sent by the client
+     * @returns {Object} Options for GameService.createGame
+     */
+    gameOptions(options = {}) {
+        return {
+            ...options,
+            contentFilter: options.contentFilter || this.contentFilter.strictness,
+            hostId: uuidv4()
+        };
+    }
+
+    /**
+     * Refuse names that break the naming rules or contain offensive language
+     * Uniqueness is left to the name registry, which suggests a free name on a clash.
+     * @param {string} name - Game, team or player name
+     * @param {string} type - 'Game', 'Team' or 'Player', for the error message
+     * @param {string} strictness - Content filter level; the server default when not given
+     * @returns {string} The name to store: trimmed, and NFKC normalized in unicode mode
+     */
+    assertValidName(name, type, strictness) {
+        const validation = this.nameValidator.validateName(name, type, { strictness: strictness || undefined });
+        if (!validation.isValid) {
+            throw new Error(validation.message);
+        }
+        return validation.originalName;
+    }
+
+    /**
+     * Rename a team after checking the new name
+     * @param {Game} game - The team's game
+     * @param {string} teamId - Id of the team
+     * @param {string} name - New team name
+     * @returns {Team} The renamed team
+     */
+    renameTeam(game, teamId, name) {
+        const team = game.getTeam(teamId);
+        if (!team) {
+            throw new Error('Team not found');
+        }
+
+        team.updateName(this.assertValidName(name, 'Team', game.gameSettings.contentFilter));
+        return team;
+    }
+
+    /**
+     * Turn a caught error into a client payload; name clashes and illegal state changes add a code
+     * @param {Error} error - The caught error
+     * @returns {Object} { error } plus { code, name, scope, suggestion } for name clashes
+     *   or { code, from, to } for illegal state changes
+     */
+    describeError(error) {
+        const isTyped = error instanceof NameConflictError || error instanceof IllegalStateTransitionError;
+        return isTyped ? error.toJSON() : { error: error.message };
+    }
+
+    /**
+     * Answer a REST request with a caught error: 409 for name clashes and illegal state changes, 400 otherwise
+     * @param {Object} res - Express response
+     * @param {Error} error - The caught error
+     */
+    sendError(res, error) {
+        const isConflict = error instanceof NameConflictError || error instanceof IllegalStateTransitionError;
+        res.status(isConflict ? 409 : 400).json(this.describeError(error));
+    }
+
+    /**
+     * Check whether a guess is a real word from the loaded word packs
+     * @param {string} word - Normalized guess
+     * @returns {boolean} True if a word pack contains it
+     */
+    isKnownWord(word) {
+        return this.wordBank !== null && this.wordBank.hasWord(word);
+    }
+
+    /**
+     * Relay a game's state changes to its room as gameStateChanged
+     * @param {Game} game - A game created or restored by this server
+     */
+    watchGame(game) {
+        game.on('stateChanged', (change) => {
+            this.io.to(game.id).emit('gameStateChanged', change);
+        });
+    }
+
+    /**
+     * Sign a token that lets a client act as a host or player of a game
+     * @param {Game} game - The game the token is for
+     * @param {string} authId - Host id or player id the client acts as
+     * @returns {string} Token for "Authorization: Bearer" headers and socket handshakes
+     */
+    issueAuthToken(game, authId) {
+        return this.tokens.sign({ gameId: game.id, sub: authId });
+    }
+
+    /**
+     * Find who the server has issued a socket for a game, so bans cannot be dodged with a new player id
+     * Looks at the auth token sent with the request, then the handshake token, then the id the socket acts as.
+     * @param {Object} socket - Client socket
+     * @param {Game} game - The game being joined or watched
+     * @param {string} token - Auth token sent with the request, if any
+     * @returns {string|null} The token subject, or null for a client the game has never seen
+     */
+    issuedIdentity(socket, game, token) {
+        const client = this.connectedClients.get(socket.id);
+        const candidates = [socket.data && socket.data.auth];
+        if (token) {
+            try {
+                candidates.unshift(this.tokens.verify(token));
+            } catch (error) {
+                // An expired or foreign token identifies nobody
+            }
+        }
+
+        const auth = candidates.find(payload => payload && payload.gameId === game.id);
+        if (auth) {
+            return auth.sub;
+        }
+        return client && client.gameId === game.id ? client.authId : null;
+    }
+
+    /**
+     * Socket.IO middleware: check the token a socket sends with io({ auth: { token } })
+     * The authToken from gameCreated or playerJoined lets a reconnecting socket act as
+     * that host or player again. Sockets without a token connect anonymously; bad tokens are refused.
+     * @param {Object} socket - Connecting socket
+     * @param {Function} next - Middleware callback
+     */
+    authenticateHandshake(socket, next) {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        if (!token) {
+            return next();
+        }
+
+        try {
+            socket.data.auth = this.tokens.verify(token);
+            next();
+        } catch (error) {
+            next(new Error(error.message));
+        }
+    }
+
+    /**
+     * Find who a REST request acts as in a game from its Bearer token
+     * @param {Object} req - Express request
+     * @param {Game} game - The game the request targets
+     * @returns {string|null} Host or player id, or null without a valid token for this game
+     */
+    authenticateRequest(req, game) {
+        const token = this.getBearerToken(req);
+        if (!token) {
+            return null;
+        }
+
+        try {
+            const payload = this.tokens.verify(token);
+            return payload.gameId === game.id ? payload.sub : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check that a REST request comes from the game's host or a co-host
+     * Responds 401 without a valid token for the game and 403 for anyone else.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Game} game - The game the request targets
+     * @param {string} action - What the request does, for the error message
+     * @param {string} playerId - A player who may also make the request, e.g. to change themselves
+     * @returns {boolean} True if the request may go ahead
+     */
+    authorizeRequest(req, res, game, action, playerId = null) {
+        const authId = this.authenticateRequest(req, game);
+        if (!authId) {
+            res.status(401).json({ error: 'Authentication required' });
+            return false;
+        }
+
+        if (!game.canManage(authId) && authId !== playerId) {
+            const allowed = playerId ? 'the host, a co-host or the player' : 'the host or a co-host';
+            res.status(403).json({ error: `Only ${allowed} can ${action}` });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check that a socket's client is the game's host or a co-host
+     * @param {Object} socket - Client socket
+     * @param {Game} game - The client's game
+     * @param {string} action - What the client tried, for the error message
+     */
+    assertCanManage(socket, game, action) {
+        const client = this.connectedClients.get(socket.id);
+        if (!game.canManage(client && client.authId)) {
+            throw new Error(`Only the host or a co-host can ${action}`);
+        }
+    }
+
+    /**
+     * Make a player a co-host or take the role away; only the host may
+     * @param {Game} game - The game
+     * @param {string} authId - Who is asking
+     * @param {string} playerId - The player to change
+     * @param {boolean} isCoHost - Whether the player should be a co-host
+     */
+    setCoHost(game, authId, playerId, isCoHost) {
+        if (!game.isHost(authId)) {
+            throw new Error('Only the host can choose co-hosts');
+        }
+
+        if (isCoHost) {
+            game.addCoHost(playerId);
+        } else {
+            game.removeCoHost(playerId);
+        }
+        this.broadcastGameUpdate(game);
+    }
+
+    /**
+     * Get the game a socket has joined
+     * @param {Object} socket - Client socket
+     * @returns {Game|null} The client's game or null if it has not joined one
+     */
+    getClientGame(socket) {
+        const client = this.connectedClients.get(socket.id);
+        if (client && client.gameId) {
+            return this.gameService.getGame(client.gameId);
+        }
+
+        return this.gameService.isSingleGameMode() ? this.gameService.getCurrentGame() : null;
+    }
+
+    /**
+     * Move a socket into a game's Socket.IO room, leaving any previous room
+     * @param {Object} socket - Client socket
+     * @param {Game} game - Game to join
+     */
+    joinGameRoom(socket, game) {
+        const client = this.connectedClients.get(socket.id);
+        this.removeSpectator(client);
+        if (client.gameId && client.gameId !== game.id) {
+            socket.leave(client.gameId);
+            client.playerId = null;
+            client.authId = null;
+        }
+
+        socket.join(game.id);
+        client.gameId = game.id;
+    }
+
+    /**
+     * Remove every socket from an ended game's room
+     * @param {Game} game - The ended game
+     */
+    closeGameRoom(game) {
+        try {
+            this.accounts.recordGame(game);
+        } catch (error) {
+            console.error('Failed to update player profiles:', error);
+        }
+        this.chatService.clearGame(game.id);
+        this.sessions.removeGame(game.id);
+        this.idlePausedGames.delete(game.id);
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId === game.id) {
+                client.socket.leave(game.id);
+                client.gameId = null;
+                client.playerId = null;
+                client.spectatorId = null;
+                client.authId = null;
+            }
+        }
+        this.broadcastGameList();
+    }
+
+    /**
+     * Stop a socket spectating: its spectator leaves the game, the socket stays in the room
+     * @param {Object} client - Entry of connectedClients
+     */
+    removeSpectator(client) {
+        const game = client.spectatorId ? this.gameService.getGame(client.gameId) : null;
+        if (game && game.isSpectator(client.spectatorId)) {
+            game.removeSpectator(client.spectatorId);
+            this.broadcastGameUpdate(game);
+        }
+        client.spectatorId = null;
+    }
+
+    /**
+     * Rebind a socket to the player of a session and send it the state it missed
+     * @param {Object} socket - The new client socket
+     * @param {string} sessionToken - Token issued when the player joined
+     */
+    resumeSession(socket, sessionToken) {
+        const session = this.sessions.getSession(sessionToken);
+        const game = session ? this.gameService.getGame(session.gameId) : null;
+        const player = game ? game.getPlayer(session.playerId) : null;
+        if (!player) {
+            socket.emit('sessionExpired');
+            return;
+        }
+
+        this.sessions.cancelGracePeriod(session.token);
+        this.joinGameRoom(socket, game);
+        const client = this.connectedClients.get(socket.id);
+        client.playerId = player.id;
+        client.authId = this.issuedIdentity(socket, game) || player.id;
+        player.setConnected(true);
+
+        socket.emit('sessionResumed', {
+            player: player.toJSON(),
+            game: game.toJSONFor(player.id),
+            sessionToken: session.token,
+            authToken: this.issueAuthToken(game, client.authId)
+        });
+        socket.emit('canvasState', game.drawingBoard.toJSON());
+        socket.emit('chatHistory', { messages: this.chatService.getHistory(game.id, player.teamId) });
+
+        const engine = this.roundEngines.get(game.id);
+        if (engine && engine.isChoosingWord && game.isDrawer(player.id)) {
+            socket.emit('wordChoices', {
+                round: game.currentRound,
+                drawerId: player.id,
+                choices: engine.wordChoices,
+                timeout: null
+            });
+        }
+
+        this.broadcastGameUpdate(game);
+    }
+
+    /**
+     * Forget a socket; if it was a player's last socket, start their reconnect grace period
+     * @param {Object} socket - The disconnected socket
+     */
+    handleDisconnect(socket) {
+        const client = this.connectedClients.get(socket.id);
+        this.connectedClients.delete(socket.id);
+        if (client && client.spectatorId) {
+            this.removeSpectator(client);
+        }
+        if (!client || !client.playerId) {
+            return;
+        }
+
+        const game = this.gameService.getGame(client.gameId);
+        const player = game ? game.getPlayer(client.playerId) : null;
+        if (!player) {
+            return;
+        }
+
+        // The player may still be connected from another tab
+        for (const other of this.connectedClients.values()) {
+            if (other.gameId === game.id && other.playerId === player.id) {
+                return;
+            }
+        }
+
+        player.setConnected(false);
+        this.broadcastGameUpdate(game);
+
+        const session = this.sessions.findSession(game.id, player.id);
+        if (session) {
+            this.sessions.startGracePeriod(session.token, () => this.expireSession(game.id, player.id));
+        }
+    }
+
+    /**
+     * A disconnected player did not come back in time: skip their drawing turn
+     * The player stays in the game, marked disconnected, and is passed over as drawer
+     * @param {string} gameId - Id of the player's game
+     * @param {string} playerId - Id of the player
+     */
+    expireSession(gameId, playerId) {
+        const game = this.gameService.getGame(gameId);
+        if (!game || !game.getPlayer(playerId)) {
+            return;
+        }
+
+        const engine = this.roundEngines.get(game.id);
+        if (engine && game.isDrawer(playerId)) {
+            engine.endRound('drawerLeft');
+        }
+        this.broadcastGameUpdate(game);
+    }
+
+    /**
+     * Sweep every game for idle players
+     */
+    sweepIdlePlayers() {
+        for (const game of this.gameService.listGames()) {
+            this.sweepIdleGame(game);
+        }
+    }
+
+    /**
+     * Act on one game's idle sweep: skip an idle drawer's turn, drop removed players,
+     * and pause or end the game if too few active players remain
+     * A game paused here resumes by itself once enough players are active again.
+     * @param {Game} game - The game to sweep
+     */
+    sweepIdleGame(game) {
+        const report = this.idleSweeper.sweep(game);
+        const engine = this.roundEngines.get(game.id);
+        let changed = report.idle.length > 0 || report.removed.length > 0;
+
+        if (report.drawerIdle && engine) {
+            engine.endRound('drawerIdle');
+            changed = true;
+        }
+
+        for (const removed of report.removed) {
+            this.dropPlayer(game, removed, 'idle');
+        }
+
+        if (report.understaffed && this.idleSweeper.understaffedAction === 'end') {
+            this.stopRoundEngine(game);
+            const endedGame = this.gameService.endGame(game.id);
+            this.io.to(game.id).emit('gameEnded', {
+                game: endedGame ? endedGame.toJSON() : game.toJSON(),
+                reason: 'notEnoughPlayers'
+            });
+            this.closeGameRoom(game);
+            return;
+        }
+
+        if (report.understaffed) {
+            game.pauseGame();
+            if (engine) {
+                engine.pause();
+            }
+            this.idlePausedGames.add(game.id);
+            changed = true;
+        } else if (report.hasEnoughPlayers && this.idlePausedGames.has(game.id)) {
+            this.idlePausedGames.delete(game.id);
+            if (game.gameState === 'paused') {
+                game.resumeGame();
+                if (engine) {
+                    engine.resume();
+                }
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.broadcastGameUpdate(game);
+        }
+    }
+
+    /**
+     * Tell a game's room that a player was removed and detach the player's sockets
+     * A kicked or banned player's own sockets also leave the room; a host screen that
+     * added the player stays. If the player was drawing, their round ends.
+     * @param {Game} game - The player's game
+     * @param {Object} removed - { playerId, playerName }
+     * @param {string} reason - 'idle', 'kick', 'ban' or 'voteKick'
+     */
+    dropPlayer(game, removed, reason) {
+        this.io.to(game.id).emit('playerRemoved', { playerId: removed.playerId, playerName: removed.playerName, reason });
+
+        const session = this.sessions.findSession(game.id, removed.playerId);
+        if (session) {
+            this.sessions.removeSession(session.token);
+        }
+
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId !== game.id) {
+                continue;
+            }
+            if (client.playerId === removed.playerId) {
+                client.playerId = null;
+            }
+            if (reason !== 'idle' && client.authId === removed.playerId) {
+                client.socket.leave(game.id);
+                client.gameId = null;
+                client.authId = null;
+            }
+        }
+
+        const engine = this.roundEngines.get(game.id);
+        if (engine && game.isDrawer(removed.playerId)) {
+            engine.endRound('drawerLeft');
+        }
+    }
+
+    /**
+     * Run a host moderation action sent by a socket
+     * @param {Object} socket - Client socket
+     * @param {string} action - What the action does, for the permission error
+     * @param {Function} apply - Called with (game, client); returns the moderation log entry
+     */
+    handleModeration(socket, action, apply) {
+        const client = this.connectedClients.get(socket.id);
+        const game = this.getClientGame(socket);
+        if (!game) {
+            socket.emit('gameError', { error: 'No active game' });
+            return;
+        }
+
+        try {
+            this.assertCanManage(socket, game, action);
+            const entry = apply(game, client);
+            if (entry.action === 'kick' || entry.action === 'ban') {
+                this.dropPlayer(game, entry, entry.action);
+            }
+            this.broadcastGameUpdate(game);
+        } catch (error) {
+            socket.emit('gameError', this.describeError(error));
+        }
+    }
+
+    /**
+     * Check whether the host or a co-host of a game has a socket connected to it
+     * Vote-kicks are only allowed while nobody is there to moderate.
+     * @param {Game} game - The game
+     * @returns {boolean} True if a host or co-host is connected
+     */
+    hasActiveHost(game) {
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId === game.id && game.canManage(client.authId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Apply a name, readiness and/or team change to a player
+     * @param {Game} game - The player's game
+     * @param {string} playerId - Id of the player to update
+     * @param {Object} changes - { name, isReady, teamId }; omitted keys are left alone
+     * @returns {Player} The updated player
+     */
+    updatePlayer(game, playerId, changes = {}) {
+        if (!game.getPlayer(playerId)) {
+            throw new Error('Player not found');
+        }
+
+        if (changes.name !== undefined) {
+            game.getPlayer(playerId).updateName(this.assertValidName(changes.name, 'Player', game.gameSettings.contentFilter));
+        }
+
+        if (changes.teamId !== undefined) {
+            game.movePlayer(playerId, changes.teamId);
+        }
+
+        if (changes.isReady !== undefined) {
+            game.setPlayerReady(playerId, changes.isReady);
+        }
+
+        return game.getPlayer(playerId);
+    }
+
+    /**
+     * Handle a socket updating its own player
+     * @param {Object} socket - Client socket
+     * @param {Object} changes - { name, isReady, teamId }
+     */
+    handlePlayerUpdate(socket, changes) {
+        const client = this.connectedClients.get(socket.id);
+        const game = this.getClientGame(socket);
+        if (!game || !client.playerId) {
+            socket.emit('gameError', { error: 'Join a game first' });
+            return;
+        }
+
+        try {
+            this.updatePlayer(game, client.playerId, changes);
+            this.broadcastGameUpdate(game);
+        } catch (error) {
+            socket.emit('gameError', this.describeError(error));
+        }
+    }
+
+    /**
+     * Run a drawing action if the socket belongs to the current drawer of a running game
+     * @param {Object} socket - Client socket
+     * @param {Function} action - Called with (game, client); may throw to report a gameError
+     */
+    handleDrawing(socket, action) {
+        const client = this.connectedClients.get(socket.id);
+        const game = this.getClientGame(socket);
+        if (!game || game.gameState !== 'drawing') {
+            socket.emit('gameError', { error: 'No round is in progress' });
+            return;
+        }
+
+        if (!game.isDrawer(client.playerId)) {
+            socket.emit('gameError', { error: 'Only the current drawer can draw' });
+            return;
+        }
+
+        try {
+            action(game, client);
+        } catch (error) {
+            socket.emit('gameError', this.describeError(error));
+        }
+    }
+
+    /**
+     * Create the round engine for a started game and relay its events to the room
+     * @param {Game} game - The started game
+     * @returns {RoundEngine} The engine driving the game's rounds
+     */
+    createRoundEngine(game) {
+        this.stopRoundEngine(game);
+
+        const settings = game.gameSettings;
+        const engine = new RoundEngine(game, {
+            deck: this.wordBank ? this.wordBank.createDeck(settings) : undefined,
+            hintInterval: settings.hintInterval,
+            scoringMode: settings.scoringMode,
+            isKnownWord: word => this.isKnownWord(word)
+        });
+        this.roundEngines.set(game.id, engine);
+
+        engine.on('choosingWord', (data) => {
+            this.io.to(game.id).emit('choosingWord', data);
+            this.broadcastGameUpdate(game);
+        });
+
+        // The candidate words only go to the drawer
+        engine.on('wordChoices', (data) => {
+            this.emitToPlayer(game, data.drawerId, 'wordChoices', data);
+        });
+
+        engine.on('roundStarted', (data) => {
+            this.io.to(game.id).emit('roundStarted', data);
+            this.broadcastGameUpdate(game);
+        });
+
+        engine.on('roundTick', (data) => {
+            this.io.to(game.id).emit('roundTick', data);
+        });
+
+        engine.on('hintRevealed', (data) => {
+            this.io.to(game.id).emit('hintRevealed', data);
+        });
+
+        engine.on('wordGuessed', (data) => {
+            this.io.to(game.id).emit('wordGuessed', data);
+            this.broadcastGameUpdate(game);
+        });
+
+        engine.on('roundScores', (data) => {
+            this.io.to(game.id).emit('roundScores', data);
+        });
+
+        engine.on('roundEnded', (data) => {
+            this.io.to(game.id).emit('roundEnded', data);
+            this.broadcastGameUpdate(game);
+        });
+
+        engine.on('gameFinished', () => {
+            this.stopRoundEngine(game);
+            const endedGame = this.gameService.endGame(game.id);
+            this.io.to(game.id).emit('gameEnded', { game: endedGame ? endedGame.toJSON() : game.toJSON() });
+            this.closeGameRoom(game);
+        });
+
+        return engine;
+    }
+
+    /**
+     * Stop and discard the round engine of a game, if it has one
+     * @param {Game} game - The game whose engine should stop
+     */
+    stopRoundEngine(game) {
+        const engine = this.roundEngines.get(game.id);
+        if (engine) {
+            engine.stop();
+            engine.removeAllListeners();
+            this.roundEngines.delete(game.id);
+        }
+    }
+
+    /**
+     * Check a guess from a socket's player and report the result
+     * Wrong guesses are shown to the room; correct and close ones stay private, and so does
+     * anything taken from a chat message that named the word
+     * @param {Object} socket - Client socket
+     * @param {string} guess - The guessed word
+     * @param {Object} options - { fromChat } when the guess was intercepted from chat
+     */
+    handleGuess(socket, guess, { fromChat = false } = {}) {
+        const client = this.connectedClients.get(socket.id);
+        const game = this.getClientGame(socket);
+        const engine = game ? this.roundEngines.get(game.id) : null;
+        if (!engine) {
+            socket.emit('gameError', { error: 'No round is in progress' });
+            return;
+        }
+
+        if (client.spectatorId) {
+            socket.emit('gameError', { error: 'Spectators cannot guess' });
+            return;
+        }
+
+        try {
+            const result = engine.submitGuess(client.playerId, guess);
+            // Other players only ever see a censored guess; the guesser is told why
+            const filtered = this.contentFilter.filter(guess, game.gameSettings.contentFilter);
+            socket.emit('guessResult', { ...result, filterReason: filtered.reason });
+            // Close guesses stay private so they do not give the word away
+            if (!result.correct && !result.close && !fromChat) {
+                const player = game.getPlayer(client.playerId);
+                socket.to(game.id).emit('guessMade', {
+                    playerId: player.id,
+                    playerName: player.name,
+                    guess: filtered.text
+                });
+            }
+        } catch (error) {
+            socket.emit('gameError', this.describeError(error));
+        }
+    }
+
+    /**
+     * Deliver a chat message to its channel: the whole room, the sender's team, or the spectators
+     * @param {Game} game - The game the message belongs to
+     * @param {Object} message - Message from ChatService.postMessage
+     */
+    sendChatMessage(game, message) {
+        if (message.channel === 'global') {
+            this.io.to(game.id).emit('chatMessage', message);
+            return;
+        }
+
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId !== game.id) {
+                continue;
+            }
+
+            const player = game.getPlayer(client.playerId);
+            const isReader = message.channel === 'spectators'
+                ? game.isSpectator(client.spectatorId)
+                : Boolean(player && player.teamId === message.teamId);
+            if (isReader) {
+                client.socket.emit('chatMessage', message);
+            }
+        }
+    }
+
+    /**
+     * Send an event only to the sockets of one player in a game
+     * @param {Game} game - The player's game
+     * @param {string} playerId - Id of the receiving player
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    emitToPlayer(game, playerId, event, data) {
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId === game.id && playerId && client.playerId === playerId) {
+                client.socket.emit(event, data);
+            }
+        }
+    }
+
+    /**
+     * Send gameUpdated to everyone in a game's room, each with their own view
+     * Only the current drawer's sockets receive the word; guessers get its hint
+     * @param {Game} game - The game that changed
+     */
+    broadcastGameUpdate(game) {
+        for (const client of this.connectedClients.values()) {
+            if (client.gameId === game.id) {
+                client.socket.emit('gameUpdated', {
+                    game: game.toJSONFor(client.playerId),
+                    canManage: game.canManage(client.authId)
+                });
+            }
+        }
+    }
+
+    /**
+     * Tell every connected client which games can be joined
+     */
+    broadcastGameList() {
+        this.io.emit('gameListUpdated', {
+            games: this.gameService.listGames().map(game => game.getSummary())
+        });
+    }
+
+    /**
+     * Load the word packs games draw their words from
+     * Set WORD_PACK_DIR to load packs from another directory
+     */
+    initializeWordBank() {
+        try {
+            const wordBank = new WordBank();
+            wordBank.loadDirectory(process.env.WORD_PACK_DIR || path.join(__dirname, 'data', 'wordpacks'));
+            if (wordBank.packCount === 0) {
+                throw new Error('No word packs found');
+            }
+            this.wordBank = wordBank;
+            console.log(`Loaded ${wordBank.packCount} word packs`);
+        } catch (error) {
+            // Without packs the round engine falls back to its built-in words
+            console.error('Failed to load word packs:', error);
+        }
+    }
+
+    /**
+     * Load the blocklist used to filter names, chat and guesses
+     * BLOCKLIST_FILE replaces data/blocklist.txt; CONTENT_FILTER sets the strictness new
+     * games get unless they choose their own (off, lenient, moderate or strict)
+     * @returns {ContentFilter} The content filter
+     */
+    createContentFilter() {
+        const filter = new ContentFilter({ strictness: process.env.CONTENT_FILTER || 'moderate' });
+        try {
+            filter.loadFile(process.env.BLOCKLIST_FILE || path.join(__dirname, 'data', 'blocklist.txt'));
+        } catch (error) {
+            // Without a blocklist nothing is filtered
+            console.error('Failed to load blocklist:', error);
+        }
+        return filter;
+    }
+
+    /**
+     * Create the store ended games are archived in
+     * History is kept in HISTORY_FILE (data/history/games.jsonl by default) so it survives
+     * restarts; set HISTORY_STORAGE=memory to keep it in memory only
+     * @returns {HistoryStore} The history store
+     */
+    createHistoryStore() {
+        if (process.env.HISTORY_STORAGE === 'memory') {
+            return new MemoryHistoryStore();
+        }
+
+        return new FileHistoryStore(process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history', 'games.jsonl'));
+    }
+
+    /**
+     * Create the account service; accounts are kept in ACCOUNTS_FILE (data/accounts/accounts.json
+     * by default), or only in memory with ACCOUNTS_STORAGE=memory
+     * @returns {AccountService} The account service
+     */
+    createAccountService() {
+        if (process.env.ACCOUNTS_STORAGE === 'memory') {
+            return new AccountService();
+        }
+
+        return new AccountService({
+            store: new SnapshotStore(process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts', 'accounts.json'))
+        });
+    }
+
+    /**
+     * Create the store the live games are snapshotted to
+     * Snapshots go to SNAPSHOT_FILE (data/snapshot/state.json by default) every
+     * SNAPSHOT_INTERVAL seconds; an interval of 0 turns snapshots off
+     * @returns {SnapshotStore|null} The snapshot store, or null when snapshots are off
+     */
+    createSnapshotStore() {
+        if (!(this.snapshotInterval > 0)) {
+            return null;
+        }
+
+        return new SnapshotStore(process.env.SNAPSHOT_FILE || path.join(__dirname, 'data', 'snapshot', 'state.json'));
+    }
+
+    /**
+     * Write the active games and their session tokens to the snapshot file
+     */
+    saveSnapshot() {
+        if (!this.snapshotStore) {
+            return;
+        }
+
+        try {
+            this.snapshotStore.save({
+                savedAt: new Date().toISOString(),
+                ...this.gameService.getSnapshot(),
+                sessions: this.sessions.toJSON()
+            });
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+        }
+    }
+
+    /**
+     * Bring back the games of the last snapshot after a restart
+     * Every player starts out disconnected with a reconnect grace period, and a game that
+     * was mid-round plays the interrupted turn again with the same drawer
+     */
+    restoreSnapshot() {
+        const snapshot = this.snapshotStore ? this.snapshotStore.load() : null;
+        if (!snapshot) {
+            return;
+        }
+
+        const games = this.gameService.restoreSnapshot(snapshot);
+        const gameIds = new Set(games.map(game => game.id));
+        this.sessions.restore((snapshot.sessions || []).filter(session => gameIds.has(session.gameId)));
+
+        for (const game of games) {
+            for (const player of game.players) {
+                player.setConnected(false);
+                const session = this.sessions.findSession(game.id, player.id);
+                if (session) {
+                    this.sessions.startGracePeriod(session.token, () => this.expireSession(game.id, player.id));
+                }
+            }
+
+            this.watchGame(game);
+            if (game.isInProgress) {
+                this.createRoundEngine(game).resumeRestored();
+            }
+        }
+        console.log(`Restored ${games.length} games from snapshot`);
+    }
+
+    /**
+     * Initialize the game service (Singleton pattern)
+     * Set SINGLE_GAME_MODE=true to keep the original one-game-per-server behaviour
+     */
+    initializeGameService() {
+        try {
+            this.gameService = GameService.getInstance();
+            this.gameService.initialize({
+                singleGameMode: process.env.SINGLE_GAME_MODE === 'true',
+                wordBank: this.wordBank,
+                historyStore: this.createHistoryStore(),
+                nameValidator: this.nameValidator
+            });
+            this.restoreSnapshot();
+            console.log('Game service initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize game service:', error);
+        }
+    }
+
+    /**
+     * Start the server
+     */
+    start() {
+        this.server.listen(this.port, () => {
+            console.log(`🎨 Draw It Or Lose It Server running on port ${this.port}`);
+            console.log(`📱 Access the game at: http://localhost:${this.port}`);
+            console.log(`🔧 API endpoints available at: http://localhost:${this.port}/api`);
+            console.log(`📊 Health check: http://localhost:${this.port}/api/health`);
+        });
+
+        this.idleSweepTimer = setInterval(() => this.sweepIdlePlayers(), this.idleSweeper.interval * 1000);
+        if (this.snapshotStore) {
+            this.snapshotTimer = setInterval(() => this.saveSnapshot(), this.snapshotInterval * 1000);
+        }
+    }
+
+    /**
+     * Graceful shutdown
+     */
+    shutdown() {
+        console.log('Shutting down server...');
+        clearInterval(this.idleSweepTimer);
+        clearInterval(this.snapshotTimer);
+        // A final snapshot lets the next start pick up exactly where this one stopped
+        this.saveSnapshot();
+        this.server.close(() => {
+            console.log('Server closed successfully');
+            process.exit(0);
+        });
+    }
+}
+
+// Create and start server when run directly (tests require the class without listening)
+if (require.main === module) {
+    const gameServer = new GameServer();
+
+    // Handle graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\nReceived SIGINT, shutting down gracefully...');
+        gameServer.shutdown();
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('\nReceived SIGTERM, shutting down gracefully...');
+        gameServer.shutdown();
+    });
+
+    // Start the server
+    gameServer.start();
+}
 
 module.exports = GameServer;
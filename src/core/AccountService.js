@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * AccountService keeps lightweight player accounts and their profiles
+ * Passwords are hashed with scrypt and a per-account salt. Logging in returns a token
+ * that a socket passes to joinGame so the in-game Player is linked to the account, and
+ * every finished game a linked player took part in is added to their profile.
+ */
+class AccountService {
+    /**
+     * @param {Object} options - Account configuration
+     * @param {Object} options.store - Where accounts are kept, anything with load() and save(data)
+     *                                 such as a SnapshotStore; accounts stay in memory without one
+     */
+    constructor(options = {}) {
+        this._store = options.store || null;
+        this._accounts = new Map(); // Lowercase username -> account
+        this._tokens = new Map(); // Login token -> account id
+        this._load();
+    }
+
+    get accountCount() {
+        return this._accounts.size;
+    }
+
+    /**
+     * Create an account
+     * @param {string} username - 3 to 20 letters, digits or underscores, unique ignoring case
+     * @param {string} password - At least 8 characters
+     * @returns {Object} The new account's profile
+     */
+    register(username, password) {
+        if (typeof username !== 'string' || !/^[A-Za-z0-9_]{3,20}$/.test(username)) {
+            throw new Error('Username must be 3 to 20 letters, digits or underscores');
+        }
+
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+
+        const key = username.toLowerCase();
+        if (this._accounts.has(key)) {
+            throw new Error('Username is already taken');
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const account = {
+            id: uuidv4(),
+            username,
+            salt,
+            passwordHash: this._hash(password, salt),
+            createdAt: new Date().toISOString(),
+            stats: {
+                gamesPlayed: 0,
+                wins: 0,
+                totalPoints: 0,
+                wordsGuessed: 0,
+                teamColors: {} // Team color -> games played on a team of that color
+            }
+        };
+
+        this._accounts.set(key, account);
+        this._save();
+        return this._toProfile(account);
+    }
+
+    /**
+     * Check a username and password and issue a login token
+     * @param {string} username - Account username, any case
+     * @param {string} password - Account password
+     * @returns {Object} { token, account } with the account's profile
+     */
+    login(username, password) {
+        const account = typeof username === 'string' ? this._accounts.get(username.toLowerCase()) : null;
+        if (!account || typeof password !== 'string' || !this._verify(password, account)) {
+            throw new Error('Invalid username or password');
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this._tokens.set(token, account.id);
+        return { token, account: this._toProfile(account) };
+    }
+
+    logout(token) {
+        this._tokens.delete(token);
+    }
+
+    /**
+     * Find the account a login token belongs to
+     * @param {string} token - Token from login
+     * @returns {Object|null} The account's profile, or null if the token is unknown
+     */
+    getAccountByToken(token) {
+        const accountId = typeof token === 'string' ? this._tokens.get(token) : undefined;
+        const account = accountId ? this._findById(accountId) : null;
+        return account ? this._toProfile(account) : null;
+    }
+
+    getProfile(username) {
+        const account = typeof username === 'string' ? this._accounts.get(username.toLowerCase()) : null;
+        return account ? this._toProfile(account) : null;
+    }
+
+    /**
+     * Add a finished game to the profiles of every linked player in it
+     * Games that never started are not counted.
+     * @param {Game} game - The ended game
+     * @returns {number} Number of profiles updated
+     */
+    recordGame(game) {
+        if (game.currentRound === 0) {
+            return 0;
+        }
+
+        const topScore = Math.max(0, ...game.teams.map(team => team.score));
+        const rounds = game.roundHistory;
+        let updated = 0;
+
+        for (const player of game.players) {
+            const account = player.accountId ? this._findById(player.accountId) : null;
+            if (!account) {
+                continue;
+            }
+
+            const team = player.teamId ? game.getTeam(player.teamId) : null;
+            const stats = account.stats;
+            stats.gamesPlayed++;
+            stats.totalPoints += player.score;
+            stats.wordsGuessed += rounds.filter(round => (round.guesserIds || []).includes(player.id)).length;
+            if (team && topScore > 0 && team.score === topScore) {
+                stats.wins++;
+            }
+            if (team) {
+                stats.teamColors[team.color] = (stats.teamColors[team.color] || 0) + 1;
+            }
+            updated++;
+        }
+
+        if (updated > 0) {
+            this._save();
+        }
+        return updated;
+    }
+
+    // Private helper methods
+    _hash(password, salt) {
+        return crypto.scryptSync(password, salt, 64).toString('hex');
+    }
+
+    _verify(password, account) {
+        const expected = Buffer.from(account.passwordHash, 'hex');
+        const actual = Buffer.from(this._hash(password, account.salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    _findById(accountId) {
+        for (const account of this._accounts.values()) {
+            if (account.id === accountId) {
+                return account;
+            }
+        }
+        return null;
+    }
+
+    // The public view of an account: never the password hash or salt
+    _toProfile(account) {
+        const { teamColors, ...stats } = account.stats;
+        let favoriteTeamColor = null;
+        for (const [color, count] of Object.entries(teamColors)) {
+            if (!favoriteTeamColor || count > teamColors[favoriteTeamColor]) {
+                favoriteTeamColor = color;
+            }
+        }
+
+        return {
+            id: account.id,
+            username: account.username,
+            createdAt: account.createdAt,
+            ...stats,
+            favoriteTeamColor
+        };
+    }
+
+    _load() {
+        const data = this._store ? this._store.load() : null;
+        for (const account of (data && data.accounts) || []) {
+            this._accounts.set(account.username.toLowerCase(), account);
+        }
+    }
+
+    _save() {
+        if (this._store) {
+            this._store.save({ accounts: Array.from(this._accounts.values()) });
+        }
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,173 @@
+const { v4: uuidv4 } = require('uuid');
+const GuessMatcher = require('../utils/GuessMatcher');
+
+/**
+ * ChatService handles in-game chat for every room
+ * Messages go to the whole game ("global") or to the sender's team ("team").
+ * Spectators only talk in their own "spectators" channel, which players never see,
+ * so nobody watching can hint at the word; they still read the global channel.
+ * Each game keeps a bounded history for late joiners, senders are rate limited,
+ * and a message that mentions the current word while it is being drawn (paused
+ * or not), or that the drawer sends at any time, is never broadcast: the caller is
+ * told to treat it as a guess instead. With a content filter, offensive words are
+ * censored using the game's contentFilter setting.
+ */
+class ChatService {
+    /**
+     * @param {Object} options - Chat configuration
+     * @param {number} options.historyLimit - Messages kept per game
+     * @param {number} options.maxLength - Longest allowed message
+     * @param {number} options.rateLimit - Messages a player may send per rate window
+     * @param {number} options.rateWindow - Length of the rate window in milliseconds
+     * @param {Function} options.now - Clock returning milliseconds, replaceable in tests
+     * @param {ContentFilter} options.contentFilter - Censors offensive language when given
+     * @param {Function} options.isKnownWord - Tells real words from typos when spotting the word (see GuessMatcher)
+     */
+    constructor(options = {}) {
+        this._historyLimit = options.historyLimit || 100;
+        this._maxLength = options.maxLength || 200;
+        this._rateLimit = options.rateLimit || 5;
+        this._rateWindow = options.rateWindow || 5000;
+        this._now = options.now || Date.now;
+        this._guessMatcher = new GuessMatcher({ isKnownWord: options.isKnownWord });
+        this._contentFilter = options.contentFilter || null;
+        this._histories = new Map(); // Game id -> messages, oldest first
+        this._sendTimes = new Map(); // "gameId:playerId" -> recent send times
+    }
+
+    /**
+     * Post a chat message
+     * @param {Game} game - The sender's game
+     * @param {string} playerId - Id of the sending player or spectator
+     * @param {Object} data - { text, channel }
+     * @returns {Object} { type: 'message', message } to broadcast, or { type: 'guess', text } if it names the word
+     */
+    postMessage(game, playerId, data = {}) {
+        if (!game.gameSettings.enableChat) {
+            throw new Error('Chat is disabled for this game');
+        }
+
+        const spectator = game.getSpectator(playerId);
+        const player = game.getPlayer(playerId) || spectator;
+        if (!player) {
+            throw new Error('Join the game before chatting');
+        }
+
+        if (game.isMuted(player.id)) {
+            throw new Error('You have been muted in this game');
+        }
+
+        const channel = data.channel || (spectator ? 'spectators' : 'global');
+        if (!ChatService.CHANNELS.includes(channel)) {
+            throw new Error(`Channel must be one of: ${ChatService.CHANNELS.join(', ')}`);
+        }
+
+        if (spectator && channel !== 'spectators') {
+            throw new Error('Spectators can only chat in the spectators channel');
+        }
+
+        if (spectator && !game.gameSettings.spectatorChat) {
+            throw new Error('Spectator chat is disabled for this game');
+        }
+
+        if (!spectator && channel === 'spectators') {
+            throw new Error('Only spectators can use the spectators channel');
+        }
+
+        if (channel === 'team' && !player.teamId) {
+            throw new Error('Join a team to use team chat');
+        }
+
+        const text = typeof data.text === 'string' ? data.text.trim().replace(/\s+/g, ' ') : '';
+        if (!text) {
+            throw new Error('Message cannot be empty');
+        }
+
+        if (text.length > this._maxLength) {
+            throw new Error(`Messages can be at most ${this._maxLength} characters`);
+        }
+
+        this._checkRateLimit(game.id, playerId);
+
+        // Only the words naming the word are judged; the rest of the message is dropped
+        const isJudged = !spectator && game.currentWord && (game.isGuessing || game.isDrawer(player.id));
+        const guess = isJudged ? this._guessMatcher.findWord(text, game.currentWord) : null;
+        if (guess) {
+            return { type: 'guess', text: guess };
+        }
+
+        // Offensive words are censored rather than rejected; filterReason tells the room why
+        const filtered = this._contentFilter
+            ? this._contentFilter.filter(text, game.gameSettings.contentFilter)
+            : { text, reason: null };
+
+        const message = {
+            id: uuidv4(),
+            channel,
+            teamId: channel === 'team' ? player.teamId : null,
+            playerId: player.id,
+            playerName: player.name,
+            text: filtered.text,
+            filterReason: filtered.reason,
+            sentAt: new Date(this._now()).toISOString()
+        };
+
+        this._addToHistory(game.id, message);
+        return { type: 'message', message: { ...message } };
+    }
+
+    /**
+     * Get the messages a reader may see: every global message plus their team's,
+     * or plus the spectators channel for a spectator
+     * @param {string} gameId - Id of the game
+     * @param {string|null} teamId - The reader's team, if any
+     * @param {boolean} isSpectator - Whether the reader is a spectator
+     * @returns {Array} Messages, oldest first
+     */
+    getHistory(gameId, teamId = null, isSpectator = false) {
+        const history = this._histories.get(gameId) || [];
+        return history
+            .filter(message => message.channel === 'global'
+                || (teamId && message.teamId === teamId)
+                || (isSpectator && message.channel === 'spectators'))
+            .map(message => ({ ...message }));
+    }
+
+    // Forget a game's messages and rate limits once it has ended
+    clearGame(gameId) {
+        this._histories.delete(gameId);
+        for (const key of this._sendTimes.keys()) {
+            if (key.startsWith(`${gameId}:`)) {
+                this._sendTimes.delete(key);
+            }
+        }
+    }
+
+    // Private helper methods
+    _checkRateLimit(gameId, playerId) {
+        const key = `${gameId}:${playerId}`;
+        const now = this._now();
+        const recent = (this._sendTimes.get(key) || []).filter(time => now - time < this._rateWindow);
+
+        if (recent.length >= this._rateLimit) {
+            this._sendTimes.set(key, recent);
+            throw new Error('You are sending messages too quickly');
+        }
+
+        recent.push(now);
+        this._sendTimes.set(key, recent);
+    }
+
+    _addToHistory(gameId, message) {
+        const history = this._histories.get(gameId) || [];
+        history.push(message);
+        if (history.length > this._historyLimit) {
+            history.splice(0, history.length - this._historyLimit);
+        }
+        this._histories.set(gameId, history);
+    }
+}
+
+ChatService.CHANNELS = ['global', 'team', 'spectators'];
+
+module.exports = ChatService;
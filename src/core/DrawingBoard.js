@@ -0,0 +1,241 @@
+/**
+ * DrawingBoard stores the vector strokes of the current round
+ * Strokes arrive incrementally (start, points, end) so late joiners and
+ * reconnecting players can replay the canvas exactly as it was drawn
+ * Stroke and clear operations are kept in a log so the drawer can undo and redo
+ * them; undone strokes are held by reference, never as bitmaps
+ */
+class DrawingBoard {
+    constructor() {
+        this._strokes = new Map(); // Stroke id -> stroke, kept in drawing order
+        this._operations = []; // Applied operations, oldest first
+        this._undone = []; // Undone operations, most recent last
+    }
+
+    get strokes() {
+        return Array.from(this._strokes.values()).map(stroke => this._copyStroke(stroke));
+    }
+
+    get strokeCount() {
+        return this._strokes.size;
+    }
+
+    get canUndo() {
+        return this._operations.length > 0;
+    }
+
+    get canRedo() {
+        return this._undone.length > 0;
+    }
+
+    /**
+     * Begin a new stroke
+     * @param {Object} data - { id, tool, color, width, points }
+     * @returns {Object} The stored stroke
+     */
+    beginStroke(data = {}) {
+        const { id, tool = 'pen', color, width, points = [] } = data;
+
+        if (!id || typeof id !== 'string' || id.length > DrawingBoard.MAX_ID_LENGTH) {
+            throw new Error('Valid stroke id is required');
+        }
+
+        if (this._strokes.has(id)) {
+            throw new Error('Stroke with this ID already exists');
+        }
+
+        if (!DrawingBoard.TOOLS.includes(tool)) {
+            throw new Error(`Tool must be one of: ${DrawingBoard.TOOLS.join(', ')}`);
+        }
+
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            throw new Error('Stroke color must be a hex color like #000000');
+        }
+
+        if (typeof width !== 'number' || width < 1 || width > DrawingBoard.MAX_WIDTH) {
+            throw new Error(`Stroke width must be between 1 and ${DrawingBoard.MAX_WIDTH}`);
+        }
+
+        const stroke = {
+            id,
+            tool,
+            color: color.toUpperCase(),
+            width,
+            points: [],
+            isComplete: false
+        };
+        this._addPoints(stroke, points);
+        this._strokes.set(id, stroke);
+        this._record({ type: 'stroke', stroke });
+        return this._copyStroke(stroke);
+    }
+
+    /**
+     * Append points to a stroke that is still being drawn
+     * @param {string} strokeId - Id of the stroke
+     * @param {Array} points - Points as { x, y, t }
+     * @returns {Array} The points as stored, with nothing but x, y and t
+     */
+    appendPoints(strokeId, points) {
+        const stroke = this._getOpenStroke(strokeId);
+        return this._addPoints(stroke, points).map(point => ({ ...point }));
+    }
+
+    /**
+     * Mark a stroke as finished
+     * @param {string} strokeId - Id of the stroke
+     */
+    endStroke(strokeId) {
+        const stroke = this._getOpenStroke(strokeId);
+        stroke.isComplete = true;
+    }
+
+    getStroke(strokeId) {
+        const stroke = this._strokes.get(strokeId);
+        return stroke ? this._copyStroke(stroke) : undefined;
+    }
+
+    /**
+     * Wipe the canvas as an undoable operation
+     * @returns {boolean} False if there was nothing to clear
+     */
+    clear() {
+        if (this._strokes.size === 0) {
+            return false;
+        }
+
+        this._record({ type: 'clear', strokes: Array.from(this._strokes.values()) });
+        this._strokes.clear();
+        return true;
+    }
+
+    /**
+     * Undo the most recent stroke or clear
+     * @returns {Object|null} The undone operation type, or null if there is nothing to undo
+     */
+    undo() {
+        const operation = this._operations.pop();
+        if (!operation) {
+            return null;
+        }
+
+        if (operation.type === 'stroke') {
+            // An undone stroke is finished; late points for it are rejected as unknown
+            operation.stroke.isComplete = true;
+            this._strokes.delete(operation.stroke.id);
+        } else {
+            operation.strokes.forEach(stroke => this._strokes.set(stroke.id, stroke));
+        }
+
+        this._undone.push(operation);
+        return { type: operation.type };
+    }
+
+    /**
+     * Reapply the most recently undone operation
+     * @returns {Object|null} The redone operation type, or null if there is nothing to redo
+     */
+    redo() {
+        const operation = this._undone.pop();
+        if (!operation) {
+            return null;
+        }
+
+        if (operation.type === 'stroke') {
+            this._strokes.set(operation.stroke.id, operation.stroke);
+        } else {
+            this._strokes.clear();
+        }
+
+        this._operations.push(operation);
+        return { type: operation.type };
+    }
+
+    // Drop strokes and history at the start of a round
+    reset() {
+        this._strokes.clear();
+        this._operations = [];
+        this._undone = [];
+    }
+
+    // Rebuild a board from saved strokes; each stroke can be undone again
+    static fromJSON(data = {}) {
+        const board = new DrawingBoard();
+        for (const saved of data.strokes || []) {
+            const stroke = {
+                id: saved.id,
+                tool: saved.tool,
+                color: saved.color,
+                width: saved.width,
+                points: saved.points.map(point => ({ ...point })),
+                isComplete: Boolean(saved.isComplete)
+            };
+            board._strokes.set(stroke.id, stroke);
+            board._operations.push({ type: 'stroke', stroke });
+        }
+        return board;
+    }
+
+    toJSON() {
+        return {
+            strokes: this.strokes,
+            canUndo: this.canUndo,
+            canRedo: this.canRedo
+        };
+    }
+
+    // Private helper methods
+    _record(operation) {
+        this._operations.push(operation);
+        // A new operation branches the history, so nothing undone can be redone
+        this._undone = [];
+    }
+
+    _getOpenStroke(strokeId) {
+        const stroke = this._strokes.get(strokeId);
+        if (!stroke) {
+            throw new Error('Stroke not found');
+        }
+
+        if (stroke.isComplete) {
+            throw new Error('Stroke is already complete');
+        }
+
+        return stroke;
+    }
+
+    _addPoints(stroke, points) {
+        if (!Array.isArray(points)) {
+            throw new Error('Points must be an array');
+        }
+
+        if (stroke.points.length + points.length > DrawingBoard.MAX_POINTS_PER_STROKE) {
+            throw new Error('Stroke has too many points');
+        }
+
+        for (const point of points) {
+            if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y) || !Number.isFinite(point.t)) {
+                throw new Error('Points must have numeric x, y and t');
+            }
+        }
+
+        // Validate everything first so a bad batch never leaves a half-applied stroke
+        const added = points.map(point => ({ x: point.x, y: point.y, t: point.t }));
+        stroke.points.push(...added);
+        return added;
+    }
+
+    _copyStroke(stroke) {
+        return {
+            ...stroke,
+            points: stroke.points.map(point => ({ ...point }))
+        };
+    }
+}
+
+DrawingBoard.TOOLS = ['pen', 'eraser'];
+DrawingBoard.MAX_WIDTH = 50;
+DrawingBoard.MAX_ID_LENGTH = 64;
+DrawingBoard.MAX_POINTS_PER_STROKE = 5000;
+
+module.exports = DrawingBoard;
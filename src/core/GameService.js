@@ -1,10 +1,16 @@
 const Game = require('../entities/Game');
+const NameRegistry = require('./NameRegistry');
+const GameSettingsSchema = require('../utils/GameSettingsSchema');
+const MemoryHistoryStore = require('../storage/MemoryHistoryStore');
 const { v4: uuidv4 } = require('uuid');
 
 /**
  * GameService Singleton class implementing CS 230 Singleton pattern
- * Ensures only one game instance exists at a time as per requirements
- * Manages game creation, validation, and state
+ * Acts as the room registry: creates, validates and ends games, holding every active
+ * one keyed by id and join code. Single-game mode (the default) keeps the original
+ * one-game-at-a-time rule. Names go through one NameRegistry: game names are unique
+ * globally, team and player names are unique per game, and a game's names are freed
+ * when it ends.
  */
 class GameService {
     constructor() {
@@ -12,9 +18,12 @@ class GameService {
             throw new Error('GameService is a singleton. Use GameService.getInstance()');
         }
         
-        this._currentGame = null;
-        this._gameHistory = [];
-        this._uniqueNames = new Set(); // Track all unique names for validation
+        this._games = new Map(); // Active games keyed by game id
+        this._joinCodes = new Map(); // Join code -> game id
+        this._historyStore = new MemoryHistoryStore(); // Archived games
+        this._names = new NameRegistry(); // Game, team and player names by scope
+        this._singleGameMode = true;
+        this._wordBank = null;
         this._isInitialized = false;
         
         GameService._instance = this;
@@ -33,18 +42,40 @@ class GameService {
 
     /**
      * Initialize the game service
+     * @param {Object} config - Service configuration
+     * @param {boolean} config.singleGameMode - Allow only one active game (default true)
+     * @param {WordBank} config.wordBank - Word packs that game word selections are checked against
+     * @param {HistoryStore} config.historyStore - Where ended games are archived (in memory by default)
+     * @param {NameValidator} config.nameValidator - Decides when two names count as the same
      */
-    initialize() {
+    initialize(config = {}) {
         if (this._isInitialized) {
             throw new Error('GameService is already initialized');
         }
+        this._singleGameMode = config.singleGameMode !== false;
+        this._wordBank = config.wordBank || null;
+        this._historyStore = config.historyStore || new MemoryHistoryStore();
+        this._names = new NameRegistry({ validator: config.nameValidator });
         this._isInitialized = true;
     }
 
+    /**
+     * Check whether the service only allows one active game
+     * @returns {boolean} True in single-game mode
+     */
+    isSingleGameMode() {
+        return this._singleGameMode;
+    }
+
     /**
      * Create a new game with unique name validation
      * @param {string} gameName - Name for the new game
      * @param {Object} options - Game configuration options
+     * @param {string} options.hostId - Who may start, pause and end the game
+     * @param {number} options.maxTeams - Most teams the game may have
+     * @param {number} options.maxPlayersPerTeam - Most players per team
+     * Any setting from GameSettingsSchema (maxRounds, roundTimeLimit, wordPacks, scoringMode, ...)
+     * may also be given; all of them are validated before the game is created.
      * @returns {Game} The created game instance
      */
     createGame(gameName, options = {}) {
@@ -52,7 +83,7 @@ class GameService {
             throw new Error('GameService must be initialized first');
         }
 
-        if (this._currentGame) {
+        if (this._singleGameMode && this._games.size > 0) {
             throw new Error('A game is already in progress. Only one game instance allowed.');
         }
 
@@ -60,11 +91,10 @@ class GameService {
             throw new Error('Valid game name is required');
         }
 
-        const normalizedName = gameName.trim().toLowerCase();
-        
-        if (this._uniqueNames.has(normalizedName)) {
-            throw new Error('Game name must be unique');
-        }
+        this._names.assertAvailable(gameName, NameRegistry.GLOBAL, { type: 'Game' });
+
+        const settings = GameSettingsSchema.pick(options);
+        this._validateWordSelection(GameSettingsSchema.validate(settings));
 
         const gameId = uuidv4();
         const game = new Game(
@@ -74,18 +104,56 @@ class GameService {
             options.maxPlayersPerTeam || 6
         );
 
-        this._currentGame = game;
-        this._uniqueNames.add(normalizedName);
+        game.updateSettings(settings);
+        if (options.hostId) {
+            game.setHost(options.hostId);
+        }
+
+        const joinCode = this._generateJoinCode();
+        game.setJoinCode(joinCode);
+
+        this._names.register(game.name, NameRegistry.GLOBAL, { ownerId: gameId, type: 'Game' });
+        game.useNameRegistry(this._names);
+        this._games.set(gameId, game);
+        this._joinCodes.set(joinCode, gameId);
         
         return game;
     }
 
+    /**
+     * Get an active game by id or join code
+     * @param {string} gameIdOrCode - Game id or join code
+     * @returns {Game|null} The matching game or null if none exists
+     */
+    getGame(gameIdOrCode) {
+        if (!gameIdOrCode || typeof gameIdOrCode !== 'string') {
+            return null;
+        }
+
+        if (this._games.has(gameIdOrCode)) {
+            return this._games.get(gameIdOrCode);
+        }
+
+        const gameId = this._joinCodes.get(gameIdOrCode.trim().toUpperCase());
+        return gameId ? this._games.get(gameId) : null;
+    }
+
+    /**
+     * List all active games
+     * @returns {Array<Game>} Active games in creation order
+     */
+    listGames() {
+        return Array.from(this._games.values());
+    }
+
     /**
      * Get the current active game
+     * In multi-room mode this is the most recently created active game
      * @returns {Game|null} The current game or null if none exists
      */
     getCurrentGame() {
-        return this._currentGame;
+        const games = this.listGames();
+        return games.length > 0 ? games[games.length - 1] : null;
     }
 
     /**
@@ -93,72 +161,140 @@ class GameService {
      * @returns {Game|null} The ended game or null if none exists
      */
     endCurrentGame() {
-        if (!this._currentGame) {
+        const currentGame = this.getCurrentGame();
+        return currentGame ? this.endGame(currentGame.id) : null;
+    }
+
+    /**
+     * End an active game and archive it
+     * @param {string} gameIdOrCode - Game id or join code
+     * @returns {Game|null} The ended game or null if none exists
+     */
+    endGame(gameIdOrCode) {
+        const endedGame = this.getGame(gameIdOrCode);
+        if (!endedGame) {
             return null;
         }
 
-        const endedGame = this._currentGame;
-        endedGame.endGame();
+        // A game that ran out of rounds has already finished
+        if (endedGame.gameState !== 'finished') {
+            endedGame.endGame();
+        }
         
-        // Archive the game
-        this._gameHistory.push({
+        // Archive the game with its final scores and every round's drawing
+        this._historyStore.save({
             game: endedGame.toJSON(),
+            rounds: endedGame.roundHistory,
             endedAt: new Date()
         });
 
-        // Remove from unique names
-        const normalizedName = endedGame.name.toLowerCase();
-        this._uniqueNames.delete(normalizedName);
+        // The game's name and its team and player names are free again
+        this._names.release(endedGame.name, NameRegistry.GLOBAL, endedGame.id);
+        this._names.releaseScope(endedGame.nameScope);
 
-        this._currentGame = null;
+        this._games.delete(endedGame.id);
+        this._joinCodes.delete(endedGame.joinCode);
         return endedGame;
     }
 
     /**
-     * Check if a name is unique across all entities
+     * Change a game's settings before it starts
+     * @param {string} gameIdOrCode - Game id or join code
+     * @param {Object} settings - Settings to change (see GameSettingsSchema)
+     * @returns {Game} The updated game
+     */
+    updateGameSettings(gameIdOrCode, settings = {}) {
+        const game = this.getGame(gameIdOrCode);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+
+        this._validateWordSelection(GameSettingsSchema.validate(settings, game.gameSettings));
+        game.updateSettings(settings);
+        return game;
+    }
+
+    /**
+     * Capture every active game so the service can be rebuilt after a restart
+     * @returns {Object} { games } with each game's toSnapshot output
+     */
+    getSnapshot() {
+        return {
+            games: this.listGames().map(game => game.toSnapshot())
+        };
+    }
+
+    /**
+     * Bring back the games of a snapshot taken with getSnapshot
+     * @param {Object} snapshot - { games }
+     * @returns {Array<Game>} The restored games
+     */
+    restoreSnapshot(snapshot = {}) {
+        if (!this._isInitialized) {
+            throw new Error('GameService must be initialized first');
+        }
+
+        const restored = [];
+        for (const data of snapshot.games || []) {
+            if (this._games.has(data.id)) {
+                continue;
+            }
+
+            const game = Game.fromJSON(data);
+            if (this._names.isAvailable(game.name, NameRegistry.GLOBAL, game.id)) {
+                this._names.register(game.name, NameRegistry.GLOBAL, { ownerId: game.id, type: 'Game' });
+            }
+            game.useNameRegistry(this._names);
+            this._games.set(game.id, game);
+            if (game.joinCode) {
+                this._joinCodes.set(game.joinCode, game.id);
+            }
+            restored.push(game);
+        }
+        return restored;
+    }
+
+    /**
+     * Check if a name is unique
      * @param {string} name - Name to check
+     * @param {string} scope - Registry scope to check; without one, every scope
      * @returns {boolean} True if name is unique
      */
-    isNameUnique(name) {
+    isNameUnique(name, scope = null) {
         if (!name || typeof name !== 'string') {
             return false;
         }
-        
-        const normalizedName = name.trim().toLowerCase();
-        return !this._uniqueNames.has(normalizedName);
+
+        return scope ? this._names.isAvailable(name, scope) : !this._names.isRegisteredAnywhere(name);
     }
 
     /**
      * Register a unique name (for teams, players, etc.)
      * @param {string} name - Name to register
+     * @param {string} scope - Registry scope, global by default
      * @returns {boolean} True if name was registered successfully
      */
-    registerUniqueName(name) {
-        if (!name || typeof name !== 'string') {
-            throw new Error('Valid name is required');
-        }
-
-        const normalizedName = name.trim().toLowerCase();
-        
-        if (this._uniqueNames.has(normalizedName)) {
-            throw new Error('Name must be unique');
-        }
-
-        this._uniqueNames.add(normalizedName);
-        return true;
+    registerUniqueName(name, scope = NameRegistry.GLOBAL) {
+        return this._names.register(name, scope);
     }
 
     /**
      * Unregister a name (when entity is deleted)
      * @param {string} name - Name to unregister
+     * @param {string} scope - Registry scope, global by default
      */
-    unregisterUniqueName(name) {
-        if (!name || typeof name !== 'string') {
-            return;
-        }
+    unregisterUniqueName(name, scope = NameRegistry.GLOBAL) {
+        this._names.release(name, scope);
+    }
 
-        const normalizedName = name.trim().toLowerCase();
-        this._uniqueNames.delete(normalizedName);
+    /**
+     * Suggest a free name close to one that is taken
+     * @param {string} name - Name that was asked for
+     * @param {string} scope - Registry scope the suggestion must be free in
+     * @returns {string} Suggested unique name
+     */
+    suggestName(name, scope = NameRegistry.GLOBAL) {
+        return this._names.suggest(name, scope);
     }
 
     /**
@@ -166,21 +302,34 @@ class GameService {
      * @returns {Object} Game service statistics
      */
     getStatistics() {
+        const currentGame = this.getCurrentGame();
         return {
             isInitialized: this._isInitialized,
-            hasActiveGame: this._currentGame !== null,
-            totalGamesPlayed: this._gameHistory.length,
-            uniqueNamesCount: this._uniqueNames.size,
-            currentGameInfo: this._currentGame ? this._currentGame.getSummary() : null
+            singleGameMode: this._singleGameMode,
+            hasActiveGame: this._games.size > 0,
+            activeGameCount: this._games.size,
+            totalGamesPlayed: this._historyStore.count(),
+            uniqueNamesCount: this._names.size,
+            currentGameInfo: currentGame ? currentGame.getSummary() : null
         };
     }
 
     /**
      * Get game history
+     * @param {Object} query - Filters and paging, see queryGameHistory
      * @returns {Array} Array of completed games
      */
-    getGameHistory() {
-        return [...this._gameHistory];
+    getGameHistory(query = {}) {
+        return this.queryGameHistory(query).games;
+    }
+
+    /**
+     * Find completed games
+     * @param {Object} query - { from, to, player, team, offset, limit, order }
+     * @returns {Object} { total, offset, limit, games } where total counts every matching game
+     */
+    queryGameHistory(query = {}) {
+        return this._historyStore.query(query);
     }
 
     /**
@@ -188,12 +337,46 @@ class GameService {
      * @private
      */
     _reset() {
-        this._currentGame = null;
-        this._gameHistory = [];
-        this._uniqueNames.clear();
+        this._games.clear();
+        this._joinCodes.clear();
+        this._historyStore = new MemoryHistoryStore();
+        this._names.clear();
+        this._singleGameMode = true;
+        this._wordBank = null;
         this._isInitialized = false;
     }
 
+    /**
+     * Refuse word packs, categories or difficulties the word bank does not have
+     * @param {Object} settings - Game settings holding the word selection
+     * @private
+     */
+    _validateWordSelection(settings) {
+        if (this._wordBank) {
+            this._wordBank.validateSelection(settings);
+        }
+    }
+
+    /**
+     * Generate a short join code that no active game is using
+     * @returns {string} Six character join code
+     * @private
+     */
+    _generateJoinCode() {
+        // Ambiguous characters (0/O, 1/I) are left out so codes are easy to read aloud
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code;
+
+        do {
+            code = '';
+            for (let i = 0; i < 6; i++) {
+                code += alphabet[Math.floor(Math.random() * alphabet.length)];
+            }
+        } while (this._joinCodes.has(code));
+
+        return code;
+    }
+
     /**
      * Validate that singleton pattern is working correctly
      * @returns {boolean} True if singleton is properly implemented
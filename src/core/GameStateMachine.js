@@ -0,0 +1,129 @@
+const IllegalStateTransitionError = require('../utils/IllegalStateTransitionError');
+
+/**
+ * GameStateMachine holds the state of one game and the transitions allowed between states
+ *
+ * States:
+ * - lobby: teams and players gather, settings can change
+ * - word-selection: the drawer is choosing a word
+ * - drawing: the round is running, guessers guess
+ * - round-summary: the round is over, its scores are shown until the next round
+ * - paused: the game is on hold; resume returns to the state it was paused in
+ * - finished: the game is over, nothing leads out of it
+ *
+ * While paused, the round can still end or restart (e.g. the drawer leaves). Those
+ * changes move the state the game resumes into, checked against the same table.
+ */
+class GameStateMachine {
+    /**
+     * @param {string} state - Starting state
+     * @param {string} resumeState - State to resume into when starting paused
+     */
+    constructor(state = 'lobby', resumeState = null) {
+        GameStateMachine._assertState(state);
+        if (state === 'paused') {
+            GameStateMachine._assertState(resumeState);
+            if (!GameStateMachine.PAUSABLE.includes(resumeState)) {
+                throw new Error(`A game cannot be paused in ${resumeState}`);
+            }
+        }
+
+        this._state = state;
+        this._resumeState = state === 'paused' ? resumeState : null;
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    // State the game returns to when resumed; null unless paused
+    get resumeState() {
+        return this._resumeState;
+    }
+
+    // Whether a round is under way: choosing, drawing or showing its summary
+    get isPlaying() {
+        return GameStateMachine.PAUSABLE.includes(this._state);
+    }
+
+    // Started and not finished yet, paused included
+    get isInProgress() {
+        return this.isPlaying || this._state === 'paused';
+    }
+
+    /**
+     * Check whether the game may move to a state
+     * @param {string} to - Target state
+     * @returns {boolean} True if the transition table allows it
+     */
+    can(to) {
+        if (this._state === 'paused' && to !== 'paused' && to !== 'finished') {
+            return GameStateMachine.TRANSITIONS[this._resumeState].includes(to);
+        }
+        return GameStateMachine.TRANSITIONS[this._state].includes(to);
+    }
+
+    /**
+     * Move to another state
+     * A paused game stays paused and resumes into the new state instead.
+     * @param {string} to - Target state
+     * @param {string} action - What was tried, for the error message
+     * @returns {Object} { from, to } of the visible state
+     */
+    transition(to, action = null) {
+        GameStateMachine._assertState(to);
+        if (!this.can(to)) {
+            throw new IllegalStateTransitionError({ from: this._state, to, action });
+        }
+
+        const from = this._state;
+        if (from === 'paused' && to !== 'finished') {
+            this._resumeState = to;
+            return { from, to: from };
+        }
+
+        this._resumeState = to === 'paused' ? from : null;
+        this._state = to;
+        return { from, to };
+    }
+
+    /**
+     * Leave the paused state for the state the game was paused in
+     * @param {string} action - What was tried, for the error message
+     * @returns {Object} { from, to }
+     */
+    resume(action = null) {
+        if (this._state !== 'paused') {
+            throw new IllegalStateTransitionError({ from: this._state, to: null, action });
+        }
+
+        const to = this._resumeState;
+        this._state = to;
+        this._resumeState = null;
+        return { from: 'paused', to };
+    }
+
+    toJSON() {
+        return { state: this._state, resumeState: this._resumeState };
+    }
+
+    // Private helper methods
+    static _assertState(state) {
+        if (!GameStateMachine.STATES.includes(state)) {
+            throw new Error(`Unknown game state: ${state}`);
+        }
+    }
+}
+
+GameStateMachine.STATES = ['lobby', 'word-selection', 'drawing', 'round-summary', 'paused', 'finished'];
+GameStateMachine.PAUSABLE = ['word-selection', 'drawing', 'round-summary'];
+GameStateMachine.TRANSITIONS = {
+    lobby: ['word-selection', 'finished'],
+    'word-selection': ['drawing', 'round-summary', 'paused', 'finished'],
+    drawing: ['round-summary', 'word-selection', 'paused', 'finished'],
+    'round-summary': ['word-selection', 'paused', 'finished'],
+    paused: ['finished'],
+    finished: []
+};
+
+module.exports = GameStateMachine;
@@ -0,0 +1,129 @@
+/**
+ * IdleSweeper finds players who have stopped taking part in their game
+ * Waiting in the lobby or through a pause is not idling: players are only marked idle
+ * or removed while a game is running, and a paused game only has its active players counted.
+ * A player with no activity for idleAfter seconds is marked idle and passed over as drawer;
+ * after removeAfter seconds they are removed from the game. A running game in which any team
+ * has dropped below minActivePlayers active members is reported as understaffed, and the
+ * server pauses or ends it according to understaffedAction. A team that never had that many
+ * members since the game started only needs all of them active.
+ */
+class IdleSweeper {
+    /**
+     * @param {Object} options - Idle detection configuration
+     * @param {number} options.idleAfter - Seconds without activity before a player is idle
+     * @param {number} options.removeAfter - Seconds without activity before a player is removed
+     * @param {number} options.minActivePlayers - Active members each team of a running game needs; 0 turns the check off
+     * @param {string} options.understaffedAction - 'pause' or 'end' for an understaffed game
+     * @param {number} options.interval - Seconds between sweeps
+     */
+    constructor(options = {}) {
+        this._idleAfter = options.idleAfter ?? 300;
+        this._removeAfter = options.removeAfter ?? 900;
+        this._minActivePlayers = options.minActivePlayers ?? 2;
+        this._understaffedAction = options.understaffedAction ?? 'pause';
+        this._interval = options.interval ?? 30;
+        this._teamSizes = new WeakMap(); // Game -> (team id -> most members since the game started)
+
+        if (![this._idleAfter, this._removeAfter, this._interval].every(value => Number.isFinite(value) && value > 0)) {
+            throw new Error('Idle thresholds and the sweep interval must be positive numbers of seconds');
+        }
+
+        if (!Number.isInteger(this._minActivePlayers) || this._minActivePlayers < 0) {
+            throw new Error('Minimum active players must be a whole number, 0 or more');
+        }
+
+        if (this._removeAfter < this._idleAfter) {
+            throw new Error('Idle players cannot be removed before they are idle');
+        }
+
+        if (!IdleSweeper.ACTIONS.includes(this._understaffedAction)) {
+            throw new Error(`Understaffed action must be one of: ${IdleSweeper.ACTIONS.join(', ')}`);
+        }
+    }
+
+    get understaffedAction() {
+        return this._understaffedAction;
+    }
+
+    get interval() {
+        return this._interval;
+    }
+
+    /**
+     * Mark idle players, remove long-idle ones and check whether a game can go on
+     * The current drawer is never removed here; the caller ends their turn first and
+     * the next sweep removes them.
+     * @param {Game} game - The game to sweep
+     * @returns {Object} { idle, removed, drawerIdle, activePlayers, understaffedTeams, hasEnoughPlayers, understaffed }
+     */
+    sweep(game) {
+        const report = {
+            idle: [],
+            removed: [],
+            drawerIdle: false,
+            activePlayers: 0,
+            understaffedTeams: [],
+            hasEnoughPlayers: true,
+            understaffed: false
+        };
+        if (!game.isInProgress) {
+            this._teamSizes.delete(game);
+            return report;
+        }
+
+        const isRunning = game.isPlaying;
+        const needed = this._activeMembersNeeded(game);
+        const activeByTeam = new Map(game.teams.map(team => [team.id, 0]));
+        for (const player of game.players) {
+            const isDrawer = game.isDrawer(player.id);
+            if (isRunning && !isDrawer && !player.isActive(this._removeAfter * 1000)) {
+                game.removePlayer(player.id);
+                report.removed.push({ playerId: player.id, playerName: player.name });
+                continue;
+            }
+
+            const isIdle = !player.isActive(this._idleAfter * 1000);
+            if (isRunning) {
+                if (isIdle && !player.isIdle) {
+                    report.idle.push(player.id);
+                }
+                player.setIdle(isIdle);
+
+                if (isIdle && isDrawer) {
+                    report.drawerIdle = true;
+                }
+            }
+
+            if (!isIdle && player.isConnected && activeByTeam.has(player.teamId)) {
+                activeByTeam.set(player.teamId, activeByTeam.get(player.teamId) + 1);
+                report.activePlayers++;
+            }
+        }
+
+        report.understaffedTeams = Array.from(activeByTeam)
+            .filter(([teamId, active]) => active < needed.get(teamId))
+            .map(([teamId]) => teamId);
+        report.hasEnoughPlayers = report.understaffedTeams.length === 0;
+        report.understaffed = game.isPlaying && !report.hasEnoughPlayers;
+        return report;
+    }
+
+    // Private helper methods
+    // Active members each team needs: the minimum, or fewer for a team that never had that many
+    _activeMembersNeeded(game) {
+        const sizes = this._teamSizes.get(game) || new Map();
+        const needed = new Map();
+        for (const team of game.teams) {
+            const size = Math.max(sizes.get(team.id) || 0, team.players.length);
+            sizes.set(team.id, size);
+            needed.set(team.id, Math.min(this._minActivePlayers, size));
+        }
+        this._teamSizes.set(game, sizes);
+        return needed;
+    }
+}
+
+IdleSweeper.ACTIONS = ['pause', 'end'];
+
+module.exports = IdleSweeper;
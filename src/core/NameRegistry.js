@@ -0,0 +1,184 @@
+const NameValidator = require('../utils/NameValidator');
+const NameConflictError = require('../utils/NameConflictError');
+
+/**
+ * NameRegistry keeps names unique within a scope
+ * Scopes are plain strings: "global" for game names and "game:<id>" for the teams and
+ * players of one game. There is no team scope: a name unique in its game is unique in
+ * its team as well. Each name remembers its owner, so renaming an entity to a different
+ * spelling of its own name is allowed. When a name is taken, the conflict carries a
+ * suggestion from NameValidator.generateUniqueName.
+ */
+class NameRegistry {
+    /**
+     * @param {Object} options - Registry configuration
+     * @param {NameValidator} options.validator - Normalizes names and generates suggestions
+     */
+    constructor(options = {}) {
+        this._validator = options.validator || new NameValidator();
+        this._scopes = new Map(); // Scope -> (normalized name -> { name, ownerId })
+    }
+
+    static gameScope(gameId) {
+        return `game:${gameId}`;
+    }
+
+    get size() {
+        let size = 0;
+        for (const names of this._scopes.values()) {
+            size += names.size;
+        }
+        return size;
+    }
+
+    /**
+     * Check whether a name is free in a scope
+     * @param {string} name - Name to check
+     * @param {string} scope - Scope to look in
+     * @param {string} ownerId - The name still counts as free if this owner holds it
+     * @returns {boolean} True if the name may be registered
+     */
+    isAvailable(name, scope = NameRegistry.GLOBAL, ownerId = null) {
+        const key = this._key(name);
+        if (!key) {
+            return false;
+        }
+
+        const entry = this._names(scope).get(key);
+        return !entry || (ownerId !== null && entry.ownerId === ownerId);
+    }
+
+    /**
+     * Check whether a name is registered in any scope
+     * @param {string} name - Name to check
+     * @returns {boolean} True if some scope holds the name
+     */
+    isRegisteredAnywhere(name) {
+        const key = this._key(name);
+        return Boolean(key) && Array.from(this._scopes.values()).some(names => names.has(key));
+    }
+
+    /**
+     * Throw unless a name is free in a scope
+     * @param {string} name - Name to check
+     * @param {string} scope - Scope to look in
+     * @param {Object} options - { ownerId, type } where type names the entity in the error
+     */
+    assertAvailable(name, scope = NameRegistry.GLOBAL, options = {}) {
+        if (!this._key(name)) {
+            throw new Error('Valid name is required');
+        }
+
+        if (!this.isAvailable(name, scope, options.ownerId || null)) {
+            throw new NameConflictError({
+                name: name.trim(),
+                type: options.type,
+                scope,
+                suggestion: this.suggest(name, scope)
+            });
+        }
+    }
+
+    /**
+     * Register a name in a scope
+     * @param {string} name - Name to register
+     * @param {string} scope - Scope the name must be unique in
+     * @param {Object} options - { ownerId, type } where type names the entity in the error
+     * @returns {boolean} True once the name is registered
+     */
+    register(name, scope = NameRegistry.GLOBAL, options = {}) {
+        this.assertAvailable(name, scope, options);
+
+        if (!this._scopes.has(scope)) {
+            this._scopes.set(scope, new Map());
+        }
+        this._scopes.get(scope).set(this._key(name), { name: name.trim(), ownerId: options.ownerId || null });
+        return true;
+    }
+
+    /**
+     * Release a name so it can be used again
+     * @param {string} name - Name to release
+     * @param {string} scope - Scope it was registered in
+     * @param {string} ownerId - When given, the name is only released if this owner holds it
+     */
+    release(name, scope = NameRegistry.GLOBAL, ownerId = null) {
+        const key = this._key(name);
+        const names = this._scopes.get(scope);
+        if (!key || !names || (ownerId !== null && names.has(key) && names.get(key).ownerId !== ownerId)) {
+            return;
+        }
+
+        names.delete(key);
+        if (names.size === 0) {
+            this._scopes.delete(scope);
+        }
+    }
+
+    /**
+     * Swap an owner's name for a new one; nothing changes if the new name is taken
+     * @param {string} oldName - Current name
+     * @param {string} newName - Name to take instead
+     * @param {string} scope - Scope both names live in
+     * @param {Object} options - { ownerId, type }
+     */
+    rename(oldName, newName, scope = NameRegistry.GLOBAL, options = {}) {
+        this.assertAvailable(newName, scope, options);
+        this.release(oldName, scope, options.ownerId || null);
+        this.register(newName, scope, options);
+    }
+
+    /**
+     * Release every name in a scope
+     * @param {string} scope - Scope to clear, such as a game's scope
+     */
+    releaseScope(scope) {
+        this._scopes.delete(scope);
+    }
+
+    /**
+     * List the names registered in a scope
+     * @param {string} scope - Scope to list
+     * @returns {Array<string>} Names as they were registered
+     */
+    names(scope = NameRegistry.GLOBAL) {
+        return Array.from(this._names(scope).values(), entry => entry.name);
+    }
+
+    /**
+     * Suggest a similar name that is free in a scope
+     * @param {string} name - Name that was asked for
+     * @param {string} scope - Scope the suggestion must be free in
+     * @returns {string} A free name, such as "Team Alpha1"
+     */
+    suggest(name, scope = NameRegistry.GLOBAL) {
+        return this._validator.generateUniqueName(name, new Set(this._names(scope).keys()));
+    }
+
+    /**
+     * Count a name's characters the way the validator does, e.g. in grapheme clusters in unicode mode
+     * @param {string} name - Name to measure
+     * @returns {number} Number of characters
+     */
+    measureLength(name) {
+        return this._validator.measureLength(name);
+    }
+
+    // Forget every name
+    clear() {
+        this._scopes.clear();
+    }
+
+    // Private helper methods
+    _names(scope) {
+        return this._scopes.get(scope) || new Map();
+    }
+
+    _key(name) {
+        return typeof name === 'string' ? this._validator.normalizeName(name) : '';
+    }
+}
+
+NameRegistry.GLOBAL = 'global';
+
+module.exports = NameRegistry;
@@ -0,0 +1,463 @@
+const EventEmitter = require('events');
+const WordDeck = require('./WordDeck');
+const ScoringEngine = require('./ScoringEngine');
+const GuessMatcher = require('../utils/GuessMatcher');
+
+const DEFAULT_WORDS = ['cat', 'house', 'tree', 'car', 'sun', 'mountain', 'river', 'bird'];
+
+/**
+ * RoundEngine drives the timed rounds of one game on the server
+ * Observer pattern: emits choosingWord, wordChoices, roundStarted, roundTick, hintRevealed,
+ * wordGuessed, roundScores, roundEnded and gameFinished so the server can relay them to the
+ * game's Socket.IO room. A round ends when every guesser has the word or time runs out.
+ * Event payloads never carry the word while the round is running; wordChoices is meant
+ * for the drawer only. The engine moves the game through word-selection, drawing and
+ * round-summary (see GameStateMachine).
+ */
+class RoundEngine extends EventEmitter {
+    /**
+     * @param {Game} game - The game whose rounds are driven
+     * @param {Object} options - Engine configuration
+     * @param {WordDeck} options.deck - Deck dealing the game's words (see WordBank.createDeck)
+     * @param {Array<string>} options.words - Plain words to draw from when no deck is given
+     * @param {number} options.intermission - Seconds between rounds
+     * @param {number} options.hintInterval - Seconds between revealed hint letters (0 disables hints)
+     * @param {ScoringEngine} options.scoring - Scoring rules; built from guesserPoints and drawerPoints if missing
+     * @param {string} options.scoringMode - speed or flat (see ScoringEngine.MODES)
+     * @param {number} options.guesserPoints - Points for guessing the word right away
+     * @param {number} options.drawerPoints - Points for the drawer when everyone guesses the word
+     * @param {number} options.choiceCount - Words offered to the drawer each turn
+     * @param {number} options.choiceTime - Seconds the drawer has to pick before one is picked for them
+     * @param {Function} options.isKnownWord - Tells real words from typos when judging guesses (see GuessMatcher)
+     */
+    constructor(game, options = {}) {
+        super();
+        if (!game) {
+            throw new Error('RoundEngine requires a game');
+        }
+
+        this._game = game;
+        this._guessMatcher = new GuessMatcher({ isKnownWord: options.isKnownWord });
+        this._deck = options.deck || WordDeck.fromWords(options.words || DEFAULT_WORDS);
+        this._intermission = options.intermission !== undefined ? options.intermission : 5;
+        this._hintInterval = options.hintInterval !== undefined ? options.hintInterval : 20;
+        this._scoring = options.scoring || new ScoringEngine({
+            mode: options.scoringMode,
+            guesserPoints: options.guesserPoints,
+            drawerPoints: options.drawerPoints
+        });
+        this._guesserIds = []; // Players who guessed this round, in order
+        this._choiceCount = options.choiceCount || 3;
+        this._choiceTime = options.choiceTime !== undefined ? options.choiceTime : 10;
+        this._wordChoices = []; // Candidates offered to the drawer this turn
+        this._currentEntry = null; // Word entry being drawn, with its difficulty
+        this._choiceTimer = null;
+        this._timeRemaining = 0;
+        this._isRoundActive = false;
+        this._isPaused = false;
+        this._pendingAdvance = false;
+        this._pendingRestart = false;
+        this._tickTimer = null;
+        this._advanceTimer = null;
+    }
+
+    get game() {
+        return this._game;
+    }
+
+    get timeRemaining() {
+        return this._timeRemaining;
+    }
+
+    get isRoundActive() {
+        return this._isRoundActive;
+    }
+
+    get isChoosingWord() {
+        return this._wordChoices.length > 0;
+    }
+
+    // Words currently offered to the drawer, e.g. to resend after they reconnect
+    get wordChoices() {
+        return this._wordChoices.map(entry => ({ word: entry.word, difficulty: entry.difficulty }));
+    }
+
+    /**
+     * Begin the first round of a game that has just been started
+     */
+    start() {
+        if (this._game.gameState !== 'word-selection') {
+            throw new Error('Game must be started to start rounds');
+        }
+        this.startRound();
+    }
+
+    /**
+     * Play the current turn again from the start, e.g. for a game restored after a restart
+     * The interrupted word and drawing are dropped and the drawer chooses again; a paused
+     * game restarts the turn when it is resumed. Words the game already played are left out.
+     */
+    restartRound() {
+        if (!this._game.isInProgress) {
+            throw new Error('Game must be started to start rounds');
+        }
+
+        this._deck.skipWords(this._game.roundHistory.map(round => round.word).filter(Boolean));
+        this._game.restartRound();
+        if (this._game.gameState === 'paused') {
+            this._isPaused = true;
+            this._pendingRestart = true;
+            return;
+        }
+        this.startRound();
+    }
+
+    /**
+     * Pick up a game restored after a restart
+     * A turn that was being played starts over (see restartRound). A game saved between
+     * rounds already has the finished round in its history, so it moves on to the next
+     * round instead; a paused one does so when it is resumed.
+     */
+    resumeRestored() {
+        const phase = this._game.gameState === 'paused' ? this._game.resumeState : this._game.gameState;
+        if (phase !== 'round-summary') {
+            this.restartRound();
+            return;
+        }
+
+        this._deck.skipWords(this._game.roundHistory.map(round => round.word).filter(Boolean));
+        if (this._game.gameState === 'paused') {
+            this._isPaused = true;
+            this._pendingAdvance = true;
+            return;
+        }
+        this._advance();
+    }
+
+    /**
+     * Start the current turn: offer the drawer words to choose from
+     * With only one possible word the round starts straight away
+     */
+    startRound() {
+        if (this._isRoundActive || this.isChoosingWord) {
+            throw new Error('A round is already in progress');
+        }
+
+        const choices = this._deck.drawChoices(this._choiceCount);
+        if (choices.length === 1) {
+            this._beginDrawing(choices[0]);
+            return;
+        }
+
+        this._wordChoices = choices;
+        const drawer = this._game.currentDrawer;
+        this.emit('choosingWord', {
+            round: this._game.currentRound,
+            maxRounds: this._game.maxRounds,
+            drawerId: drawer ? drawer.id : null,
+            timeout: this._choiceTime
+        });
+        this.emit('wordChoices', {
+            round: this._game.currentRound,
+            drawerId: drawer ? drawer.id : null,
+            choices: choices.map(entry => ({ word: entry.word, difficulty: entry.difficulty })),
+            timeout: this._choiceTime
+        });
+
+        this._startChoiceTimer();
+    }
+
+    /**
+     * Pick the word to draw from the offered choices
+     * @param {string} playerId - Id of the player choosing; must be the drawer
+     * @param {string} word - One of the offered words
+     */
+    chooseWord(playerId, word) {
+        if (!this.isChoosingWord) {
+            throw new Error('No word choice is pending');
+        }
+
+        // Drawing would start the round clock while the game still shows as paused
+        if (this._isPaused) {
+            throw new Error('The game is paused');
+        }
+
+        if (!this._game.isDrawer(playerId)) {
+            throw new Error('Only the current drawer can choose the word');
+        }
+
+        const entry = this._wordChoices.find(choice => choice.word === word);
+        if (!entry) {
+            throw new Error('Word must be one of the offered choices');
+        }
+
+        this._beginDrawing(entry);
+    }
+
+    hasGuessed(playerId) {
+        return this._scoring.hasGuessed(playerId);
+    }
+
+    /**
+     * Check a guess against the current word
+     * @param {string} playerId - Id of the guessing player
+     * @param {string} guess - The guessed word
+     * @returns {Object} Result with correct and close booleans and the points earned; close guesses are nearly right
+     */
+    submitGuess(playerId, guess) {
+        if (!this._isRoundActive || this._isPaused) {
+            throw new Error('No round is in progress');
+        }
+
+        const player = this._game.getPlayer(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        const drawer = this._game.currentDrawer;
+        if (drawer && drawer.id === playerId) {
+            throw new Error('The drawer cannot guess');
+        }
+
+        if (this._scoring.hasGuessed(playerId)) {
+            throw new Error('You have already guessed the word');
+        }
+
+        if (!guess || typeof guess !== 'string') {
+            throw new Error('Valid guess is required');
+        }
+
+        const match = this._guessMatcher.match(guess, this._game.currentWord);
+        const isCorrect = match === 'correct';
+        let points = 0;
+        if (isCorrect) {
+            points = this._scoring.recordGuess(this._game, player, this._timeRemaining);
+            this._guesserIds.push(player.id);
+            this.emit('wordGuessed', {
+                round: this._game.currentRound,
+                playerId: player.id,
+                playerName: player.name,
+                points
+            });
+
+            if (this._guesserIds.length >= this._getGuessers().length) {
+                this.endRound('guessed');
+            }
+        }
+
+        return { correct: isCorrect, close: match === 'close', points };
+    }
+
+    /**
+     * End the current round and schedule the next one
+     * Ending a turn while the drawer is still choosing skips it without scoring
+     * @param {string} reason - Why the round ended (guessed, timeUp, drawerLeft, drawerIdle)
+     */
+    endRound(reason) {
+        let breakdown = null;
+        if (this.isChoosingWord) {
+            this._stopChoiceTimer();
+            this._deck.returnToDeck(this._wordChoices);
+            this._wordChoices = [];
+            this._currentEntry = null;
+            this._guesserIds = [];
+        } else if (this._isRoundActive) {
+            this._stopTicking();
+            this._isRoundActive = false;
+
+            breakdown = this._scoring.finishRound(this._game, this._game.currentDrawer, this._getGuessers().length);
+            this.emit('roundScores', breakdown);
+        } else {
+            return;
+        }
+
+        const drawer = this._game.currentDrawer;
+        this._game.recordRound({
+            round: this._game.currentRound,
+            word: this._game.currentWord,
+            difficulty: this._currentEntry ? this._currentEntry.difficulty : null,
+            reason,
+            drawerId: drawer ? drawer.id : null,
+            guesserIds: this._guesserIds.slice(),
+            points: breakdown ? breakdown.entries : [],
+            drawing: this._game.drawingBoard.toJSON().strokes,
+            endedAt: new Date()
+        });
+        this._game.endRound(reason);
+
+        this.emit('roundEnded', {
+            round: this._game.currentRound,
+            word: this._game.currentWord,
+            difficulty: this._currentEntry ? this._currentEntry.difficulty : null,
+            reason,
+            guesserId: this._guesserIds[0] || null,
+            guesserIds: this._guesserIds.slice(),
+            scores: this._game.players.map(player => ({
+                playerId: player.id,
+                score: player.score
+            }))
+        });
+
+        this._advanceTimer = setTimeout(() => {
+            this._advanceTimer = null;
+            this._advance();
+        }, this._intermission * 1000);
+    }
+
+    /**
+     * Freeze the countdown while the game is paused
+     */
+    pause() {
+        this._isPaused = true;
+        this._stopTicking();
+        this._stopChoiceTimer();
+    }
+
+    /**
+     * Continue the countdown, or the pending round change, after a pause
+     */
+    resume() {
+        if (!this._isPaused) {
+            return;
+        }
+
+        this._isPaused = false;
+        if (this._pendingRestart) {
+            this._pendingRestart = false;
+            this.startRound();
+        } else if (this._pendingAdvance) {
+            this._pendingAdvance = false;
+            this._advance();
+        } else if (this._isRoundActive) {
+            this._startTicking();
+        } else if (this.isChoosingWord) {
+            // The drawer gets a fresh choice timeout after a pause
+            this._startChoiceTimer();
+        }
+    }
+
+    /**
+     * Stop all timers; the engine can no longer be used
+     */
+    stop() {
+        this._stopTicking();
+        this._stopChoiceTimer();
+        this._wordChoices = [];
+        if (this._advanceTimer) {
+            clearTimeout(this._advanceTimer);
+            this._advanceTimer = null;
+        }
+        this._isRoundActive = false;
+        this._pendingAdvance = false;
+        this._pendingRestart = false;
+    }
+
+    // Private helper methods
+    _beginDrawing(entry) {
+        this._stopChoiceTimer();
+        this._deck.returnToDeck(this._wordChoices.filter(choice => choice.word !== entry.word));
+        this._deck.markPlayed(entry);
+        this._wordChoices = [];
+        this._currentEntry = entry;
+        this._guesserIds = [];
+
+        const word = entry.word;
+        this._game.setCurrentWord(word);
+        this._timeRemaining = this._game.roundTimeLimit;
+        this._isRoundActive = true;
+        this._scoring.startRound({
+            round: this._game.currentRound,
+            duration: this._timeRemaining,
+            difficulty: entry.difficulty
+        });
+
+        const drawer = this._game.currentDrawer;
+        this.emit('roundStarted', {
+            round: this._game.currentRound,
+            maxRounds: this._game.maxRounds,
+            drawerId: drawer ? drawer.id : null,
+            duration: this._timeRemaining,
+            wordLength: word.length,
+            wordHint: this._game.getWordHint()
+        });
+
+        this._startTicking();
+    }
+
+    _advance() {
+        if (this._isPaused || this._game.gameState === 'paused') {
+            this._pendingAdvance = true;
+            return;
+        }
+
+        if (!this._game.isPlaying) {
+            return;
+        }
+
+        this._game.nextRound();
+        if (this._game.gameState === 'finished') {
+            this.emit('gameFinished', { game: this._game });
+            return;
+        }
+
+        this.startRound();
+    }
+
+    _tick() {
+        this._timeRemaining = Math.max(0, this._timeRemaining - 1);
+        this.emit('roundTick', {
+            round: this._game.currentRound,
+            timeRemaining: this._timeRemaining
+        });
+
+        if (this._timeRemaining === 0) {
+            this.endRound('timeUp');
+            return;
+        }
+
+        const elapsed = this._game.roundTimeLimit - this._timeRemaining;
+        if (this._hintInterval > 0 && elapsed % this._hintInterval === 0 && this._game.revealHint() !== null) {
+            this.emit('hintRevealed', {
+                round: this._game.currentRound,
+                wordHint: this._game.getWordHint()
+            });
+        }
+    }
+
+    _startChoiceTimer() {
+        this._stopChoiceTimer();
+        this._choiceTimer = setTimeout(() => {
+            this._choiceTimer = null;
+            const choices = this._wordChoices;
+            this._beginDrawing(choices[Math.floor(Math.random() * choices.length)]);
+        }, this._choiceTime * 1000);
+    }
+
+    _stopChoiceTimer() {
+        if (this._choiceTimer) {
+            clearTimeout(this._choiceTimer);
+            this._choiceTimer = null;
+        }
+    }
+
+    _startTicking() {
+        this._stopTicking();
+        this._tickTimer = setInterval(() => this._tick(), 1000);
+    }
+
+    _stopTicking() {
+        if (this._tickTimer) {
+            clearInterval(this._tickTimer);
+            this._tickTimer = null;
+        }
+    }
+
+    // Everyone but the drawer can guess
+    _getGuessers() {
+        return this._game.players.filter(player => !this._game.isDrawer(player.id));
+    }
+}
+
+RoundEngine.DEFAULT_WORDS = DEFAULT_WORDS;
+
+module.exports = RoundEngine;
@@ -0,0 +1,143 @@
+/**
+ * ScoringEngine works out the points of each round
+ * In speed mode guessers earn more the sooner they guess; in flat mode every correct guess
+ * earns full points. The drawer earns a share of their points
+ * for every player who guessed, and every award is added to the player's team.
+ * One engine keeps the breakdown of the round in progress.
+ */
+class ScoringEngine {
+    /**
+     * @param {Object} options - Scoring configuration
+     * @param {string} options.mode - speed (default) or flat
+     * @param {number} options.guesserPoints - Points for guessing as soon as the round starts
+     * @param {number} options.minGuesserFraction - Share of guesserPoints still earned in the last second
+     * @param {number} options.drawerPoints - Points for the drawer when every guesser gets the word
+     * @param {Object} options.difficultyMultipliers - Points multiplier per word difficulty
+     */
+    constructor(options = {}) {
+        if (options.mode && !ScoringEngine.MODES.includes(options.mode)) {
+            throw new Error(`Scoring mode must be one of: ${ScoringEngine.MODES.join(', ')}`);
+        }
+
+        this._mode = options.mode || 'speed';
+        this._guesserPoints = options.guesserPoints || 10;
+        this._minGuesserFraction = options.minGuesserFraction !== undefined ? options.minGuesserFraction : 0.2;
+        this._drawerPoints = options.drawerPoints || 5;
+        this._difficultyMultipliers = options.difficultyMultipliers || ScoringEngine.DIFFICULTY_MULTIPLIERS;
+        this._round = null;
+    }
+
+    get mode() {
+        return this._mode;
+    }
+
+    /**
+     * Begin scoring a round
+     * @param {Object} round - { round, duration, difficulty }
+     */
+    startRound({ round, duration, difficulty = null }) {
+        if (!duration || duration <= 0) {
+            throw new Error('Round duration must be positive');
+        }
+
+        this._round = {
+            round,
+            duration,
+            multiplier: this._difficultyMultipliers[difficulty] || 1,
+            entries: []
+        };
+    }
+
+    /**
+     * Award a correct guess
+     * @param {Game} game - The game being played
+     * @param {Player} player - The player who guessed
+     * @param {number} timeRemaining - Seconds left in the round when they guessed
+     * @returns {number} Points awarded
+     */
+    recordGuess(game, player, timeRemaining) {
+        const round = this._getRound();
+        if (round.entries.some(entry => entry.playerId === player.id)) {
+            throw new Error('Player has already guessed the word');
+        }
+
+        // Flat mode always pays full points; speed mode falls linearly to the minimum share in the last second
+        const speed = this._mode === 'flat' ? 1 : Math.min(1, Math.max(0, timeRemaining / round.duration));
+        const fraction = this._minGuesserFraction + (1 - this._minGuesserFraction) * speed;
+        const points = Math.max(1, Math.round(this._guesserPoints * fraction * round.multiplier));
+
+        this._award(game, player, points);
+        round.entries.push({ playerId: player.id, teamId: player.teamId, role: 'guesser', points, timeRemaining });
+        return points;
+    }
+
+    /**
+     * Award the drawer and close the round
+     * @param {Game} game - The game being played
+     * @param {Player|null} drawer - The round's drawer
+     * @param {number} guesserCount - Players who could have guessed
+     * @returns {Object} Breakdown of the round's points
+     */
+    finishRound(game, drawer, guesserCount) {
+        const round = this._getRound();
+        const guessed = round.entries.filter(entry => entry.role === 'guesser').length;
+
+        if (drawer && guessed > 0 && guesserCount > 0) {
+            const points = Math.round(this._drawerPoints * round.multiplier * (guessed / guesserCount));
+            if (points > 0) {
+                this._award(game, drawer, points);
+                round.entries.push({ playerId: drawer.id, teamId: drawer.teamId, role: 'drawer', points, guessed });
+            }
+        }
+
+        const breakdown = this._buildBreakdown(game, round);
+        this._round = null;
+        return breakdown;
+    }
+
+    hasGuessed(playerId) {
+        return Boolean(this._round && this._round.entries.some(entry => entry.playerId === playerId && entry.role === 'guesser'));
+    }
+
+    // Private helper methods
+    _getRound() {
+        if (!this._round) {
+            throw new Error('No round is being scored');
+        }
+        return this._round;
+    }
+
+    _award(game, player, points) {
+        player.addScore(points);
+        const team = player.teamId ? game.getTeam(player.teamId) : null;
+        if (team) {
+            team.addScore(points);
+        }
+    }
+
+    _buildBreakdown(game, round) {
+        return {
+            round: round.round,
+            multiplier: round.multiplier,
+            entries: round.entries.map(entry => ({ ...entry })),
+            teams: game.teams.map(team => ({
+                teamId: team.id,
+                teamName: team.name,
+                points: round.entries
+                    .filter(entry => entry.teamId === team.id)
+                    .reduce((sum, entry) => sum + entry.points, 0),
+                score: team.score
+            })),
+            players: game.players.map(player => ({
+                playerId: player.id,
+                playerName: player.name,
+                score: player.score
+            }))
+        };
+    }
+}
+
+ScoringEngine.MODES = ['speed', 'flat'];
+ScoringEngine.DIFFICULTY_MULTIPLIERS = { easy: 1, medium: 1.5, hard: 2 };
+
+module.exports = ScoringEngine;
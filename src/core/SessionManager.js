@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+/**
+ * SessionManager ties reconnecting sockets back to their players
+ * A session token is issued when a player joins a game. If the player's socket drops,
+ * the session enters a grace period; resuming within it keeps the player, otherwise
+ * the expiry callback runs and the token stops working.
+ */
+class SessionManager {
+    /**
+     * @param {Object} options - Session configuration
+     * @param {number} options.gracePeriod - Seconds a disconnected player has to come back
+     */
+    constructor(options = {}) {
+        this._gracePeriod = options.gracePeriod ?? 30;
+        if (!Number.isFinite(this._gracePeriod) || this._gracePeriod < 0) {
+            throw new Error('Reconnect grace period must be a number of seconds, 0 or more');
+        }
+        this._sessions = new Map(); // Token -> { token, gameId, playerId }
+        this._graceTimers = new Map(); // Token -> timeout
+    }
+
+    get gracePeriod() {
+        return this._gracePeriod;
+    }
+
+    /**
+     * Issue a session token for a player
+     * @param {string} gameId - Id of the player's game
+     * @param {string} playerId - Id of the player
+     * @returns {string} The new session token
+     */
+    createSession(gameId, playerId) {
+        // A player only ever has one valid token
+        const existing = this.findSession(gameId, playerId);
+        if (existing) {
+            this.removeSession(existing.token);
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this._sessions.set(token, { token, gameId, playerId });
+        return token;
+    }
+
+    getSession(token) {
+        const session = typeof token === 'string' ? this._sessions.get(token) : undefined;
+        return session ? { ...session } : undefined;
+    }
+
+    findSession(gameId, playerId) {
+        for (const session of this._sessions.values()) {
+            if (session.gameId === gameId && session.playerId === playerId) {
+                return { ...session };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Start the grace period of a disconnected player's session
+     * @param {string} token - Session token
+     * @param {Function} onExpire - Called with the session if the player does not come back in time
+     */
+    startGracePeriod(token, onExpire) {
+        const session = this._sessions.get(token);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        this.cancelGracePeriod(token);
+        this._graceTimers.set(token, setTimeout(() => {
+            this._graceTimers.delete(token);
+            this._sessions.delete(token);
+            onExpire({ ...session });
+        }, this._gracePeriod * 1000));
+    }
+
+    // Stop a running grace period; returns true if there was one
+    cancelGracePeriod(token) {
+        const timer = this._graceTimers.get(token);
+        if (!timer) {
+            return false;
+        }
+
+        clearTimeout(timer);
+        this._graceTimers.delete(token);
+        return true;
+    }
+
+    isInGracePeriod(token) {
+        return this._graceTimers.has(token);
+    }
+
+    removeSession(token) {
+        this.cancelGracePeriod(token);
+        this._sessions.delete(token);
+    }
+
+    // Every session, for saving with a snapshot
+    toJSON() {
+        return Array.from(this._sessions.values()).map(session => ({ ...session }));
+    }
+
+    // Bring back sessions saved with toJSON so players can resume after a restart
+    restore(sessions = []) {
+        for (const session of sessions) {
+            if (session && session.token && session.gameId && session.playerId) {
+                this._sessions.set(session.token, {
+                    token: session.token,
+                    gameId: session.gameId,
+                    playerId: session.playerId
+                });
+            }
+        }
+    }
+
+    // Drop every session of a game that has ended
+    removeGame(gameId) {
+        for (const session of Array.from(this._sessions.values())) {
+            if (session.gameId === gameId) {
+                this.removeSession(session.token);
+            }
+        }
+    }
+}
+
+module.exports = SessionManager;
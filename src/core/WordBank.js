@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const WordDeck = require('./WordDeck');
+
+/**
+ * WordBank holds the word packs games draw their words from
+ * Packs are loaded from JSON or CSV files so new words can be added without code changes:
+ *
+ * JSON: { "name": "Animals", "category": "animals", "words": { "easy": ["cat"], "hard": ["platypus"] } }
+ * CSV:  a "word,category,difficulty" header followed by one word per line
+ *
+ * The pack id is the file name without its extension.
+ */
+class WordBank {
+    constructor() {
+        this._packs = new Map(); // Pack id -> { id, name, words }
+        this._words = new Set(); // Every word in any pack
+    }
+
+    get packCount() {
+        return this._packs.size;
+    }
+
+    /**
+     * Load every .json and .csv word pack in a directory
+     * @param {string} directory - Directory containing word pack files
+     * @returns {number} Number of packs loaded
+     */
+    loadDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => WordBank.FILE_TYPES.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        files.forEach(file => this.loadFile(path.join(directory, file)));
+        return files.length;
+    }
+
+    /**
+     * Load a single word pack file
+     * @param {string} filePath - Path to a .json or .csv pack
+     * @returns {Object} Summary of the loaded pack
+     */
+    loadFile(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const id = path.basename(filePath, path.extname(filePath));
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        try {
+            const pack = extension === '.csv'
+                ? this._parseCsv(id, content)
+                : this._parseJson(id, content);
+            return this.addPack(pack);
+        } catch (error) {
+            throw new Error(`Invalid word pack ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Register a word pack
+     * @param {Object} pack - { id, name, words: [{ word, category, difficulty }] }
+     * @returns {Object} Summary of the registered pack
+     */
+    addPack(pack = {}) {
+        const { id, name, words } = pack;
+        if (!id || typeof id !== 'string') {
+            throw new Error('Valid pack id is required');
+        }
+
+        if (this._packs.has(id)) {
+            throw new Error(`Word pack already loaded: ${id}`);
+        }
+
+        if (!Array.isArray(words) || words.length === 0) {
+            throw new Error('Word pack must contain at least one word');
+        }
+
+        const entries = new Map();
+        for (const entry of words) {
+            const normalized = this._normalizeEntry(entry, id);
+            entries.set(normalized.word, normalized);
+            this._words.add(normalized.word);
+        }
+
+        this._packs.set(id, { id, name: name || id, words: Array.from(entries.values()) });
+        return this.getPackSummary(id);
+    }
+
+    getPackSummary(packId) {
+        const pack = this._packs.get(packId);
+        if (!pack) {
+            return undefined;
+        }
+
+        return {
+            id: pack.id,
+            name: pack.name,
+            wordCount: pack.words.length,
+            categories: this._unique(pack.words.map(entry => entry.category)),
+            difficulties: WordBank.DIFFICULTIES.filter(level => pack.words.some(entry => entry.difficulty === level))
+        };
+    }
+
+    /**
+     * Check whether any pack holds a word, e.g. to tell a typo from a different real word
+     * @param {string} word - Word in any case
+     * @returns {boolean} True if some pack contains the word
+     */
+    hasWord(word) {
+        return typeof word === 'string' && this._words.has(word.trim().toLowerCase().replace(/\s+/g, ' '));
+    }
+
+    listPacks() {
+        return Array.from(this._packs.keys()).map(id => this.getPackSummary(id));
+    }
+
+    /**
+     * Get the words matching a selection; empty or missing lists mean "any"
+     * @param {Object} selection - { wordPacks, wordCategories, wordDifficulties }
+     * @returns {Array<Object>} Matching word entries
+     */
+    getWords(selection = {}) {
+        const { wordPacks = [], wordCategories = [], wordDifficulties = [] } = selection;
+
+        const unknownPack = wordPacks.find(packId => !this._packs.has(packId));
+        if (unknownPack) {
+            throw new Error(`Unknown word pack: ${unknownPack}`);
+        }
+
+        const unknownDifficulty = wordDifficulties.find(level => !WordBank.DIFFICULTIES.includes(level));
+        if (unknownDifficulty) {
+            throw new Error(`Difficulty must be one of: ${WordBank.DIFFICULTIES.join(', ')}`);
+        }
+
+        const packIds = wordPacks.length > 0 ? wordPacks : Array.from(this._packs.keys());
+        const words = new Map();
+        for (const packId of packIds) {
+            for (const entry of this._packs.get(packId).words) {
+                const inCategory = wordCategories.length === 0 || wordCategories.includes(entry.category);
+                const inDifficulty = wordDifficulties.length === 0 || wordDifficulties.includes(entry.difficulty);
+                if (inCategory && inDifficulty && !words.has(entry.word)) {
+                    words.set(entry.word, { ...entry });
+                }
+            }
+        }
+
+        return Array.from(words.values());
+    }
+
+    /**
+     * Check that a selection matches at least one word
+     * @param {Object} selection - { wordPacks, wordCategories, wordDifficulties }
+     */
+    validateSelection(selection = {}) {
+        if (this.getWords(selection).length === 0) {
+            throw new Error('No words match the selected word packs');
+        }
+    }
+
+    /**
+     * Create a deck that deals the selected words without repeats
+     * @param {Object} selection - { wordPacks, wordCategories, wordDifficulties }
+     * @param {Function} random - Random number source, replaceable in tests
+     * @returns {WordDeck} A new deck for one game
+     */
+    createDeck(selection = {}, random = Math.random) {
+        this.validateSelection(selection);
+        return new WordDeck(this.getWords(selection), random);
+    }
+
+    // Private helper methods
+    _parseJson(id, content) {
+        const data = JSON.parse(content);
+        if (!data || typeof data.words !== 'object' || Array.isArray(data.words)) {
+            throw new Error('Expected a "words" object keyed by difficulty');
+        }
+
+        const words = [];
+        for (const [difficulty, list] of Object.entries(data.words)) {
+            if (!Array.isArray(list)) {
+                throw new Error(`Words for ${difficulty} must be a list`);
+            }
+            list.forEach(word => words.push({ word, category: data.category, difficulty }));
+        }
+
+        return { id, name: data.name, words };
+    }
+
+    _parseCsv(id, content) {
+        const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const header = (lines.shift() || '').toLowerCase().split(',').map(column => column.trim());
+        const columns = ['word', 'category', 'difficulty'].map(column => header.indexOf(column));
+        if (columns.includes(-1)) {
+            throw new Error('Expected a "word,category,difficulty" header');
+        }
+
+        const [wordColumn, categoryColumn, difficultyColumn] = columns;
+        const words = lines.map(line => {
+            const values = line.split(',').map(value => value.trim());
+            return {
+                word: values[wordColumn],
+                category: values[categoryColumn],
+                difficulty: values[difficultyColumn]
+            };
+        });
+
+        return { id, name: id, words };
+    }
+
+    _normalizeEntry(entry, packId) {
+        const word = typeof entry.word === 'string' ? entry.word.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+        if (!/^[a-z]+( [a-z]+)*$/.test(word)) {
+            throw new Error(`Words may only contain letters and spaces: ${entry.word}`);
+        }
+
+        const category = typeof entry.category === 'string' && entry.category.trim()
+            ? entry.category.trim().toLowerCase()
+            : 'general';
+
+        if (!WordBank.DIFFICULTIES.includes(entry.difficulty)) {
+            throw new Error(`Difficulty must be one of: ${WordBank.DIFFICULTIES.join(', ')}`);
+        }
+
+        return { word, category, difficulty: entry.difficulty, pack: packId };
+    }
+
+    _unique(values) {
+        return Array.from(new Set(values));
+    }
+}
+
+WordBank.DIFFICULTIES = ['easy', 'medium', 'hard'];
+WordBank.FILE_TYPES = ['.json', '.csv'];
+
+module.exports = WordBank;
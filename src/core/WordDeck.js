@@ -0,0 +1,121 @@
+/**
+ * WordDeck deals words for one game without repeats
+ * Words are shuffled once and dealt in order; when every word has been used the
+ * deck is reshuffled, keeping the last word from coming up again straight away
+ */
+class WordDeck {
+    /**
+     * @param {Array<Object>} entries - Words as { word, category, difficulty, pack }
+     * @param {Function} random - Random number source, replaceable in tests
+     */
+    constructor(entries, random = Math.random) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('A word deck needs at least one word');
+        }
+
+        this._entries = entries.map(entry => ({ ...entry }));
+        this._random = random;
+        this._remaining = [];
+        this._lastWord = null;
+    }
+
+    get size() {
+        return this._entries.length;
+    }
+
+    get remaining() {
+        return this._remaining.length;
+    }
+
+    // Deal the next word, reshuffling once the deck runs out
+    draw() {
+        if (this._remaining.length === 0) {
+            this._shuffle();
+        }
+
+        const entry = this._remaining.pop();
+        this._lastWord = entry.word;
+        return { ...entry };
+    }
+
+    /**
+     * Deal several different words, preferring one from each difficulty
+     * @param {number} count - Number of words wanted
+     * @returns {Array<Object>} Up to count entries; fewer if the deck is smaller
+     */
+    drawChoices(count) {
+        const limit = Math.min(count, this._entries.length);
+        const choices = [];
+        const isChosen = (card) => choices.some(choice => choice.word === card.word);
+
+        while (choices.length < limit) {
+            const available = this._remaining.filter(card => !isChosen(card));
+            if (available.length === 0) {
+                this._shuffle();
+                continue;
+            }
+
+            const newDifficulty = available.filter(card => !choices.some(choice => choice.difficulty === card.difficulty));
+            const card = (newDifficulty.length > 0 ? newDifficulty : available).pop();
+            this._remaining.splice(this._remaining.lastIndexOf(card), 1);
+            choices.push(card);
+        }
+
+        return choices.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Put dealt words that were not used back at the bottom of the deck
+     * @param {Array<Object>} entries - Entries returned by draw or drawChoices
+     */
+    returnToDeck(entries) {
+        // After a reshuffle the words may already be back in the deck
+        const returned = entries.filter(entry => !this._remaining.some(card => card.word === entry.word));
+        this._remaining.unshift(...returned.map(entry => ({ ...entry })));
+    }
+
+    // Record the word that was actually played so a reshuffle does not repeat it next
+    markPlayed(entry) {
+        this._lastWord = entry.word;
+    }
+
+    // Leave words a game has already played out of the current pass through the deck
+    skipWords(words) {
+        if (this._remaining.length === 0) {
+            this._shuffle();
+        }
+
+        const skipped = new Set(words);
+        const remaining = this._remaining.filter(card => !skipped.has(card.word));
+        if (remaining.length > 0) {
+            this._remaining = remaining;
+        }
+    }
+
+    // Private helper methods
+    _shuffle() {
+        const cards = this._entries.slice();
+        for (let i = cards.length - 1; i > 0; i--) {
+            const j = Math.floor(this._random() * (i + 1));
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
+
+        // Cards are dealt from the end, so move a repeat of the last word out of the way
+        if (cards.length > 1 && cards[cards.length - 1].word === this._lastWord) {
+            [cards[0], cards[cards.length - 1]] = [cards[cards.length - 1], cards[0]];
+        }
+
+        this._remaining = cards;
+    }
+
+    /**
+     * Build a deck from plain words
+     * @param {Array<string>} words - Words to deal
+     * @returns {WordDeck} A deck of uncategorised words
+     */
+    static fromWords(words) {
+        return new WordDeck(words.map(word => ({ word, category: null, difficulty: null, pack: null })));
+    }
+}
+
+module.exports = WordDeck;
@@ -10,6 +10,8 @@ class Entity {
         this._id = id;
         this._name = name;
         this._createdAt = new Date();
+        this._nameRegistry = null; // Keeps the name unique within _nameScope once attached
+        this._nameScope = null;
     }
 
     // Getters with proper encapsulation
@@ -25,20 +27,31 @@ class Entity {
         return this._createdAt;
     }
 
-    // Protected method for name validation
+    // Protected method for name validation; an attached registry counts characters as its validator does
     _validateName(name) {
         if (!name || typeof name !== 'string') {
             throw new Error('Name must be a non-empty string');
         }
-        if (name.length < 2 || name.length > 50) {
+        const length = this._nameRegistry ? this._nameRegistry.measureLength(name) : name.length;
+        if (length < 2 || length > 50) {
             throw new Error('Name must be between 2 and 50 characters');
         }
         return name.trim();
     }
 
-    // Method to update name with validation
+    // Method to update name with validation; an attached registry must accept the new name first
     updateName(newName) {
-        this._name = this._validateName(newName);
+        const name = this._validateName(newName);
+        if (this._nameRegistry) {
+            this._nameRegistry.rename(this._name, name, this._nameScope, { ownerId: this._id, type: this.getType() });
+        }
+        this._name = name;
+    }
+
+    // Protected method: attach the registry and scope this entity's name is unique in
+    _useNameRegistry(registry, scope) {
+        this._nameRegistry = registry;
+        this._nameScope = scope;
     }
 
     // Abstract method to be implemented by subclasses
@@ -56,6 +69,13 @@ class Entity {
         };
     }
 
+    // Protected method for rehydration: keep the creation time from serialized data
+    _restoreCreatedAt(createdAt) {
+        if (createdAt) {
+            this._createdAt = new Date(createdAt);
+        }
+    }
+
     // Equality comparison
     equals(other) {
         if (!other || !(other instanceof Entity)) {
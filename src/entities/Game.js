@@ -1,30 +1,44 @@
+const EventEmitter = require('events');
 const Entity = require('./Entity');
 const Team = require('./Team');
 const Player = require('./Player');
+const Spectator = require('./Spectator');
+const DrawingBoard = require('../core/DrawingBoard');
+const GameStateMachine = require('../core/GameStateMachine');
+const NameRegistry = require('../core/NameRegistry');
+const GameSettingsSchema = require('../utils/GameSettingsSchema');
+const IllegalStateTransitionError = require('../utils/IllegalStateTransitionError');
 
 /**
  * Game class extending Entity base class
- * Implements Singleton pattern for CS 230 requirements
- * Manages single game instance with teams and players
+ * One room of the GameService registry, found by its id or join code; many games
+ * can run side by side. Manages the room's teams, players, spectators and drawing
  */
 class Game extends Entity {
     constructor(id, name, maxTeams = 4, maxPlayersPerTeam = 6) {
         super(id, name);
         this._teams = new Map();
         this._players = new Map();
+        this._spectators = new Map(); // Watchers: outside teams, drawer rotation and readiness checks
         this._maxTeams = maxTeams;
         this._maxPlayersPerTeam = maxPlayersPerTeam;
-        this._gameState = 'waiting'; // waiting, playing, paused, finished
+        this._state = new GameStateMachine(); // lobby, word-selection, drawing, round-summary, paused, finished
+        this._events = new EventEmitter(); // stateChanged, see on()
         this._currentRound = 0;
-        this._maxRounds = 10;
-        this._roundTimeLimit = 60; // seconds
         this._currentWord = null;
+        this._revealedHints = new Set(); // Letter positions of the current word shown to guessers
         this._currentDrawer = null;
-        this._gameSettings = {
-            allowSpectators: true,
-            enableChat: true,
-            showScores: true
-        };
+        this._drawingBoard = new DrawingBoard(); // Strokes of the current round
+        this._roundHistory = []; // Results of finished rounds, oldest first
+        this._joinCode = null;
+        this._hostId = null; // Who created the game; may start, pause and end it
+        this._coHostIds = new Set(); // Players the host has allowed to do the same
+        this._bans = []; // { playerId, accountId, playerName } kept out for the rest of the game
+        this._mutedIds = new Set(); // Players who may not chat
+        this._kickVotes = new Map(); // Player id -> ids of players voting to kick them
+        this._moderationLog = []; // Kicks, bans, mutes and vote-kicks, oldest first
+        this._nameRegistry = new NameRegistry(); // Team and player names are unique within nameScope
+        this._gameSettings = GameSettingsSchema.defaults(); // Rounds, timing, words, scoring, chat; see GameSettingsSchema
     }
 
     // Getters with proper encapsulation
@@ -36,8 +50,32 @@ class Game extends Entity {
         return Array.from(this._players.values());
     }
 
+    get spectators() {
+        return Array.from(this._spectators.values());
+    }
+
     get gameState() {
-        return this._gameState;
+        return this._state.state;
+    }
+
+    // State a paused game returns to when resumed; null unless paused
+    get resumeState() {
+        return this._state.resumeState;
+    }
+
+    // A round is under way: the drawer is choosing, drawing, or the round's summary is showing
+    get isPlaying() {
+        return this._state.isPlaying;
+    }
+
+    // Started and not finished yet, paused included
+    get isInProgress() {
+        return this._state.isInProgress;
+    }
+
+    // The word is being drawn, or will be again once a paused game resumes: chat naming it is a guess
+    get isGuessing() {
+        return this._phase() === 'drawing';
     }
 
     get currentRound() {
@@ -45,7 +83,11 @@ class Game extends Entity {
     }
 
     get maxRounds() {
-        return this._maxRounds;
+        return this._gameSettings.maxRounds;
+    }
+
+    get roundTimeLimit() {
+        return this._gameSettings.roundTimeLimit; // seconds
     }
 
     get currentWord() {
@@ -57,11 +99,187 @@ class Game extends Entity {
     }
 
     get gameSettings() {
-        return { ...this._gameSettings };
+        return this._copySettings(this._gameSettings);
+    }
+
+    get maxTeams() {
+        return this._maxTeams;
+    }
+
+    get maxPlayersPerTeam() {
+        return this._maxPlayersPerTeam;
+    }
+
+    get joinCode() {
+        return this._joinCode;
+    }
+
+    // Scope in which team and player names must be unique
+    get nameScope() {
+        return NameRegistry.gameScope(this._id);
+    }
+
+    get drawingBoard() {
+        return this._drawingBoard;
+    }
+
+    get roundHistory() {
+        return this._roundHistory.map(round => JSON.parse(JSON.stringify(round)));
+    }
+
+    get hostId() {
+        return this._hostId;
+    }
+
+    get coHostIds() {
+        return Array.from(this._coHostIds);
+    }
+
+    get mutedIds() {
+        return Array.from(this._mutedIds);
+    }
+
+    get moderationLog() {
+        return this._moderationLog.map(entry => ({ ...entry }));
+    }
+
+    setJoinCode(joinCode) {
+        if (!joinCode || typeof joinCode !== 'string') {
+            throw new Error('Valid join code is required');
+        }
+        this._joinCode = joinCode;
+    }
+
+    // Move team and player names into a shared registry, which also keeps the game's own name unique
+    // Names restored from older data may already clash; those entities keep their names unregistered
+    useNameRegistry(registry) {
+        for (const entity of [...this._teams.values(), ...this._players.values(), ...this._spectators.values()]) {
+            this._registerName(entity, registry, true);
+        }
+        this._nameRegistry = registry;
+        this._useNameRegistry(registry, NameRegistry.GLOBAL);
+    }
+
+    // Host role: the host and co-hosts may run the game for everyone
+    setHost(hostId) {
+        if (!hostId || typeof hostId !== 'string') {
+            throw new Error('Valid host id is required');
+        }
+        this._hostId = hostId;
+        this._coHostIds.delete(hostId);
+    }
+
+    isHost(id) {
+        return Boolean(id && this._hostId === id);
+    }
+
+    isCoHost(id) {
+        return Boolean(id && this._coHostIds.has(id));
+    }
+
+    canManage(id) {
+        return this.isHost(id) || this.isCoHost(id);
+    }
+
+    // Only players in the game can be made co-hosts
+    addCoHost(playerId) {
+        if (!this._players.has(playerId)) {
+            throw new Error('Player not found');
+        }
+        if (!this.isHost(playerId)) {
+            this._coHostIds.add(playerId);
+        }
+    }
+
+    removeCoHost(playerId) {
+        this._coHostIds.delete(playerId);
+    }
+
+    // Moderation: every action is written to the moderation log; the host cannot be targeted
+    kickPlayer(playerId, moderatorId, reason = null) {
+        const player = this._assertCanModerate(playerId);
+        this.removePlayer(playerId);
+        return this._logModeration('kick', player, moderatorId, reason);
+    }
+
+    // Bans match the player id and, for logged-in players, their account
+    banPlayer(playerId, moderatorId, reason = null) {
+        const player = this._assertCanModerate(playerId);
+        this._bans.push({ playerId: player.id, accountId: player.accountId, playerName: player.name });
+        this.removePlayer(playerId);
+        return this._logModeration('ban', player, moderatorId, reason);
+    }
+
+    isBanned(playerId, accountId = null) {
+        return this._bans.some(ban => ban.playerId === playerId || Boolean(accountId && ban.accountId === accountId));
+    }
+
+    setPlayerMuted(playerId, isMuted, moderatorId) {
+        const player = this._assertCanModerate(playerId);
+        if (isMuted) {
+            this._mutedIds.add(playerId);
+        } else {
+            this._mutedIds.delete(playerId);
+        }
+        return this._logModeration(isMuted ? 'mute' : 'unmute', player, moderatorId, null);
+    }
+
+    isMuted(playerId) {
+        return this._mutedIds.has(playerId);
+    }
+
+    // A majority of the other connected players is needed to kick someone, and never fewer than
+    // MIN_KICK_VOTES, so nobody can be voted out of a game with fewer possible voters
+    kickVotesNeeded(playerId) {
+        return Math.max(Game.MIN_KICK_VOTES, Math.floor(this._kickVoterCount(playerId) / 2) + 1);
+    }
+
+    // Record a vote; the player is kicked as soon as enough players agree
+    voteKick(voterId, playerId) {
+        if (!this._players.has(voterId)) {
+            throw new Error('Join the game before voting');
+        }
+        if (voterId === playerId) {
+            throw new Error('You cannot vote to kick yourself');
+        }
+
+        const player = this._assertCanModerate(playerId);
+        if (this._kickVoterCount(playerId) < Game.MIN_KICK_VOTES) {
+            throw new Error(`A vote-kick needs at least ${Game.MIN_KICK_VOTES} other players in the game`);
+        }
+
+        const votes = this._kickVotes.get(playerId) || new Set();
+        votes.add(voterId);
+        this._kickVotes.set(playerId, votes);
+
+        const result = { playerId, votes: votes.size, needed: this.kickVotesNeeded(playerId), entry: null };
+        if (result.votes >= result.needed) {
+            this.removePlayer(playerId);
+            result.entry = this._logModeration('voteKick', player, null, `${result.votes} votes`);
+        }
+        return result;
+    }
+
+    // Subscribe to game events; "stateChanged" gets { gameId, from, to, round, reason }
+    on(event, listener) {
+        this._events.on(event, listener);
+        return this;
+    }
+
+    once(event, listener) {
+        this._events.once(event, listener);
+        return this;
+    }
+
+    off(event, listener) {
+        this._events.off(event, listener);
+        return this;
     }
 
     // Game state management
     startGame() {
+        this._assertTransition('word-selection', 'start the game');
+
         if (this._teams.size < 2) {
             throw new Error('At least 2 teams required to start game');
         }
@@ -70,31 +288,34 @@ class Game extends Entity {
             throw new Error('All teams must be ready to start game');
         }
 
-        this._gameState = 'playing';
         this._currentRound = 1;
+        this._roundHistory = [];
+        this._drawingBoard.reset();
         this._selectNextDrawer();
-        this._updateActivity();
+        this._restartIdleClocks();
+        this._transition('word-selection');
     }
 
     pauseGame() {
-        if (this._gameState === 'playing') {
-            this._gameState = 'paused';
-            this._updateActivity();
-        }
+        this._assertTransition('paused', 'pause the game');
+        this._transition('paused');
     }
 
     resumeGame() {
-        if (this._gameState === 'paused') {
-            this._gameState = 'playing';
-            this._updateActivity();
-        }
+        const change = this._state.resume('resume the game');
+        this._restartIdleClocks();
+        this._emitStateChange(change);
     }
 
-    endGame() {
-        this._gameState = 'finished';
+    // Any game that is not finished yet can be ended, including one still in the lobby
+    endGame(reason = null) {
+        this._assertTransition('finished', 'end the game');
+        if (this._currentDrawer) {
+            this._currentDrawer.setDrawing(false);
+        }
         this._currentDrawer = null;
         this._currentWord = null;
-        this._updateActivity();
+        this._transition('finished', reason);
     }
 
     // Team management
@@ -108,6 +329,7 @@ class Game extends Entity {
         }
 
         const team = new Team(teamId, teamName, color);
+        this._registerName(team);
         this._teams.set(teamId, team);
         this._updateActivity();
         return team;
@@ -118,14 +340,20 @@ class Game extends Entity {
             throw new Error('Team not found');
         }
 
+        if (this.gameState !== 'lobby') {
+            throw new Error('Teams can only be removed before the game starts');
+        }
+
         const team = this._teams.get(teamId);
         
-        // Remove all players from this team
+        // Players stay in the game without a team
         for (const player of team.players) {
-            this._players.delete(player.id);
+            team.removePlayer(player.id);
+            player.setReady(false);
         }
 
         this._teams.delete(teamId);
+        this._nameRegistry.release(team.name, this.nameScope, team.id);
         this._updateActivity();
     }
 
@@ -139,12 +367,20 @@ class Game extends Entity {
             throw new Error('Player with this ID already exists');
         }
 
-        const player = new Player(playerId, playerName, teamId);
+        if (this._spectators.has(playerId)) {
+            throw new Error('Spectator with this ID already exists');
+        }
+
+        if (teamId) {
+            this._assertTeamHasRoom(teamId);
+        }
+
+        const player = new Player(playerId, playerName);
+        this._registerName(player);
         this._players.set(playerId, player);
 
-        if (teamId && this._teams.has(teamId)) {
-            const team = this._teams.get(teamId);
-            team.addPlayer(player);
+        if (teamId) {
+            this._teams.get(teamId).addPlayer(player);
         }
 
         this._updateActivity();
@@ -165,6 +401,12 @@ class Game extends Entity {
         }
 
         this._players.delete(playerId);
+        this._nameRegistry.release(player.name, this.nameScope, player.id);
+        this._coHostIds.delete(playerId);
+        this._kickVotes.delete(playerId);
+        for (const votes of this._kickVotes.values()) {
+            votes.delete(playerId);
+        }
         this._updateActivity();
     }
 
@@ -172,31 +414,260 @@ class Game extends Entity {
         return this._players.get(playerId);
     }
 
+    // Spectator management: spectators may arrive at any time, even mid-round
+    addSpectator(spectatorId, spectatorName) {
+        if (!this._gameSettings.allowSpectators) {
+            throw new Error('Spectators are not allowed in this game');
+        }
+
+        if (this._spectators.has(spectatorId)) {
+            throw new Error('Spectator with this ID already exists');
+        }
+
+        if (this._players.has(spectatorId)) {
+            throw new Error('Player with this ID already exists');
+        }
+
+        const spectator = new Spectator(spectatorId, spectatorName);
+        this._registerName(spectator);
+        this._spectators.set(spectatorId, spectator);
+        this._updateActivity();
+        return spectator;
+    }
+
+    removeSpectator(spectatorId) {
+        const spectator = this._spectators.get(spectatorId);
+        if (!spectator) {
+            throw new Error('Spectator not found');
+        }
+
+        this._spectators.delete(spectatorId);
+        this._nameRegistry.release(spectator.name, this.nameScope, spectator.id);
+        this._updateActivity();
+    }
+
+    getSpectator(spectatorId) {
+        return this._spectators.get(spectatorId);
+    }
+
+    isSpectator(spectatorId) {
+        return Boolean(spectatorId) && this._spectators.has(spectatorId);
+    }
+
+    // Move a player to another team, or out of any team when teamId is null
+    movePlayer(playerId, teamId) {
+        const player = this._players.get(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        if (this.gameState !== 'lobby') {
+            throw new Error('Players can only change teams before the game starts');
+        }
+
+        if (player.teamId === teamId) {
+            return player;
+        }
+
+        if (teamId) {
+            this._assertTeamHasRoom(teamId);
+        }
+
+        if (player.teamId && this._teams.has(player.teamId)) {
+            this._teams.get(player.teamId).removePlayer(playerId);
+        }
+
+        if (teamId) {
+            this._teams.get(teamId).addPlayer(player);
+        }
+
+        // A new team means the player has to confirm readiness again
+        player.setReady(false);
+        this._updateActivity();
+        return player;
+    }
+
+    setPlayerReady(playerId, isReady) {
+        const player = this._players.get(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        if (isReady && !player.teamId) {
+            throw new Error('Join a team before getting ready');
+        }
+
+        player.setReady(Boolean(isReady));
+        this._updateActivity();
+        return player;
+    }
+
     // Game logic methods
+    // Move from a round's summary to the next drawer's word selection, or finish after the last round
     nextRound() {
-        if (this._gameState !== 'playing') {
-            throw new Error('Game must be in playing state to advance round');
+        // Restarting a turn also leads to word selection; a new round needs the last one to be over
+        if (this._phase() !== 'round-summary') {
+            throw new IllegalStateTransitionError({ from: this.gameState, to: 'word-selection', action: 'start the next round' });
         }
 
         this._currentRound++;
-        if (this._currentRound > this._maxRounds) {
-            this.endGame();
+        if (this._currentRound > this.maxRounds) {
+            this.endGame('lastRound');
             return;
         }
 
+        this.resetRound();
         this._selectNextDrawer();
+        this._transition('word-selection');
+    }
+
+    // Close the current round, whether it was drawn or skipped while the word was being chosen
+    endRound(reason = null) {
+        this._assertTransition('round-summary', 'end the round');
+        this._transition('round-summary', reason);
+    }
+
+    // Play the current turn again from word selection, e.g. after a restart
+    restartRound() {
+        const phase = this._phase();
+        if (phase !== 'word-selection') {
+            this._assertTransition('word-selection', 'restart the round');
+        }
+
+        this.resetRound();
+        if (phase !== 'word-selection') {
+            this._transition('word-selection', 'restart');
+        }
+    }
+
+    // Drop the word, hints and drawing of the current turn so it can be played again
+    resetRound() {
+        this._currentWord = null;
+        this._revealedHints.clear();
+        this._drawingBoard.reset();
         this._updateActivity();
     }
 
+    // Keep the result of a finished round, including what was drawn, for the game's history
+    recordRound(result) {
+        if (!result || !result.round) {
+            throw new Error('Round result requires a round number');
+        }
+        this._roundHistory.push(JSON.parse(JSON.stringify(result)));
+    }
+
+    // The drawer's word is set: word selection is over and drawing begins
     setCurrentWord(word) {
         if (!word || typeof word !== 'string') {
             throw new Error('Valid word is required');
         }
+        this._assertTransition('drawing', 'start drawing');
+
         this._currentWord = word.toLowerCase().trim();
+        this._revealedHints.clear();
+        this._transition('drawing');
+    }
+
+    // Reveal one hidden letter of the current word; at least one letter always stays hidden
+    revealHint() {
+        if (!this._currentWord) {
+            return null;
+        }
+
+        const hidden = [];
+        for (let i = 0; i < this._currentWord.length; i++) {
+            if (this._currentWord[i] !== ' ' && !this._revealedHints.has(i)) {
+                hidden.push(i);
+            }
+        }
+
+        if (hidden.length <= 1) {
+            return null;
+        }
+
+        const index = hidden[Math.floor(Math.random() * hidden.length)];
+        this._revealedHints.add(index);
+        return index;
+    }
+
+    // Word pattern shown to guessers, e.g. "_a_" for "cat" with one hint revealed
+    getWordHint() {
+        if (!this._currentWord) {
+            return null;
+        }
+
+        return Array.from(this._currentWord)
+            .map((letter, index) => (letter === ' ' || this._revealedHints.has(index) ? letter : '_'))
+            .join('');
+    }
+
+    isDrawer(playerId) {
+        return Boolean(playerId && this._currentDrawer && this._currentDrawer.id === playerId);
+    }
+
+    // Merge known settings before the game starts; the whole update is rejected if any value is invalid
+    updateSettings(settings = {}) {
+        if (this.gameState !== 'lobby') {
+            throw new Error('Settings can only be changed before the game starts');
+        }
+
+        this._gameSettings = GameSettingsSchema.validate(settings, this._gameSettings);
         this._updateActivity();
     }
 
     // Private helper methods
+    _assertTransition(to, action) {
+        if (!this._state.can(to)) {
+            throw new IllegalStateTransitionError({ from: this.gameState, to, action });
+        }
+    }
+
+    // State of the round, looking through a pause
+    _phase() {
+        return this.gameState === 'paused' ? this.resumeState : this.gameState;
+    }
+
+    _transition(to, reason = null) {
+        this._emitStateChange(this._state.transition(to), reason);
+    }
+
+    // Listeners see the game after the change; a paused game changing its resume state stays quiet
+    _emitStateChange({ from, to }, reason = null) {
+        this._updateActivity();
+        if (from !== to) {
+            this._events.emit('stateChanged', { gameId: this._id, from, to, round: this._currentRound, reason });
+        }
+    }
+
+    _copySettings(settings) {
+        const copy = { ...settings };
+        for (const [key, value] of Object.entries(copy)) {
+            if (Array.isArray(value)) {
+                copy[key] = value.slice();
+            }
+        }
+        return copy;
+    }
+
+    _registerName(entity, registry = this._nameRegistry, skipTaken = false) {
+        const options = { ownerId: entity.id, type: entity.getType() };
+        if (!skipTaken || registry.isAvailable(entity.name, this.nameScope, entity.id)) {
+            registry.register(entity.name, this.nameScope, options);
+        }
+        entity._useNameRegistry(registry, this.nameScope);
+    }
+
+    _assertTeamHasRoom(teamId) {
+        const team = this._teams.get(teamId);
+        if (!team) {
+            throw new Error('Team not found');
+        }
+
+        if (team.playerCount >= this._maxPlayersPerTeam) {
+            throw new Error('Team is full');
+        }
+    }
+
     _allTeamsReady() {
         for (const team of this._teams.values()) {
             if (!team.isReady()) {
@@ -216,9 +687,18 @@ class Game extends Entity {
             return;
         }
 
-        // Simple round-robin selection
+        // Simple round-robin selection, passing over disconnected and idle players while anyone else can draw
+        const canDraw = player => player.isConnected && !player.isIdle;
         const currentIndex = activePlayers.findIndex(p => p.id === this._currentDrawer?.id);
-        const nextIndex = (currentIndex + 1) % activePlayers.length;
+        const anyCanDraw = activePlayers.some(canDraw);
+        let nextIndex = (currentIndex + 1) % activePlayers.length;
+        while (anyCanDraw && !canDraw(activePlayers[nextIndex])) {
+            nextIndex = (nextIndex + 1) % activePlayers.length;
+        }
+
+        if (this._currentDrawer) {
+            this._currentDrawer.setDrawing(false);
+        }
         this._currentDrawer = activePlayers[nextIndex];
         this._currentDrawer.setDrawing(true);
     }
@@ -227,36 +707,165 @@ class Game extends Entity {
         this._lastActivity = new Date();
     }
 
+    // Time spent waiting in the lobby or through a pause does not count towards idling
+    _restartIdleClocks() {
+        for (const player of this._players.values()) {
+            player.recordActivity();
+        }
+    }
+
+    _assertCanModerate(playerId) {
+        const player = this._players.get(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+        if (this.isHost(playerId)) {
+            throw new Error('The host cannot be moderated');
+        }
+        return player;
+    }
+
+    _logModeration(action, player, moderatorId, reason) {
+        const entry = {
+            action,
+            playerId: player.id,
+            playerName: player.name,
+            moderatorId: moderatorId || null,
+            reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+            at: new Date().toISOString()
+        };
+        this._moderationLog.push(entry);
+        this._updateActivity();
+        return { ...entry };
+    }
+
+    _kickVoterCount(playerId) {
+        return this.players.filter(player => player.id !== playerId && player.isConnected).length;
+    }
+
+    _kickVoteCounts() {
+        const counts = {};
+        for (const [playerId, votes] of this._kickVotes) {
+            if (votes.size > 0) {
+                counts[playerId] = votes.size;
+            }
+        }
+        return counts;
+    }
+
     // Override getType from parent class
     getType() {
         return 'Game';
     }
 
     // Game-specific serialization
+    // The host id stays out: a client that learnt it could join under it, so players carry an isHost flag instead
     toJSON() {
         return {
             ...super.toJSON(),
+            joinCode: this._joinCode,
+            coHostIds: this.coHostIds,
+            mutedIds: this.mutedIds,
+            bannedPlayers: this._bans.map(ban => ({ playerId: ban.playerId, playerName: ban.playerName })),
+            kickVotes: this._kickVoteCounts(),
             teams: this.teams.map(team => team.toJSON()),
-            players: this.players.map(player => player.toJSON()),
-            gameState: this._gameState,
+            players: this.players.map(player => ({ ...player.toJSON(), isHost: this.isHost(player.id) })),
+            spectators: this.spectators.map(spectator => spectator.toJSON()),
+            gameState: this.gameState,
+            resumeState: this.resumeState,
             currentRound: this._currentRound,
-            maxRounds: this._maxRounds,
+            maxRounds: this.maxRounds,
+            maxTeams: this._maxTeams,
+            maxPlayersPerTeam: this._maxPlayersPerTeam,
             currentWord: this._currentWord,
             currentDrawer: this._currentDrawer ? this._currentDrawer.toJSON() : null,
-            gameSettings: this._gameSettings
+            gameSettings: this.gameSettings
+        };
+    }
+
+    // Everything needed to rebuild the game after a restart, including the parts toJSON leaves out
+    toSnapshot() {
+        return {
+            ...this.toJSON(),
+            hostId: this._hostId,
+            players: this.players.map(player => player.toSnapshot()),
+            roundTimeLimit: this.roundTimeLimit,
+            revealedHints: Array.from(this._revealedHints),
+            drawing: this._drawingBoard.toJSON(),
+            roundHistory: this.roundHistory,
+            bans: this._bans.map(ban => ({ ...ban })),
+            kickVoters: Array.from(this._kickVotes, ([playerId, votes]) => ({ playerId, voterIds: Array.from(votes) })),
+            moderationLog: this.moderationLog
         };
     }
 
+    // Rebuild a game from its toJSON or toSnapshot output
+    // Spectators are left out: they belong to a live connection and simply watch again
+    static fromJSON(data) {
+        const game = new Game(data.id, data.name, data.maxTeams, data.maxPlayersPerTeam);
+        game._restoreCreatedAt(data.createdAt);
+        game._joinCode = data.joinCode || null;
+        game._hostId = data.hostId || null;
+        game._bans = (data.bans || []).map(ban => ({ ...ban }));
+        game._mutedIds = new Set(data.mutedIds || []);
+        game._kickVotes = new Map((data.kickVoters || []).map(vote => [vote.playerId, new Set(vote.voterIds)]));
+        game._moderationLog = (data.moderationLog || []).map(entry => ({ ...entry }));
+        game._state = Game._restoreState(data);
+        game._currentRound = data.currentRound || 0;
+        game._currentWord = data.currentWord || null;
+        game._revealedHints = new Set(data.revealedHints || []);
+        game._drawingBoard = DrawingBoard.fromJSON(data.drawing);
+        game._roundHistory = (data.roundHistory || []).map(round => JSON.parse(JSON.stringify(round)));
+        game._gameSettings = GameSettingsSchema.validate(data.gameSettings || {}, game._gameSettings);
+
+        for (const playerData of data.players || []) {
+            const player = Player.fromJSON(playerData);
+            game._registerName(player, game._nameRegistry, true);
+            game._players.set(player.id, player);
+        }
+        for (const teamData of data.teams || []) {
+            const team = Team.fromJSON(teamData, game._players);
+            game._registerName(team, game._nameRegistry, true);
+            game._teams.set(team.id, team);
+        }
+
+        game._coHostIds = new Set((data.coHostIds || []).filter(id => game._players.has(id)));
+        game._currentDrawer = data.currentDrawer ? game._players.get(data.currentDrawer.id) || null : null;
+        return game;
+    }
+
+    // Per-recipient view: only the current drawer sees the word, everyone else gets its hint
+    toJSONFor(viewerId = null) {
+        const view = {
+            ...this.toJSON(),
+            wordLength: this._currentWord ? this._currentWord.length : 0,
+            wordHint: this.getWordHint()
+        };
+
+        if (!this.isDrawer(viewerId)) {
+            view.currentWord = null;
+        }
+
+        return view;
+    }
+
+    // State machine for restored data
+    static _restoreState(data) {
+        return new GameStateMachine(data.gameState || 'lobby', data.resumeState || null);
+    }
+
     // Get game summary for display
     getSummary() {
         return {
             id: this._id,
             name: this._name,
-            gameState: this._gameState,
+            joinCode: this._joinCode,
+            gameState: this.gameState,
             teamCount: this._teams.size,
             playerCount: this._players.size,
+            spectatorCount: this._spectators.size,
             currentRound: this._currentRound,
-            maxRounds: this._maxRounds,
+            maxRounds: this.maxRounds,
             currentDrawer: this._currentDrawer ? this._currentDrawer.name : null
         };
     }
@@ -278,4 +887,6 @@ class Game extends Entity {
     }
 }
 
+Game.MIN_KICK_VOTES = 2;
+
 module.exports = Game;
@@ -11,6 +11,9 @@ class Player extends Entity {
         this._score = 0;
         this._isDrawing = false;
         this._isReady = false;
+        this._isConnected = true;
+        this._isIdle = false;
+        this._accountId = null; // Linked account whose profile this player's games count towards
         this._lastActivity = new Date();
     }
 
@@ -31,6 +34,18 @@ class Player extends Entity {
         return this._isReady;
     }
 
+    get isConnected() {
+        return this._isConnected;
+    }
+
+    get isIdle() {
+        return this._isIdle;
+    }
+
+    get accountId() {
+        return this._accountId;
+    }
+
     get lastActivity() {
         return this._lastActivity;
     }
@@ -60,6 +75,30 @@ class Player extends Entity {
         this._updateActivity();
     }
 
+    // Disconnected players keep their team and score while they have a chance to come back
+    setConnected(isConnected) {
+        this._isConnected = isConnected;
+        this._updateActivity();
+    }
+
+    linkAccount(accountId) {
+        if (!accountId) {
+            throw new Error('Account ID is required');
+        }
+        this._accountId = accountId;
+    }
+
+    // Idle players are passed over as drawer; marking them does not count as activity
+    setIdle(isIdle) {
+        this._isIdle = Boolean(isIdle);
+    }
+
+    // Something the player did themselves, such as drawing, guessing or chatting
+    recordActivity() {
+        this._isIdle = false;
+        this._updateActivity();
+    }
+
     addScore(points) {
         if (points < 0) {
             throw new Error('Score cannot be negative');
@@ -83,7 +122,7 @@ class Player extends Entity {
         return 'Player';
     }
 
-    // Player-specific serialization
+    // Player-specific serialization; this goes to everyone in the room, so the account link stays out
     toJSON() {
         return {
             ...super.toJSON(),
@@ -91,14 +130,39 @@ class Player extends Entity {
             score: this._score,
             isDrawing: this._isDrawing,
             isReady: this._isReady,
+            isConnected: this._isConnected,
+            isIdle: this._isIdle,
             lastActivity: this._lastActivity
         };
     }
 
-    // Check if player is active (within last 5 minutes)
-    isActive() {
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-        return this._lastActivity > fiveMinutesAgo;
+    // Everything needed to rebuild the player after a restart, the account link included
+    toSnapshot() {
+        return {
+            ...this.toJSON(),
+            accountId: this._accountId
+        };
+    }
+
+    // Check if player has been active within the window (5 minutes by default)
+    isActive(windowMs = Player.ACTIVE_WINDOW) {
+        return this._lastActivity > new Date(Date.now() - windowMs);
+    }
+
+    // Rebuild a player from its toJSON or toSnapshot output
+    static fromJSON(data) {
+        const player = new Player(data.id, data.name, data.teamId || null);
+        player._restoreCreatedAt(data.createdAt);
+        player._score = data.score || 0;
+        player._isDrawing = Boolean(data.isDrawing);
+        player._isReady = Boolean(data.isReady);
+        player._isConnected = data.isConnected !== false;
+        player._isIdle = Boolean(data.isIdle);
+        player._accountId = data.accountId || null;
+        if (data.lastActivity) {
+            player._lastActivity = new Date(data.lastActivity);
+        }
+        return player;
     }
 
     // Get player status for game display
@@ -108,9 +172,13 @@ class Player extends Entity {
             score: this._score,
             isDrawing: this._isDrawing,
             isReady: this._isReady,
+            isConnected: this._isConnected,
+            isIdle: this._isIdle,
             isActive: this.isActive()
         };
     }
 }
 
+Player.ACTIVE_WINDOW = 5 * 60 * 1000;
+
 module.exports = Player;
@@ -0,0 +1,15 @@
+const Entity = require('./Entity');
+
+/**
+ * Spectator class extending Entity base class
+ * Watches a game without taking part: never on a team, never drawing and never guessing.
+ * Spectators are tied to their connection, so they are not restored from snapshots.
+ */
+class Spectator extends Entity {
+    // Override getType from parent class
+    getType() {
+        return 'Spectator';
+    }
+}
+
+module.exports = Spectator;
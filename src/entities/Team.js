@@ -1,4 +1,5 @@
 const Entity = require('./Entity');
+const Player = require('./Player');
 
 /**
  * Team class extending Entity base class
@@ -136,6 +137,20 @@ class Team extends Entity {
         };
     }
 
+    // Rebuild a team from its toJSON output
+    // players maps ids to already rebuilt Player objects so a game and its teams share them
+    static fromJSON(data, players = null) {
+        const team = new Team(data.id, data.name, data.color);
+        team._restoreCreatedAt(data.createdAt);
+        team._score = data.score || 0;
+        team._isActive = data.isActive !== false;
+        for (const playerData of data.players || []) {
+            const player = (players && players.get(playerData.id)) || Player.fromJSON(playerData);
+            team._players.set(player.id, player);
+        }
+        return team;
+    }
+
     // Get team summary for game display
     getSummary() {
         return {
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const HistoryStore = require('./HistoryStore');
+
+/**
+ * FileHistoryStore keeps archived games in a JSON lines file, one game per line
+ * The file is read once, on first use, and every new game is appended to it, so
+ * history survives restarts. A line that cannot be parsed (for example one cut
+ * short by a crash) is skipped.
+ */
+class FileHistoryStore extends HistoryStore {
+    /**
+     * @param {string} filePath - File to keep the history in; created when the first game is saved
+     */
+    constructor(filePath) {
+        super();
+        if (!filePath || typeof filePath !== 'string') {
+            throw new Error('History file path is required');
+        }
+
+        this._filePath = filePath;
+        this._records = null; // Loaded on first use
+        this._needsNewline = false; // The file ends in a partial line
+    }
+
+    get filePath() {
+        return this._filePath;
+    }
+
+    _append(record) {
+        const records = this._readAll();
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        fs.appendFileSync(this._filePath, `${this._needsNewline ? '\n' : ''}${JSON.stringify(record)}\n`);
+        this._needsNewline = false;
+        records.push(record);
+    }
+
+    _readAll() {
+        if (!this._records) {
+            this._records = this._load();
+        }
+        return this._records;
+    }
+
+    // Private helper methods
+    _load() {
+        if (!fs.existsSync(this._filePath)) {
+            return [];
+        }
+
+        const content = fs.readFileSync(this._filePath, 'utf8');
+        this._needsNewline = content.length > 0 && !content.endsWith('\n');
+
+        const records = [];
+        const lines = content.split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable line in ${this._filePath}`);
+            }
+        }
+        return records;
+    }
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,119 @@
+/**
+ * Base HistoryStore class for archived games
+ * Subclasses decide where records live by implementing _append and _readAll;
+ * filtering and pagination are shared. A record is { game, rounds, endedAt } where
+ * game is the game's toJSON at the end (teams, players and final scores) and rounds
+ * is its round history, drawings included.
+ */
+class HistoryStore {
+    /**
+     * Archive an ended game
+     * @param {Object} record - { game, rounds, endedAt }
+     * @returns {Object} The stored record
+     */
+    save(record) {
+        if (!record || !record.game || !record.game.id) {
+            throw new Error('History record requires a game');
+        }
+
+        const stored = JSON.parse(JSON.stringify({
+            game: record.game,
+            rounds: record.rounds || [],
+            endedAt: record.endedAt || new Date()
+        }));
+        this._append(stored);
+        return stored;
+    }
+
+    count() {
+        return this._readAll().length;
+    }
+
+    /**
+     * Find archived games
+     * @param {Object} options - Filters and paging
+     * @param {string|Date} options.from - Only games that ended at or after this time
+     * @param {string|Date} options.to - Only games that ended at or before this time
+     * @param {string} options.player - Only games with a player of this name (case-insensitive)
+     * @param {string} options.team - Only games with a team of this name (case-insensitive)
+     * @param {number} options.offset - Matching records to skip
+     * @param {number} options.limit - Most records to return (all when omitted)
+     * @param {string} options.order - 'asc' (oldest first, the default) or 'desc'
+     * @returns {Object} { total, offset, limit, games }
+     */
+    query(options = {}) {
+        const from = this._parseDate(options.from);
+        const to = this._parseDate(options.to);
+        const player = this._normalizeName(options.player);
+        const team = this._normalizeName(options.team);
+        const offset = this._parseCount(options.offset, 'Offset', 0);
+        const limit = this._parseCount(options.limit, 'Limit', null);
+        const order = options.order || 'asc';
+        if (!HistoryStore.ORDERS.includes(order)) {
+            throw new Error(`Order must be one of: ${HistoryStore.ORDERS.join(', ')}`);
+        }
+
+        let records = this._readAll().filter(record => {
+            const endedAt = new Date(record.endedAt);
+            return (!from || endedAt >= from)
+                && (!to || endedAt <= to)
+                && (!player || record.game.players.some(entry => this._normalizeName(entry.name) === player))
+                && (!team || record.game.teams.some(entry => this._normalizeName(entry.name) === team));
+        });
+
+        if (order === 'desc') {
+            records = records.reverse();
+        }
+
+        const page = limit === null ? records.slice(offset) : records.slice(offset, offset + limit);
+        return {
+            total: records.length,
+            offset,
+            limit,
+            games: page.map(record => JSON.parse(JSON.stringify(record)))
+        };
+    }
+
+    // Abstract methods to be implemented by subclasses
+    _append(record) {
+        throw new Error('_append() must be implemented by subclass');
+    }
+
+    // Every stored record, oldest first
+    _readAll() {
+        throw new Error('_readAll() must be implemented by subclass');
+    }
+
+    // Private helper methods
+    _parseDate(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return date;
+    }
+
+    _parseCount(value, label, fallback) {
+        if (value === undefined || value === null || value === '') {
+            return fallback;
+        }
+
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`${label} must be a whole number of at least 0`);
+        }
+        return count;
+    }
+
+    _normalizeName(name) {
+        return typeof name === 'string' && name.trim() ? name.trim().toLowerCase() : null;
+    }
+}
+
+HistoryStore.ORDERS = ['asc', 'desc'];
+
+module.exports = HistoryStore;
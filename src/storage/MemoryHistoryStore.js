@@ -0,0 +1,21 @@
+const HistoryStore = require('./HistoryStore');
+
+/**
+ * MemoryHistoryStore keeps archived games in memory; they are lost on restart
+ */
+class MemoryHistoryStore extends HistoryStore {
+    constructor() {
+        super();
+        this._records = [];
+    }
+
+    _append(record) {
+        this._records.push(record);
+    }
+
+    _readAll() {
+        return this._records.slice();
+    }
+}
+
+module.exports = MemoryHistoryStore;
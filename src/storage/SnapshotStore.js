@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SnapshotStore keeps the latest snapshot of some state in one JSON file, such as the
+ * server's live games or the player accounts
+ * Each save writes a temporary file and renames it over the old one, so a crash
+ * mid-write leaves the previous snapshot intact instead of a half-written file.
+ */
+class SnapshotStore {
+    /**
+     * @param {string} filePath - File to keep the snapshot in
+     */
+    constructor(filePath) {
+        if (!filePath || typeof filePath !== 'string') {
+            throw new Error('Snapshot file path is required');
+        }
+        this._filePath = filePath;
+    }
+
+    get filePath() {
+        return this._filePath;
+    }
+
+    /**
+     * Replace the saved snapshot
+     * @param {Object} data - JSON-serializable state
+     */
+    save(data) {
+        const tempPath = `${this._filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data));
+        fs.renameSync(tempPath, this._filePath);
+    }
+
+    /**
+     * Read the saved snapshot
+     * @returns {Object|null} The snapshot, or null if there is none or it cannot be read
+     */
+    load() {
+        if (!fs.existsSync(this._filePath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable snapshot ${this._filePath}`);
+            return null;
+        }
+    }
+
+    clear() {
+        fs.rmSync(this._filePath, { force: true });
+    }
+}
+
+module.exports = SnapshotStore;
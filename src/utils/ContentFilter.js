@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ContentFilter utility class for keeping offensive language out of names, chat and guesses
+ * Blocked terms come from a blocklist and are either "mild" or "severe". Text is normalized
+ * before matching, so case, accents, leetspeak ("sh1t"), stretched letters ("shiiit") and
+ * letters split by punctuation or spaces ("s.h.i.t", "s h i t") do not get past it.
+ *
+ * Strictness levels:
+ * - off: nothing is blocked
+ * - lenient: severe terms as whole words
+ * - moderate: every term as a whole word
+ * - strict: every term as a whole word, and severe terms inside other words too
+ */
+class ContentFilter {
+    /**
+     * @param {Object} options - Filter configuration
+     * @param {Array} options.terms - Blocked terms, as words or { word, severity }
+     * @param {string} options.strictness - Level used when a call does not name one
+     */
+    constructor(options = {}) {
+        this._leetspeak = {
+            0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g',
+            '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+        };
+        this._terms = new Map(); // Normalized term -> severity
+        this._strictness = ContentFilter._assertLevel(options.strictness || 'moderate');
+        this.addTerms(options.terms || []);
+    }
+
+    get termCount() {
+        return this._terms.size;
+    }
+
+    get strictness() {
+        return this._strictness;
+    }
+
+    /**
+     * Add blocked terms
+     * @param {Array} terms - Words, or { word, severity } with severity 'mild' (default) or 'severe'
+     * @returns {number} Number of terms added
+     */
+    addTerms(terms) {
+        let added = 0;
+        for (const term of terms) {
+            const entry = typeof term === 'string' ? { word: term } : term || {};
+            const word = this._letters(typeof entry.word === 'string' ? entry.word : '');
+            if (!word) {
+                throw new Error('Blocked terms need a word');
+            }
+
+            const severity = entry.severity || 'mild';
+            if (!ContentFilter.SEVERITIES.includes(severity)) {
+                throw new Error(`Severity must be one of: ${ContentFilter.SEVERITIES.join(', ')}`);
+            }
+
+            // A term listed twice keeps its highest severity
+            if (this._terms.get(word) !== 'severe') {
+                this._terms.set(word, severity);
+            }
+            added++;
+        }
+        return added;
+    }
+
+    /**
+     * Load a blocklist file
+     * A .json file holds a list of words or { word, severity }; any other file has one term
+     * per line as "word" or "word,severity", with blank lines and # comments ignored.
+     * @param {string} filePath - Path to the blocklist
+     * @returns {number} Number of terms added
+     */
+    loadFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        try {
+            const terms = path.extname(filePath).toLowerCase() === '.json'
+                ? JSON.parse(content)
+                : content.split(/\r?\n/)
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith('#'))
+                    .map(line => {
+                        const [word, severity] = line.split(',').map(part => part.trim());
+                        return { word, severity: severity || undefined };
+                    });
+
+            if (!Array.isArray(terms)) {
+                throw new Error('Blocklist must be a list of terms');
+            }
+            return this.addTerms(terms);
+        } catch (error) {
+            throw new Error(`Invalid blocklist ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check text for blocked terms
+     * @param {string} text - Text to check
+     * @param {string} strictness - Level to apply; defaults to the filter's own
+     * @returns {Object} { isClean, matches, reason } where matches are the blocked terms found
+     */
+    check(text, strictness = this._strictness) {
+        const { isClean, matches, reason } = this.filter(text, strictness);
+        return { isClean, matches, reason };
+    }
+
+    /**
+     * Censor blocked terms, replacing every word that contains one with asterisks
+     * @param {string} text - Text to filter
+     * @param {string} strictness - Level to apply; defaults to the filter's own
+     * @returns {Object} { text, isClean, matches, reason }
+     */
+    filter(text, strictness = this._strictness) {
+        const level = ContentFilter._assertLevel(strictness);
+        const source = typeof text === 'string' ? text : '';
+        const words = Array.from(source.matchAll(/\S+/g), match => ({
+            text: match[0],
+            index: match.index,
+            letters: this._letters(match[0]),
+            isBlocked: false
+        }));
+        const matches = new Set();
+
+        if (level !== 'off') {
+            for (const word of words) {
+                for (const term of this._findTerms(word.letters, level)) {
+                    matches.add(term);
+                    word.isBlocked = true;
+                }
+            }
+
+            if (level !== 'lenient') {
+                this._checkSpacedLetters(words, level, matches);
+            }
+        }
+
+        let filtered = source;
+        for (const word of words.filter(candidate => candidate.isBlocked).reverse()) {
+            filtered = filtered.slice(0, word.index) + '*'.repeat(word.text.length) + filtered.slice(word.index + word.text.length);
+        }
+
+        return {
+            text: filtered,
+            isClean: matches.size === 0,
+            matches: Array.from(matches),
+            reason: matches.size === 0 ? null : 'Contains offensive language'
+        };
+    }
+
+    // Private helper methods
+
+    // Words spelled out one letter at a time ("s h i t") are checked as one word
+    _checkSpacedLetters(words, level, matches) {
+        let run = [];
+        const checkRun = () => {
+            if (run.length > 1) {
+                const terms = this._findTerms(run.map(word => word.letters).join(''), level);
+                terms.forEach(term => matches.add(term));
+                if (terms.length > 0) {
+                    run.forEach(word => { word.isBlocked = true; });
+                }
+            }
+            run = [];
+        };
+
+        for (const word of words) {
+            if (word.letters.length === 1) {
+                run.push(word);
+            } else {
+                checkRun();
+            }
+        }
+        checkRun();
+    }
+
+    _findTerms(letters, level) {
+        if (!letters) {
+            return [];
+        }
+
+        // Stretched letters ("shiiit") are also tried squeezed to one and to two
+        const variants = new Set([
+            letters,
+            letters.replace(/(.)\1{2,}/g, '$1'),
+            letters.replace(/(.)\1{2,}/g, '$1$1')
+        ]);
+
+        const found = [];
+        for (const [term, severity] of this._terms) {
+            if (level === 'lenient' && severity !== 'severe') {
+                continue;
+            }
+
+            const inside = level === 'strict' && severity === 'severe';
+            for (const variant of variants) {
+                if (variant === term || (inside && variant.includes(term))) {
+                    found.push(term);
+                    break;
+                }
+            }
+        }
+        return found;
+    }
+
+    // Lowercase letters only, with accents removed and leetspeak read as letters
+    // Sentence punctuation around a word ("shit!") is not leetspeak, so it is dropped first
+    _letters(text) {
+        const word = text.replace(/^[("'[]+/, '').replace(/[.,!?;:)"'\]]+$/, '');
+        return Array.from(word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+            .map(char => this._leetspeak[char] || char)
+            .join('')
+            .replace(/[^a-z]/g, '');
+    }
+
+    static _assertLevel(level) {
+        if (!ContentFilter.LEVELS.includes(level)) {
+            throw new Error(`Content filter must be one of: ${ContentFilter.LEVELS.join(', ')}`);
+        }
+        return level;
+    }
+}
+
+ContentFilter.LEVELS = ['off', 'lenient', 'moderate', 'strict'];
+ContentFilter.SEVERITIES = ['mild', 'severe'];
+
+module.exports = ContentFilter;
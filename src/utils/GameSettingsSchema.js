@@ -0,0 +1,132 @@
+const ContentFilter = require('./ContentFilter');
+const ScoringEngine = require('../core/ScoringEngine');
+
+/**
+ * GameSettingsSchema describes every setting a game can be created with or changed to
+ * Each entry names its type, default and limits. validate() checks a partial update
+ * against the current settings and returns the merged result, so callers never store
+ * a half-valid set of settings.
+ *
+ * Types:
+ * - integer: whole number between min and max
+ * - boolean: true or false
+ * - choice: one of the listed values
+ * - list: list of names (strings)
+ */
+class GameSettingsSchema {
+    /**
+     * Every setting with its default value
+     * @returns {Object} Fresh settings object
+     */
+    static defaults() {
+        const settings = {};
+        for (const [key, rule] of Object.entries(GameSettingsSchema.SETTINGS)) {
+            settings[key] = Array.isArray(rule.default) ? rule.default.slice() : rule.default;
+        }
+        return settings;
+    }
+
+    /**
+     * Check a settings update and merge it into the current settings
+     * @param {Object} settings - Settings to change
+     * @param {Object} current - Settings the update applies to (defaults when missing)
+     * @returns {Object} Merged settings
+     */
+    static validate(settings = {}, current = GameSettingsSchema.defaults()) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Settings must be an object');
+        }
+
+        for (const key of Object.keys(settings)) {
+            if (!GameSettingsSchema.SETTINGS[key]) {
+                throw new Error(`Unknown game setting: ${key}`);
+            }
+        }
+
+        const merged = { ...current };
+        for (const [key, value] of Object.entries(settings)) {
+            merged[key] = GameSettingsSchema._check(key, value);
+        }
+        return merged;
+    }
+
+    /**
+     * Keep only the keys the schema knows, e.g. to pull settings out of create-game options
+     * @param {Object} options - Any object
+     * @returns {Object} The known settings that were given
+     */
+    static pick(options = {}) {
+        const settings = {};
+        for (const key of Object.keys(GameSettingsSchema.SETTINGS)) {
+            if (options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Describe the schema for clients building a settings form
+     * @returns {Object} Setting name -> { type, default, min, max, values, description }
+     */
+    static describe() {
+        const description = {};
+        for (const [key, rule] of Object.entries(GameSettingsSchema.SETTINGS)) {
+            description[key] = {
+                ...rule,
+                default: Array.isArray(rule.default) ? rule.default.slice() : rule.default
+            };
+            if (rule.values) {
+                description[key].values = rule.values.slice();
+            }
+        }
+        return description;
+    }
+
+    // Private helper methods
+    static _check(key, value) {
+        const rule = GameSettingsSchema.SETTINGS[key];
+
+        switch (rule.type) {
+            case 'integer':
+                if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+                    throw new Error(`${key} must be a whole number from ${rule.min} to ${rule.max}`);
+                }
+                return value;
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    throw new Error(`${key} must be true or false`);
+                }
+                return value;
+            case 'choice':
+                if (!rule.values.includes(value)) {
+                    throw new Error(`${key} must be one of: ${rule.values.join(', ')}`);
+                }
+                return value;
+            case 'list':
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    throw new Error(`${key} must be a list of names`);
+                }
+                return value.slice();
+            default:
+                throw new Error(`Unsupported setting type: ${rule.type}`);
+        }
+    }
+}
+
+GameSettingsSchema.SETTINGS = {
+    maxRounds: { type: 'integer', default: 10, min: 1, max: 50, description: 'Rounds before the game ends' },
+    roundTimeLimit: { type: 'integer', default: 60, min: 15, max: 300, description: 'Seconds to draw and guess each word' },
+    hintInterval: { type: 'integer', default: 20, min: 0, max: 300, description: 'Seconds between revealed hint letters; 0 disables hints' },
+    scoringMode: { type: 'choice', default: 'speed', values: ScoringEngine.MODES, description: 'speed: earlier guesses earn more; flat: every correct guess earns the same' },
+    wordPacks: { type: 'list', default: [], description: 'Word pack ids; empty means every pack' },
+    wordCategories: { type: 'list', default: [], description: 'Word categories; empty means every category' },
+    wordDifficulties: { type: 'list', default: [], description: 'Word difficulties; empty means every difficulty' },
+    allowSpectators: { type: 'boolean', default: true, description: 'Whether people may watch without playing' },
+    spectatorChat: { type: 'boolean', default: true, description: 'Whether spectators may talk in the spectators channel' },
+    enableChat: { type: 'boolean', default: true, description: 'Whether players may chat' },
+    showScores: { type: 'boolean', default: true, description: 'Whether scores are shown during the game' },
+    contentFilter: { type: 'choice', default: 'moderate', values: ContentFilter.LEVELS, description: 'Strictness for names, chat and guesses' }
+};
+
+module.exports = GameSettingsSchema;
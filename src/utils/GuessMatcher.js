@@ -0,0 +1,191 @@
+/**
+ * GuessMatcher utility class for checking guesses against the current word
+ * Forgives case, extra whitespace, articles, plurals and small typos, and tells
+ * apart guesses that are nearly right ("close") from ones that are not
+ */
+class GuessMatcher {
+    /**
+     * @param {Object} options - Matcher configuration
+     * @param {Function} options.isKnownWord - Tells whether a normalized guess is a real word (see WordBank.hasWord)
+     */
+    constructor(options = {}) {
+        this._articles = new Set(['a', 'an', 'the']);
+        this._isKnownWord = options.isKnownWord || (() => false);
+
+        // Words at least this long forgive two swapped letters when checking for a correct guess
+        this._swapMinLength = 5;
+
+        // Words at least this long forgive any one typo when checking for a correct guess
+        this._typoMinLength = 7;
+
+        // Maximum edit distance that still counts as a close guess, by word length
+        this._closeDistances = [
+            { minLength: 0, distance: 1 },
+            { minLength: 6, distance: 2 },
+            { minLength: 10, distance: 3 }
+        ];
+    }
+
+    /**
+     * Normalize a guess or word for comparison
+     * "The  Cats!" and "cat" both become "cat"
+     * @param {string} text - Text to normalize
+     * @returns {string} Lowercase words without punctuation, articles or plural endings
+     */
+    normalize(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+
+        return text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 0 && !this._articles.has(word))
+            .map(word => this.singularize(word))
+            .join(' ');
+    }
+
+    /**
+     * Strip common English plural endings
+     * @param {string} word - Lowercase word
+     * @returns {string} Singular form of the word
+     */
+    singularize(word) {
+        if (word.length > 4 && word.endsWith('ies')) {
+            return `${word.slice(0, -3)}y`;
+        }
+
+        if (word.length > 4 && /(ches|shes|sses|xes|zes)$/.test(word)) {
+            return word.slice(0, -2);
+        }
+
+        if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+            return word.slice(0, -1);
+        }
+
+        return word;
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single character edits needed
+     */
+    distance(a, b) {
+        if (a === b) return 0;
+        if (a.length === 0) return b.length;
+        if (b.length === 0) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Compare a guess to the word being drawn
+     * @param {string} guess - The player's guess
+     * @param {string} word - The word being drawn
+     * @returns {string} 'correct', 'close' or 'wrong'
+     */
+    match(guess, word) {
+        const normalizedGuess = this.normalize(guess);
+        const normalizedWord = this.normalize(word);
+        if (!normalizedGuess || !normalizedWord) {
+            return 'wrong';
+        }
+
+        // "ice cream" and "icecream" are the same guess
+        const compactGuess = normalizedGuess.replace(/ /g, '');
+        const compactWord = normalizedWord.replace(/ /g, '');
+        if (compactGuess === compactWord) {
+            return 'correct';
+        }
+
+        // A typo that spells another real word ("horse" for "house") is only close
+        const distance = this.distance(compactGuess, compactWord);
+        const isTypo = !this._isKnownWord(normalizedGuess) && (
+            (distance === 1 && compactWord.length >= this._typoMinLength) ||
+            (this._isSwap(compactGuess, compactWord) && compactWord.length >= this._swapMinLength)
+        );
+        if (isTypo) {
+            return 'correct';
+        }
+
+        return distance <= this._getCloseDistance(compactWord.length) ? 'close' : 'wrong';
+    }
+
+    /**
+     * Check whether a chat message mentions the word anywhere, with the same forgiveness as match
+     * @param {string} text - Message text
+     * @param {string} word - The word being drawn
+     * @returns {boolean} True if any run of words in the message matches the word
+     */
+    containsWord(text, word) {
+        return this.findWord(text, word) !== null;
+    }
+
+    /**
+     * Find the run of words in a chat message that names the word
+     * "is it a bicycle maybe" gives "bicycle", so only that part is judged as a guess
+     * @param {string} text - Message text
+     * @param {string} word - The word being drawn
+     * @returns {string|null} The normalized matching words, or null if the message does not name the word
+     */
+    findWord(text, word) {
+        const tokens = this.normalize(text).split(' ').filter(token => token.length > 0);
+        const wordLength = this.normalize(word).split(' ').length;
+
+        // Look at every run of words as long as the word, plus one for split spellings like "ice cream"
+        for (const size of [wordLength, wordLength + 1]) {
+            for (let i = 0; i + size <= tokens.length; i++) {
+                const run = tokens.slice(i, i + size).join(' ');
+                if (this.match(run, word) === 'correct') {
+                    return run;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Private helper methods
+    _isSwap(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        const differences = [];
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                differences.push(i);
+            }
+        }
+
+        const [first, second] = differences;
+        return differences.length === 2 && second === first + 1 && a[first] === b[second] && a[second] === b[first];
+    }
+
+    _getCloseDistance(length) {
+        let allowed = 0;
+        for (const rule of this._closeDistances) {
+            if (length >= rule.minLength) {
+                allowed = rule.distance;
+            }
+        }
+        return allowed;
+    }
+}
+
+module.exports = GuessMatcher;
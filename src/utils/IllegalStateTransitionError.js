@@ -0,0 +1,34 @@
+/**
+ * IllegalStateTransitionError is thrown when a game is asked to move to a state
+ * its current state does not lead to, e.g. pausing a game still in the lobby
+ * It names both states so clients can tell what the game is doing now.
+ */
+class IllegalStateTransitionError extends Error {
+    /**
+     * @param {Object} details - Transition details
+     * @param {string} details.from - State the game is in
+     * @param {string} details.to - State that was asked for
+     * @param {string} details.action - What was tried, e.g. "pause the game", used in the message
+     */
+    constructor(details = {}) {
+        super(details.action
+            ? `Cannot ${details.action} in the ${details.from} state`
+            : `Game cannot go from ${details.from} to ${details.to}`);
+        this.name = 'IllegalStateTransitionError';
+        this.code = 'ILLEGAL_STATE_TRANSITION';
+        this.from = details.from || null;
+        this.to = details.to || null;
+    }
+
+    // Payload for socket errors and REST responses
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            from: this.from,
+            to: this.to
+        };
+    }
+}
+
+module.exports = IllegalStateTransitionError;
@@ -0,0 +1,36 @@
+/**
+ * NameConflictError is thrown when a name is already taken in its scope
+ * It carries what the client needs to recover: the name, the scope it clashed in,
+ * and a free name to offer instead.
+ */
+class NameConflictError extends Error {
+    /**
+     * @param {Object} details - Conflict details
+     * @param {string} details.name - The name that was asked for
+     * @param {string} details.type - Kind of entity (Game, Team, Player), used in the message
+     * @param {string} details.scope - Scope the name clashed in
+     * @param {string} details.suggestion - A similar name that is still free
+     */
+    constructor(details = {}) {
+        super(details.type ? `${details.type} name must be unique` : 'Name must be unique');
+        this.name = 'NameConflictError';
+        this.code = 'NAME_TAKEN';
+        this.takenName = details.name || null;
+        this.type = details.type || null;
+        this.scope = details.scope || null;
+        this.suggestion = details.suggestion || null;
+    }
+
+    // Payload for socket errors and REST responses
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            name: this.takenName,
+            scope: this.scope,
+            suggestion: this.suggestion
+        };
+    }
+}
+
+module.exports = NameConflictError;
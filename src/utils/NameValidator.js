@@ -1,9 +1,24 @@
 /**
  * NameValidator utility class for CS 230 unique name requirements
  * Provides comprehensive validation for game, team, and player names
+ *
+ * Unicode mode (opt-in) accepts letters from any script. Names are NFKC normalized,
+ * their length is counted in grapheme clusters (what a person sees as one character),
+ * and names are compared after case folding with look-alike letters from other scripts
+ * replaced by their Latin twin, so "Tеam" with a Cyrillic "е" collides with "Team".
  */
 class NameValidator {
-    constructor() {
+    /**
+     * @param {Object} options - Validator configuration
+     * @param {ContentFilter} options.contentFilter - Rejects offensive names when given
+     * @param {boolean} options.unicode - Accept letters from any script (default false, ASCII only)
+     */
+    constructor(options = {}) {
+        this._contentFilter = options.contentFilter || null;
+        this._unicode = Boolean(options.unicode);
+        this._segmenter = this._unicode && typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+            : null;
         this._reservedWords = new Set([
             'admin', 'system', 'game', 'player', 'team', 'user',
             'guest', 'anonymous', 'null', 'undefined', 'test'
@@ -13,13 +28,18 @@ class NameValidator {
         this._maxLength = 50;
     }
 
+    get isUnicode() {
+        return this._unicode;
+    }
+
     /**
      * Validate a name according to CS 230 requirements
      * @param {string} name - Name to validate
      * @param {string} type - Type of entity (game, team, player)
+     * @param {Object} options - { strictness } content filter level, defaulting to the filter's own
      * @returns {Object} Validation result with success boolean and message
      */
-    validateName(name, type = 'entity') {
+    validateName(name, type = 'entity', options = {}) {
         const result = {
             isValid: false,
             message: '',
@@ -39,16 +59,17 @@ class NameValidator {
         }
 
         // Trim and normalize name
-        const trimmedName = name.trim();
-        const normalizedName = trimmedName.toLowerCase();
+        const trimmedName = this._unicode ? name.normalize('NFKC').trim() : name.trim();
+        const normalizedName = this.normalizeName(trimmedName);
+        const length = this.measureLength(trimmedName);
 
         // Check length requirements
-        if (trimmedName.length < this._minLength) {
+        if (length < this._minLength) {
             result.message = `${type} name must be at least ${this._minLength} characters long`;
             return result;
         }
 
-        if (trimmedName.length > this._maxLength) {
+        if (length > this._maxLength) {
             result.message = `${type} name must be no more than ${this._maxLength} characters long`;
             return result;
         }
@@ -59,8 +80,8 @@ class NameValidator {
             return result;
         }
 
-        // Check for valid characters (alphanumeric, spaces, hyphens, underscores)
-        if (!/^[a-zA-Z0-9\s\-_]+$/.test(trimmedName)) {
+        // Check for valid characters (letters, numbers, spaces, hyphens, underscores)
+        if (!this._allowedCharacters().test(trimmedName)) {
             result.message = `${type} name can only contain letters, numbers, spaces, hyphens, and underscores`;
             return result;
         }
@@ -77,6 +98,14 @@ class NameValidator {
             return result;
         }
 
+        // Check for offensive language
+        const content = this.checkContent(trimmedName, type, options.strictness);
+        if (!content.isValid) {
+            result.message = content.message;
+            result.reason = content.reason;
+            return result;
+        }
+
         // All validations passed
         result.isValid = true;
         result.message = 'Name is valid';
@@ -86,6 +115,26 @@ class NameValidator {
         return result;
     }
 
+    /**
+     * Check a name against the content filter only
+     * @param {string} name - Name to check
+     * @param {string} type - Type of entity (game, team, player)
+     * @param {string} strictness - Content filter level; defaults to the filter's own
+     * @returns {Object} { isValid, message, reason }; always valid without a content filter
+     */
+    checkContent(name, type = 'entity', strictness = undefined) {
+        // In unicode mode look-alike letters are read as Latin, so "ѕhit" is caught too
+        const check = this._contentFilter && typeof name === 'string'
+            ? this._contentFilter.check(this._unicode ? this.normalizeName(name) : name, strictness)
+            : { isClean: true, reason: null };
+
+        return {
+            isValid: check.isClean,
+            message: check.isClean ? 'Name is valid' : `${type} name is not allowed: ${check.reason.toLowerCase()}`,
+            reason: check.reason
+        };
+    }
+
     /**
      * Validate multiple names at once
      * @param {Array} names - Array of name objects with name and type
@@ -123,7 +172,36 @@ class NameValidator {
      */
     areNamesEquivalent(name1, name2) {
         if (!name1 || !name2) return false;
-        return name1.trim().toLowerCase() === name2.trim().toLowerCase();
+        return this.normalizeName(name1) === this.normalizeName(name2);
+    }
+
+    /**
+     * Reduce a name to the form used for uniqueness checks
+     * @param {string} name - Name to normalize
+     * @returns {string} Trimmed, lowercase name; in unicode mode also NFKC normalized,
+     *     case folded and with confusable letters replaced
+     */
+    normalizeName(name) {
+        if (!this._unicode) {
+            return name.trim().toLowerCase();
+        }
+
+        // Look-alikes are replaced before and after folding: "Ε" (Greek) folds to "ε", which looks like nothing Latin
+        const folded = this._replaceConfusables(name.normalize('NFKC').trim()).toUpperCase().toLowerCase();
+        return this._replaceConfusables(folded.normalize('NFKC'));
+    }
+
+    /**
+     * Count a name's characters; in unicode mode as grapheme clusters, so "é" written
+     * as "e" plus an accent or a flag emoji counts once
+     * @param {string} name - Name to measure
+     * @returns {number} Number of characters
+     */
+    measureLength(name) {
+        if (!this._segmenter) {
+            return this._unicode ? Array.from(name).length : name.length;
+        }
+        return Array.from(this._segmenter.segment(name)).length;
     }
 
     /**
@@ -137,11 +215,13 @@ class NameValidator {
             baseName = 'NewEntity';
         }
 
-        const cleanBase = baseName.trim().replace(/[^a-zA-Z0-9\s\-_]/g, '');
+        const cleanBase = this._unicode
+            ? baseName.normalize('NFKC').trim().replace(/[^\p{L}\p{M}\p{N}\s\-_]/gu, '')
+            : baseName.trim().replace(/[^a-zA-Z0-9\s\-_]/g, '');
         let suggestion = cleanBase;
         let counter = 1;
 
-        while (existingNames.has(suggestion.toLowerCase())) {
+        while (existingNames.has(this.normalizeName(suggestion))) {
             suggestion = `${cleanBase}${counter}`;
             counter++;
         }
@@ -157,7 +237,10 @@ class NameValidator {
         return {
             minLength: this._minLength,
             maxLength: this._maxLength,
-            allowedCharacters: 'Letters, numbers, spaces, hyphens, underscores',
+            unicode: this._unicode,
+            allowedCharacters: this._unicode
+                ? 'Letters from any script, numbers, spaces, hyphens, underscores'
+                : 'Letters, numbers, spaces, hyphens, underscores',
             reservedWords: Array.from(this._reservedWords),
             examples: {
                 valid: ['Team Alpha', 'Player-1', 'My_Game', 'Team 2024'],
@@ -177,6 +260,33 @@ class NameValidator {
             this._reservedWords = new Set(rules.reservedWords);
         }
     }
+
+    // Private helper methods
+    _allowedCharacters() {
+        return this._unicode ? /^[\p{L}\p{M}\p{N}\s\-_]+$/u : /^[a-zA-Z0-9\s\-_]+$/;
+    }
+
+    // Accents are split off first so "ё" is read as "e" plus its accent, then put back
+    _replaceConfusables(text) {
+        return Array.from(text.normalize('NFD'), char => NameValidator.CONFUSABLES[char] || char)
+            .join('')
+            .normalize('NFC');
+    }
 }
 
+// Letters from other scripts that look the same as a Latin letter
+NameValidator.CONFUSABLES = {
+    // Cyrillic
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C',
+    'Т': 'T', 'Х': 'X', 'У': 'Y', 'Ү': 'Y', 'І': 'I', 'Ӏ': 'I', 'Ј': 'J', 'Ѕ': 'S', 'Ԛ': 'Q', 'Ԝ': 'W',
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'ү': 'y', 'х': 'x', 'і': 'i',
+    'ӏ': 'l', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+    // Greek
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N',
+    'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u', 'χ': 'x',
+    // Latin letters that pass for others
+    'ı': 'i', 'ɑ': 'a', 'ɡ': 'g'
+};
+
 module.exports = NameValidator;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+/**
+ * TokenSigner issues and checks HMAC-signed tokens
+ * A token is "<payload>.<signature>", both base64url encoded, where the payload is JSON
+ * with an expiry time. Anyone can read a payload, but only a holder of the secret can
+ * produce a signature that verify() accepts, so the server needs no token table.
+ */
+class TokenSigner {
+    /**
+     * @param {Object} options - Signing configuration
+     * @param {string} options.secret - HMAC secret; a random one is made for this process without it
+     * @param {number} options.ttl - Seconds a token stays valid
+     */
+    constructor(options = {}) {
+        this._secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this._ttl = options.ttl || 24 * 60 * 60;
+    }
+
+    get ttl() {
+        return this._ttl;
+    }
+
+    /**
+     * Sign a payload
+     * @param {Object} payload - Claims to carry, such as { gameId, sub }
+     * @returns {string} The signed token
+     */
+    sign(payload) {
+        const now = Math.floor(Date.now() / 1000);
+        const body = this._encode(JSON.stringify({ ...payload, iat: now, exp: now + this._ttl }));
+        return `${body}.${this._signature(body)}`;
+    }
+
+    /**
+     * Check a token's signature and expiry
+     * @param {string} token - Token from sign()
+     * @returns {Object} The token's payload
+     */
+    verify(token) {
+        const [body, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+        if (!body || !signature || rest.length > 0) {
+            throw new Error('Invalid token');
+        }
+
+        const expected = Buffer.from(this._signature(body));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid token');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(this._decode(body));
+        } catch (error) {
+            throw new Error('Invalid token');
+        }
+
+        if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+            throw new Error('Token has expired');
+        }
+        return payload;
+    }
+
+    // Private helper methods
+    _signature(body) {
+        return this._toBase64Url(crypto.createHmac('sha256', this._secret).update(body).digest('base64'));
+    }
+
+    _encode(text) {
+        return this._toBase64Url(Buffer.from(text, 'utf8').toString('base64'));
+    }
+
+    _decode(text) {
+        return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+    }
+
+    _toBase64Url(base64) {
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
+
+module.exports = TokenSigner;
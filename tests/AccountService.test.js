@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccountService = require('../src/core/AccountService');
+const SnapshotStore = require('../src/storage/SnapshotStore');
+const Game = require('../src/entities/Game');
+
+/**
+ * Test suite for player accounts and profiles
+ */
+describe('AccountService', () => {
+    let accounts;
+
+    beforeEach(() => {
+        accounts = new AccountService();
+    });
+
+    describe('Registering and logging in', () => {
+        test('should create an account with an empty profile', () => {
+            const profile = accounts.register('Alice_1', 'correct horse');
+
+            expect(profile).toMatchObject({
+                username: 'Alice_1',
+                gamesPlayed: 0,
+                wins: 0,
+                totalPoints: 0,
+                wordsGuessed: 0,
+                favoriteTeamColor: null
+            });
+            expect(profile).not.toHaveProperty('passwordHash');
+            expect(profile).not.toHaveProperty('salt');
+        });
+
+        test('should reject invalid usernames and short passwords', () => {
+            expect(() => accounts.register('al', 'correct horse'))
+                .toThrow('Username must be 3 to 20 letters, digits or underscores');
+            expect(() => accounts.register('alice smith', 'correct horse'))
+                .toThrow('Username must be 3 to 20 letters, digits or underscores');
+            expect(() => accounts.register('alice', 'short'))
+                .toThrow('Password must be at least 8 characters');
+        });
+
+        test('should keep usernames unique ignoring case', () => {
+            accounts.register('Alice', 'correct horse');
+
+            expect(() => accounts.register('ALICE', 'another password')).toThrow('Username is already taken');
+        });
+
+        test('should log in with the right password only', () => {
+            accounts.register('Alice', 'correct horse');
+
+            const { token, account } = accounts.login('alice', 'correct horse');
+            expect(account.username).toBe('Alice');
+            expect(accounts.getAccountByToken(token).id).toBe(account.id);
+
+            expect(() => accounts.login('alice', 'wrong horse')).toThrow('Invalid username or password');
+            expect(() => accounts.login('nobody', 'correct horse')).toThrow('Invalid username or password');
+        });
+
+        test('should forget a token on logout', () => {
+            accounts.register('Alice', 'correct horse');
+            const { token } = accounts.login('Alice', 'correct horse');
+
+            accounts.logout(token);
+
+            expect(accounts.getAccountByToken(token)).toBeNull();
+        });
+    });
+
+    describe('Profiles', () => {
+        let game;
+        let alice;
+        let bob;
+
+        beforeEach(() => {
+            alice = accounts.register('Alice', 'correct horse');
+            bob = accounts.register('Bob', 'correct horse');
+
+            game = new Game('game1', 'Profile Game');
+            game.createTeam('team1', 'Red', '#FF0000');
+            game.createTeam('team2', 'Blue', '#0000FF');
+            game.addPlayer('p1', 'Alice', 'team1').linkAccount(alice.id);
+            game.addPlayer('p2', 'Bob', 'team2').linkAccount(bob.id);
+            game.addPlayer('p3', 'Guest', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+        });
+
+        const finish = () => {
+            game.getPlayer('p1').addScore(12);
+            game.getTeam('team1').addScore(12);
+            game.getPlayer('p2').addScore(5);
+            game.getTeam('team2').addScore(5);
+            game.recordRound({ round: 1, word: 'cat', guesserIds: ['p1'] });
+            game.recordRound({ round: 2, word: 'dog', guesserIds: ['p1', 'p3'] });
+            game.endGame();
+            return accounts.recordGame(game);
+        };
+
+        test('should add a finished game to the profiles of linked players', () => {
+            expect(finish()).toBe(2);
+
+            expect(accounts.getProfile('alice')).toMatchObject({
+                gamesPlayed: 1,
+                wins: 1,
+                totalPoints: 12,
+                wordsGuessed: 2,
+                favoriteTeamColor: '#FF0000'
+            });
+            expect(accounts.getProfile('bob')).toMatchObject({
+                gamesPlayed: 1,
+                wins: 0,
+                totalPoints: 5,
+                wordsGuessed: 0,
+                favoriteTeamColor: '#0000FF'
+            });
+        });
+
+        test('should not count games that never started', () => {
+            const lobby = new Game('game2', 'Lobby');
+            lobby.addPlayer('p1', 'Alice').linkAccount(alice.id);
+
+            expect(accounts.recordGame(lobby)).toBe(0);
+            expect(accounts.getProfile('alice').gamesPlayed).toBe(0);
+        });
+
+        test('should keep the player link in snapshots', () => {
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(restored.getPlayer('p1').accountId).toBe(alice.id);
+            expect(restored.getPlayer('p3').accountId).toBeNull();
+        });
+
+        test('should keep the player link out of what the room is sent', () => {
+            expect(game.toJSON().players.some(player => 'accountId' in player)).toBe(false);
+            expect(game.getPlayer('p1').toJSON()).not.toHaveProperty('accountId');
+        });
+    });
+
+    describe('Storage', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should keep accounts across restarts without storing passwords', () => {
+            const store = new SnapshotStore(path.join(directory, 'accounts.json'));
+            new AccountService({ store }).register('Alice', 'correct horse');
+
+            expect(fs.readFileSync(store.filePath, 'utf8')).not.toContain('correct horse');
+
+            const reloaded = new AccountService({ store });
+            expect(reloaded.accountCount).toBe(1);
+            expect(reloaded.login('alice', 'correct horse').account.username).toBe('Alice');
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const Game = require('../src/entities/Game');
+const ChatService = require('../src/core/ChatService');
+const ContentFilter = require('../src/utils/ContentFilter');
+
+/**
+ * Test suite for in-game chat
+ */
+describe('ChatService', () => {
+    let game;
+    let chat;
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        chat = new ChatService({ historyLimit: 3, rateLimit: 2, rateWindow: 1000, now: () => now });
+
+        game = new Game('game1', 'Chat Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('player1', 'Alice', 'team1');
+        game.addPlayer('player2', 'Bob', 'team2');
+        game.addPlayer('player3', 'Charlie');
+    });
+
+    const send = (playerId, text, channel) => {
+        now += 1000;
+        return chat.postMessage(game, playerId, { text, channel });
+    };
+
+    describe('Posting messages', () => {
+        test('should create a global message by default', () => {
+            const result = send('player1', '  hello   everyone ');
+
+            expect(result.type).toBe('message');
+            expect(result.message).toMatchObject({
+                channel: 'global',
+                teamId: null,
+                playerId: 'player1',
+                playerName: 'Alice',
+                text: 'hello everyone'
+            });
+        });
+
+        test('should tag team messages with the sender team', () => {
+            expect(send('player2', 'psst', 'team').message.teamId).toBe('team2');
+        });
+
+        test('should reject invalid messages', () => {
+            expect(() => send('player1', '   ')).toThrow('Message cannot be empty');
+            expect(() => send('player1', 'x'.repeat(201))).toThrow('Messages can be at most 200 characters');
+            expect(() => send('player1', 'hi', 'shout')).toThrow('Channel must be one of: global, team');
+            expect(() => send('player3', 'hi', 'team')).toThrow('Join a team to use team chat');
+            expect(() => send('ghost', 'hi')).toThrow('Join the game before chatting');
+        });
+
+        test('should respect the enableChat setting', () => {
+            game.updateSettings({ enableChat: false });
+
+            expect(() => send('player1', 'hi')).toThrow('Chat is disabled for this game');
+        });
+
+        test('should censor offensive words using the game setting', () => {
+            chat = new ChatService({ contentFilter: new ContentFilter({ terms: ['crap'] }), now: () => now });
+
+            expect(send('player1', 'oh crap')).toMatchObject({
+                type: 'message',
+                message: { text: 'oh ****', filterReason: 'Contains offensive language' }
+            });
+
+            game.updateSettings({ contentFilter: 'off' });
+            expect(send('player1', 'oh crap').message).toMatchObject({ text: 'oh crap', filterReason: null });
+        });
+
+        test('should not let muted players chat', () => {
+            game.setPlayerMuted('player1', true, 'host1');
+
+            expect(() => send('player1', 'hi')).toThrow('You have been muted in this game');
+            expect(send('player2', 'hi').type).toBe('message');
+        });
+    });
+
+    test('should rate limit each player', () => {
+        chat.postMessage(game, 'player1', { text: 'one' });
+        chat.postMessage(game, 'player1', { text: 'two' });
+
+        expect(() => chat.postMessage(game, 'player1', { text: 'three' })).toThrow('You are sending messages too quickly');
+        expect(chat.postMessage(game, 'player2', { text: 'other player' }).type).toBe('message');
+
+        now += 1000;
+        expect(chat.postMessage(game, 'player1', { text: 'later' }).type).toBe('message');
+    });
+
+    describe('History', () => {
+        test('should keep only the most recent messages', () => {
+            ['a', 'b', 'c', 'd'].forEach(text => send('player1', text));
+
+            expect(chat.getHistory('game1').map(message => message.text)).toEqual(['b', 'c', 'd']);
+        });
+
+        test('should only show team messages to that team', () => {
+            send('player1', 'for everyone');
+            send('player1', 'alpha only', 'team');
+
+            expect(chat.getHistory('game1', 'team1')).toHaveLength(2);
+            expect(chat.getHistory('game1', 'team2').map(message => message.text)).toEqual(['for everyone']);
+            expect(chat.getHistory('game1')).toHaveLength(1);
+        });
+
+        test('should be forgotten when the game is cleared', () => {
+            send('player1', 'hello');
+
+            chat.clearGame('game1');
+
+            expect(chat.getHistory('game1')).toEqual([]);
+        });
+    });
+
+    describe('Spectator chat', () => {
+        beforeEach(() => {
+            game.addSpectator('spectator1', 'Sam');
+        });
+
+        test('should post spectator messages to the spectators channel', () => {
+            expect(send('spectator1', 'go Alice!').message).toMatchObject({
+                channel: 'spectators',
+                playerId: 'spectator1',
+                playerName: 'Sam'
+            });
+        });
+
+        test('should keep spectators and players in their own channels', () => {
+            expect(() => send('spectator1', 'hint: it has four legs', 'global'))
+                .toThrow('Spectators can only chat in the spectators channel');
+            expect(() => send('player1', 'hi', 'spectators')).toThrow('Only spectators can use the spectators channel');
+        });
+
+        test('should only show the spectators channel to spectators', () => {
+            send('player1', 'for everyone');
+            send('spectator1', 'spectators only');
+
+            expect(chat.getHistory('game1', 'team1').map(message => message.text)).toEqual(['for everyone']);
+            expect(chat.getHistory('game1', null, true).map(message => message.text)).toEqual(['for everyone', 'spectators only']);
+        });
+
+        test('should respect the spectatorChat setting', () => {
+            game.updateSettings({ spectatorChat: false });
+
+            expect(() => send('spectator1', 'hello')).toThrow('Spectator chat is disabled for this game');
+        });
+
+        test('should not treat a spectator naming the word as a guess', () => {
+            game.players.forEach(player => player.teamId && game.setPlayerReady(player.id, true));
+            game.startGame();
+            game.setCurrentWord('giraffe');
+
+            expect(send('spectator1', 'giraffe?').type).toBe('message');
+        });
+    });
+
+    describe('Guess interception', () => {
+        beforeEach(() => {
+            game.players.forEach(player => player.teamId && game.setPlayerReady(player.id, true));
+            game.startGame();
+            game.setCurrentWord('giraffe');
+        });
+
+        test('should treat a message naming the word as a guess', () => {
+            const result = send('player2', 'is it a Giraffe?');
+
+            expect(result).toEqual({ type: 'guess', text: 'giraffe' });
+            expect(chat.getHistory('game1')).toEqual([]);
+        });
+
+        test('should intercept the word in team chat too', () => {
+            expect(send('player2', 'giraffes!', 'team').type).toBe('guess');
+        });
+
+        test('should let other messages through during a round', () => {
+            expect(send('player2', 'nice drawing').type).toBe('message');
+        });
+
+        test('should still intercept the word while the game is paused', () => {
+            game.pauseGame();
+
+            expect(send(game.currentDrawer.id, 'it is giraffe').type).toBe('guess');
+            expect(send('player2', 'giraffe?').type).toBe('guess');
+            expect(chat.getHistory('game1')).toEqual([]);
+        });
+
+        test('should post the word as chat once the round is over', () => {
+            game.endRound('timeout');
+            const guesser = game.players.find(player => !game.isDrawer(player.id));
+
+            expect(send(guesser.id, 'giraffe, so close').type).toBe('message');
+            expect(send(game.currentDrawer.id, 'it was a giraffe').type).toBe('guess');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentFilter = require('../src/utils/ContentFilter');
+
+/**
+ * Test suite for the profanity filter
+ */
+describe('ContentFilter', () => {
+    let filter;
+
+    beforeEach(() => {
+        filter = new ContentFilter({
+            terms: ['crap', { word: 'shit', severity: 'severe' }, { word: 'dick', severity: 'severe' }]
+        });
+    });
+
+    describe('Matching', () => {
+        test('should censor blocked words and give a reason', () => {
+            expect(filter.filter('well crap, missed it')).toEqual({
+                text: 'well ***** missed it',
+                isClean: false,
+                matches: ['crap'],
+                reason: 'Contains offensive language'
+            });
+        });
+
+        test('should leave clean text alone', () => {
+            expect(filter.filter('Nice drawing!')).toEqual({ text: 'Nice drawing!', isClean: true, matches: [], reason: null });
+        });
+
+        test('should see through case, accents, leetspeak and stretched letters', () => {
+            expect(filter.check('SHIT').isClean).toBe(false);
+            expect(filter.check('shìt').isClean).toBe(false);
+            expect(filter.check('sh1t').isClean).toBe(false);
+            expect(filter.check('$h!t').isClean).toBe(false);
+            expect(filter.check('shiiiiit!').isClean).toBe(false);
+        });
+
+        test('should catch words split into single letters', () => {
+            expect(filter.filter('s.h.i.t').text).toBe('*******');
+            expect(filter.filter('oh s h i t no').text).toBe('oh * * * * no');
+        });
+
+        test('should not match words that only contain a term in moderate mode', () => {
+            expect(filter.check('Dickens wrote books').isClean).toBe(true);
+            expect(filter.check('scrappy').isClean).toBe(true);
+        });
+    });
+
+    describe('Strictness levels', () => {
+        test('should block nothing when off', () => {
+            expect(filter.check('shit', 'off').isClean).toBe(true);
+        });
+
+        test('should only block severe terms when lenient', () => {
+            expect(filter.check('crap', 'lenient').isClean).toBe(true);
+            expect(filter.check('shit', 'lenient').isClean).toBe(false);
+        });
+
+        test('should block severe terms inside other words when strict', () => {
+            expect(filter.check('Dickens', 'strict').isClean).toBe(false);
+            expect(filter.check('scrappy', 'strict').isClean).toBe(true);
+        });
+
+        test('should reject unknown levels', () => {
+            expect(() => filter.check('hi', 'extreme')).toThrow('Content filter must be one of: off, lenient, moderate, strict');
+            expect(() => new ContentFilter({ strictness: 'extreme' })).toThrow('Content filter must be one of');
+        });
+    });
+
+    describe('Blocklists', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blocklist-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should load a text blocklist with severities and comments', () => {
+            const file = path.join(dir, 'words.txt');
+            fs.writeFileSync(file, '# Custom words\nheck\n\nfrick, severe\n');
+
+            expect(new ContentFilter().loadFile(file)).toBe(2);
+
+            const custom = new ContentFilter();
+            custom.loadFile(file);
+            expect(custom.check('heck', 'lenient').isClean).toBe(true);
+            expect(custom.check('frick', 'lenient').isClean).toBe(false);
+        });
+
+        test('should load a JSON blocklist', () => {
+            const file = path.join(dir, 'words.json');
+            fs.writeFileSync(file, JSON.stringify(['heck', { word: 'frick', severity: 'severe' }]));
+
+            const custom = new ContentFilter();
+            custom.loadFile(file);
+
+            expect(custom.termCount).toBe(2);
+            expect(custom.check('FRICK').isClean).toBe(false);
+        });
+
+        test('should name the file when a blocklist is invalid', () => {
+            const file = path.join(dir, 'bad.txt');
+            fs.writeFileSync(file, 'heck, awful\n');
+
+            expect(() => new ContentFilter().loadFile(file)).toThrow('Invalid blocklist bad.txt: Severity must be one of: mild, severe');
+        });
+
+        test('should ship a default blocklist', () => {
+            const defaults = new ContentFilter();
+            defaults.loadFile(path.join(__dirname, '..', 'data', 'blocklist.txt'));
+
+            expect(defaults.termCount).toBeGreaterThan(0);
+            expect(defaults.check('what the fuck').isClean).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+const DrawingBoard = require('../src/core/DrawingBoard');
+const Game = require('../src/entities/Game');
+
+/**
+ * Test suite for the vector stroke store
+ */
+describe('DrawingBoard', () => {
+    let board;
+
+    const strokeData = (overrides = {}) => ({
+        id: 'stroke1',
+        tool: 'pen',
+        color: '#ff0000',
+        width: 3,
+        points: [{ x: 10, y: 20, t: 0 }],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        board = new DrawingBoard();
+    });
+
+    describe('Building strokes incrementally', () => {
+        test('should store a stroke from start, points and end', () => {
+            board.beginStroke(strokeData());
+            board.appendPoints('stroke1', [{ x: 11, y: 21, t: 16 }, { x: 12, y: 22, t: 32 }]);
+            board.endStroke('stroke1');
+
+            expect(board.strokes).toEqual([{
+                id: 'stroke1',
+                tool: 'pen',
+                color: '#FF0000',
+                width: 3,
+                points: [{ x: 10, y: 20, t: 0 }, { x: 11, y: 21, t: 16 }, { x: 12, y: 22, t: 32 }],
+                isComplete: true
+            }]);
+        });
+
+        test('should keep strokes in drawing order', () => {
+            board.beginStroke(strokeData({ id: 'a' }));
+            board.beginStroke(strokeData({ id: 'b' }));
+
+            expect(board.strokes.map(stroke => stroke.id)).toEqual(['a', 'b']);
+            expect(board.strokeCount).toBe(2);
+        });
+
+        test('should not allow points after a stroke has ended', () => {
+            board.beginStroke(strokeData());
+            board.endStroke('stroke1');
+
+            expect(() => board.appendPoints('stroke1', [{ x: 1, y: 1, t: 1 }])).toThrow('Stroke is already complete');
+        });
+
+        test('should return the appended points as stored', () => {
+            board.beginStroke(strokeData());
+
+            expect(board.appendPoints('stroke1', [{ x: 11, y: 21, t: 16, pressure: 0.5 }])).toEqual([{ x: 11, y: 21, t: 16 }]);
+        });
+
+        test('should reject points for unknown strokes', () => {
+            expect(() => board.appendPoints('missing', [])).toThrow('Stroke not found');
+            expect(() => board.endStroke('missing')).toThrow('Stroke not found');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should reject invalid stroke metadata', () => {
+            expect(() => board.beginStroke(strokeData({ id: '' }))).toThrow('Valid stroke id is required');
+            expect(() => board.beginStroke(strokeData({ tool: 'spray' }))).toThrow('Tool must be one of: pen, eraser');
+            expect(() => board.beginStroke(strokeData({ color: 'red' }))).toThrow('Stroke color must be a hex color like #000000');
+            expect(() => board.beginStroke(strokeData({ width: 0 }))).toThrow('Stroke width must be between 1 and 50');
+        });
+
+        test('should reject duplicate stroke ids', () => {
+            board.beginStroke(strokeData());
+
+            expect(() => board.beginStroke(strokeData())).toThrow('Stroke with this ID already exists');
+        });
+
+        test('should reject malformed points without applying any of the batch', () => {
+            board.beginStroke(strokeData());
+
+            expect(() => board.appendPoints('stroke1', [{ x: 1, y: 1, t: 1 }, { x: 'a', y: 1, t: 2 }]))
+                .toThrow('Points must have numeric x, y and t');
+            expect(board.getStroke('stroke1').points).toHaveLength(1);
+        });
+
+        test('should cap the number of points per stroke', () => {
+            board.beginStroke(strokeData({ points: [] }));
+            const points = Array.from({ length: DrawingBoard.MAX_POINTS_PER_STROKE + 1 }, (_, t) => ({ x: 0, y: 0, t }));
+
+            expect(() => board.appendPoints('stroke1', points)).toThrow('Stroke has too many points');
+        });
+    });
+
+    describe('Undo and redo', () => {
+        const drawStroke = (id) => {
+            board.beginStroke(strokeData({ id }));
+            board.endStroke(id);
+        };
+
+        test('should undo and redo strokes in order', () => {
+            drawStroke('a');
+            drawStroke('b');
+
+            expect(board.undo()).toEqual({ type: 'stroke' });
+            expect(board.strokes.map(stroke => stroke.id)).toEqual(['a']);
+
+            board.redo();
+            expect(board.strokes.map(stroke => stroke.id)).toEqual(['a', 'b']);
+        });
+
+        test('should undo a clear by restoring the cleared strokes', () => {
+            drawStroke('a');
+            drawStroke('b');
+            board.clear();
+
+            expect(board.strokeCount).toBe(0);
+            expect(board.undo()).toEqual({ type: 'clear' });
+            expect(board.strokes.map(stroke => stroke.id)).toEqual(['a', 'b']);
+
+            board.redo();
+            expect(board.strokeCount).toBe(0);
+        });
+
+        test('should not record clearing an empty canvas', () => {
+            expect(board.clear()).toBe(false);
+            expect(board.canUndo).toBe(false);
+        });
+
+        test('should drop the redo history when a new stroke is drawn', () => {
+            drawStroke('a');
+            board.undo();
+            expect(board.canRedo).toBe(true);
+
+            drawStroke('b');
+
+            expect(board.canRedo).toBe(false);
+            expect(board.redo()).toBeNull();
+            expect(board.strokes.map(stroke => stroke.id)).toEqual(['b']);
+        });
+
+        test('should keep the whole history of a round', () => {
+            for (let i = 0; i < 50; i++) {
+                drawStroke(`stroke${i}`);
+            }
+
+            while (board.undo()) {
+                // Undo everything
+            }
+
+            expect(board.strokeCount).toBe(0);
+            expect(board.undo()).toBeNull();
+        });
+
+        test('should reject points for a stroke that was undone while drawn', () => {
+            board.beginStroke(strokeData());
+            board.undo();
+
+            expect(() => board.appendPoints('stroke1', [{ x: 1, y: 1, t: 1 }])).toThrow('Stroke not found');
+        });
+
+        test('should report history availability in its JSON', () => {
+            drawStroke('a');
+
+            expect(board.toJSON()).toMatchObject({ canUndo: true, canRedo: false });
+        });
+
+        test('should forget the history on reset', () => {
+            drawStroke('a');
+            board.undo();
+
+            board.reset();
+
+            expect(board.canUndo).toBe(false);
+            expect(board.canRedo).toBe(false);
+        });
+    });
+
+    test('should return copies so callers cannot change stored strokes', () => {
+        board.beginStroke(strokeData());
+
+        board.strokes[0].points.push({ x: 0, y: 0, t: 0 });
+
+        expect(board.getStroke('stroke1').points).toHaveLength(1);
+    });
+
+    test('should be cleared at the start of each round', () => {
+        const game = new Game('game1', 'Canvas Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('player1', 'Alice', 'team1');
+        game.addPlayer('player2', 'Bob', 'team2');
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+
+        game.drawingBoard.beginStroke(strokeData());
+        game.endRound();
+        game.nextRound();
+
+        expect(game.drawingBoard.strokeCount).toBe(0);
+        expect(game.drawingBoard.canUndo).toBe(false);
+    });
+});
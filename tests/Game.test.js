@@ -0,0 +1,643 @@
+const Game = require('../src/entities/Game');
+const NameRegistry = require('../src/core/NameRegistry');
+const NameValidator = require('../src/utils/NameValidator');
+const IllegalStateTransitionError = require('../src/utils/IllegalStateTransitionError');
+
+/**
+ * Test suite for Game team and player management
+ */
+describe('Game Team and Player Management', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new Game('game1', 'Lobby Game', 4, 2);
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+    });
+
+    describe('Joining teams', () => {
+        test('should add a player to a team', () => {
+            const player = game.addPlayer('player1', 'Alice', 'team1');
+
+            expect(player.teamId).toBe('team1');
+            expect(game.getTeam('team1').hasPlayer('player1')).toBe(true);
+        });
+
+        test('should enforce maxPlayersPerTeam when adding players', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team1');
+
+            expect(() => game.addPlayer('player3', 'Charlie', 'team1')).toThrow('Team is full');
+            expect(game.getPlayer('player3')).toBeUndefined();
+        });
+
+        test('should reject unknown teams', () => {
+            expect(() => game.addPlayer('player1', 'Alice', 'missing')).toThrow('Team not found');
+        });
+    });
+
+    describe('Switching teams', () => {
+        test('should move a player between teams', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            game.movePlayer('player1', 'team2');
+
+            expect(game.getPlayer('player1').teamId).toBe('team2');
+            expect(game.getTeam('team1').hasPlayer('player1')).toBe(false);
+            expect(game.getTeam('team2').hasPlayer('player1')).toBe(true);
+        });
+
+        test('should let a player leave their team', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            game.movePlayer('player1', null);
+
+            expect(game.getPlayer('player1').teamId).toBeNull();
+            expect(game.getTeam('team1').playerCount).toBe(0);
+        });
+
+        test('should not move a player into a full team', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie', 'team2');
+
+            expect(() => game.movePlayer('player1', 'team2')).toThrow('Team is full');
+            expect(game.getPlayer('player1').teamId).toBe('team1');
+        });
+
+        test('should clear readiness when switching teams', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.setPlayerReady('player1', true);
+
+            game.movePlayer('player1', 'team2');
+
+            expect(game.getPlayer('player1').isReady).toBe(false);
+        });
+
+        test('should not allow switching teams once the game has started', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.setPlayerReady('player1', true);
+            game.setPlayerReady('player2', true);
+            game.startGame();
+
+            expect(() => game.movePlayer('player1', 'team2'))
+                .toThrow('Players can only change teams before the game starts');
+        });
+    });
+
+    describe('Readiness', () => {
+        test('should mark players ready and make their team ready', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            game.setPlayerReady('player1', true);
+
+            expect(game.getPlayer('player1').isReady).toBe(true);
+            expect(game.getTeam('team1').isReady()).toBe(true);
+        });
+
+        test('should require a team before getting ready', () => {
+            game.addPlayer('player1', 'Alice');
+
+            expect(() => game.setPlayerReady('player1', true)).toThrow('Join a team before getting ready');
+        });
+
+        test('should start once every team is ready', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.setPlayerReady('player1', true);
+
+            expect(() => game.startGame()).toThrow('All teams must be ready to start game');
+
+            game.setPlayerReady('player2', true);
+            game.startGame();
+            expect(game.gameState).toBe('word-selection');
+        });
+    });
+
+    describe('Drawer rotation', () => {
+        test('should pass over disconnected players', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+
+            game.getPlayer('player2').setConnected(false);
+            game.endRound();
+            game.nextRound();
+
+            expect(game.currentDrawer.id).toBe('player3');
+        });
+
+        test('should pass over idle players', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+
+            game.getPlayer('player2').setIdle(true);
+            game.endRound();
+            game.nextRound();
+
+            expect(game.currentDrawer.id).toBe('player3');
+        });
+
+        test('should still pick someone when every player is away', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+
+            game.players.forEach(player => player.setIdle(true));
+            game.endRound();
+            game.nextRound();
+
+            expect(game.currentDrawer.id).toBe('player2');
+        });
+    });
+
+    describe('State machine', () => {
+        const startGame = () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+        };
+
+        test('should emit stateChanged for each step of a round', () => {
+            const changes = [];
+            game.on('stateChanged', change => changes.push(change));
+
+            startGame();
+            game.setCurrentWord('giraffe');
+            game.endRound('guessed');
+            game.nextRound();
+
+            expect(changes.map(change => [change.from, change.to])).toEqual([
+                ['lobby', 'word-selection'],
+                ['word-selection', 'drawing'],
+                ['drawing', 'round-summary'],
+                ['round-summary', 'word-selection']
+            ]);
+            expect(changes[2]).toEqual({ gameId: 'game1', from: 'drawing', to: 'round-summary', round: 1, reason: 'guessed' });
+            expect(changes[3].round).toBe(2);
+        });
+
+        test('should not start the next round while one is running', () => {
+            startGame();
+            game.setCurrentWord('giraffe');
+
+            expect(() => game.nextRound()).toThrow(IllegalStateTransitionError);
+            expect(() => game.nextRound()).toThrow('Cannot start the next round in the drawing state');
+            expect(game.currentRound).toBe(1);
+        });
+
+        test('should only pause a running game and resume it where it was', () => {
+            expect(() => game.pauseGame()).toThrow('Cannot pause the game in the lobby state');
+
+            startGame();
+            game.setCurrentWord('giraffe');
+            game.pauseGame();
+
+            expect(game.gameState).toBe('paused');
+            expect(game.resumeState).toBe('drawing');
+            expect(() => game.pauseGame()).toThrow(IllegalStateTransitionError);
+
+            game.resumeGame();
+            expect(game.gameState).toBe('drawing');
+            expect(() => game.resumeGame()).toThrow('Cannot resume the game in the drawing state');
+        });
+
+        test('should finish after the last round', () => {
+            const onChange = jest.fn();
+            game.updateSettings({ maxRounds: 1 });
+            startGame();
+            game.on('stateChanged', onChange);
+
+            game.endRound();
+            game.nextRound();
+
+            expect(game.gameState).toBe('finished');
+            expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ from: 'round-summary', to: 'finished', reason: 'lastRound' }));
+        });
+
+        test('should not end a game twice', () => {
+            game.endGame();
+
+            expect(() => game.endGame()).toThrow('Cannot end the game in the finished state');
+            expect(() => game.startGame()).toThrow(IllegalStateTransitionError);
+        });
+
+        test('should stop telling listeners that unsubscribed', () => {
+            const onChange = jest.fn();
+            game.on('stateChanged', onChange);
+            game.off('stateChanged', onChange);
+
+            startGame();
+
+            expect(onChange).not.toHaveBeenCalled();
+        });
+
+        test('should restore paused games', () => {
+            startGame();
+            game.pauseGame();
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(restored.gameState).toBe('paused');
+            expect(restored.resumeState).toBe('word-selection');
+        });
+    });
+
+    describe('Spectators', () => {
+        const startWithTwoPlayers = () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+        };
+
+        test('should let spectators join a running game without becoming players', () => {
+            startWithTwoPlayers();
+
+            const spectator = game.addSpectator('spectator1', 'Sam');
+
+            expect(spectator.getType()).toBe('Spectator');
+            expect(game.players).toHaveLength(2);
+            expect(game.spectators.map(entry => entry.name)).toEqual(['Sam']);
+            expect(game.toJSON().spectators).toEqual([expect.objectContaining({ id: 'spectator1', name: 'Sam' })]);
+            expect(game.getSummary().spectatorCount).toBe(1);
+        });
+
+        test('should never pick a spectator to draw', () => {
+            game.addSpectator('spectator1', 'Sam');
+            startWithTwoPlayers();
+
+            const drawers = [game.currentDrawer.id];
+            for (let round = 0; round < 3; round++) {
+                game.endRound();
+                game.nextRound();
+                drawers.push(game.currentDrawer.id);
+            }
+
+            expect(drawers).not.toContain('spectator1');
+        });
+
+        test('should leave team readiness and team sizes alone', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team1');
+            game.addPlayer('player3', 'Charlie', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.addSpectator('spectator1', 'Sam');
+            game.addSpectator('spectator2', 'Dana');
+
+            expect(() => game.startGame()).not.toThrow();
+            expect(game.getTeam('team1').playerCount).toBe(2);
+        });
+
+        test('should hide the word from spectators during a round', () => {
+            game.addSpectator('spectator1', 'Sam');
+            startWithTwoPlayers();
+            game.setCurrentWord('giraffe');
+
+            expect(game.toJSONFor('spectator1').currentWord).toBeNull();
+            expect(game.toJSONFor('spectator1').wordLength).toBe(7);
+        });
+
+        test('should refuse spectators when the game does not allow them', () => {
+            game.updateSettings({ allowSpectators: false });
+
+            expect(() => game.addSpectator('spectator1', 'Sam')).toThrow('Spectators are not allowed in this game');
+        });
+
+        test('should share the game\'s names and ids with players', () => {
+            game.addPlayer('player1', 'Alice');
+            game.addSpectator('spectator1', 'Sam');
+
+            expect(() => game.addSpectator('spectator2', 'alice')).toThrow('Spectator name must be unique');
+            expect(() => game.addSpectator('player1', 'Dana')).toThrow('Player with this ID already exists');
+            expect(() => game.addPlayer('spectator1', 'Dana')).toThrow('Spectator with this ID already exists');
+
+            game.removeSpectator('spectator1');
+            expect(game.isSpectator('spectator1')).toBe(false);
+            expect(game.addPlayer('player2', 'Sam').name).toBe('Sam');
+            expect(() => game.removeSpectator('spectator1')).toThrow('Spectator not found');
+        });
+
+        test('should not restore spectators from a snapshot', () => {
+            game.addSpectator('spectator1', 'Sam');
+
+            expect(Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot()))).spectators).toEqual([]);
+        });
+    });
+
+    describe('Host role', () => {
+        test('should let the host and co-hosts manage the game', () => {
+            game.setHost('host1');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+
+            game.addCoHost('player1');
+
+            expect(game.canManage('host1')).toBe(true);
+            expect(game.canManage('player1')).toBe(true);
+            expect(game.canManage('player2')).toBe(false);
+            expect(game.canManage(null)).toBe(false);
+        });
+
+        test('should only make players in the game co-hosts', () => {
+            expect(() => game.addCoHost('stranger')).toThrow('Player not found');
+        });
+
+        test('should drop a co-host who leaves the game', () => {
+            game.setHost('host1');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addCoHost('player1');
+
+            game.removePlayer('player1');
+
+            expect(game.coHostIds).toEqual([]);
+        });
+
+        test('should flag the host player instead of sending the host id', () => {
+            game.setHost('player1');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+
+            const json = game.toJSON();
+
+            expect(json).not.toHaveProperty('hostId');
+            expect(json.players.map(player => player.isHost)).toEqual([true, false]);
+        });
+
+        test('should keep the host and co-hosts in snapshots', () => {
+            game.setHost('host1');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addCoHost('player1');
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(restored.hostId).toBe('host1');
+            expect(restored.isCoHost('player1')).toBe(true);
+        });
+    });
+
+    describe('Moderation', () => {
+        beforeEach(() => {
+            game.setHost('player1');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie', 'team2');
+            game.addPlayer('player4', 'Dana', 'team1');
+        });
+
+        test('should kick a player and log it', () => {
+            const entry = game.kickPlayer('player2', 'player1', ' spamming ');
+
+            expect(game.getPlayer('player2')).toBeUndefined();
+            expect(entry).toMatchObject({ action: 'kick', playerId: 'player2', playerName: 'Bob', moderatorId: 'player1', reason: 'spamming' });
+            expect(game.moderationLog).toEqual([entry]);
+        });
+
+        test('should ban by player id and by account', () => {
+            game.getPlayer('player2').linkAccount('account2');
+
+            game.banPlayer('player2', 'player1');
+
+            expect(game.getPlayer('player2')).toBeUndefined();
+            expect(game.isBanned('player2')).toBe(true);
+            expect(game.isBanned('player9', 'account2')).toBe(true);
+            expect(game.isBanned('player9')).toBe(false);
+            expect(game.toJSON().bannedPlayers).toEqual([{ playerId: 'player2', playerName: 'Bob' }]);
+        });
+
+        test('should mute and unmute players', () => {
+            game.setPlayerMuted('player2', true, 'player1');
+            expect(game.isMuted('player2')).toBe(true);
+            expect(game.toJSON().mutedIds).toEqual(['player2']);
+
+            game.setPlayerMuted('player2', false, 'player1');
+            expect(game.isMuted('player2')).toBe(false);
+            expect(game.moderationLog.map(entry => entry.action)).toEqual(['mute', 'unmute']);
+        });
+
+        test('should not moderate the host or unknown players', () => {
+            expect(() => game.kickPlayer('player1', 'player2')).toThrow('The host cannot be moderated');
+            expect(() => game.banPlayer('ghost', 'player1')).toThrow('Player not found');
+        });
+
+        test('should kick once a majority of the other players vote for it', () => {
+            expect(game.kickVotesNeeded('player4')).toBe(2);
+
+            const first = game.voteKick('player2', 'player4');
+            expect(first).toMatchObject({ votes: 1, needed: 2, entry: null });
+            expect(game.toJSON().kickVotes).toEqual({ player4: 1 });
+
+            const second = game.voteKick('player3', 'player4');
+            expect(second.entry).toMatchObject({ action: 'voteKick', playerId: 'player4', moderatorId: null, reason: '2 votes' });
+            expect(game.getPlayer('player4')).toBeUndefined();
+            expect(game.toJSON().kickVotes).toEqual({});
+        });
+
+        test('should refuse a vote-kick without two other connected players to vote', () => {
+            game.getPlayer('player1').setConnected(false);
+            game.getPlayer('player2').setConnected(false);
+
+            expect(() => game.voteKick('player3', 'player4')).toThrow('A vote-kick needs at least 2 other players in the game');
+            expect(game.toJSON().kickVotes).toEqual({});
+        });
+
+        test('should count each voter once and drop votes of players who leave', () => {
+            game.voteKick('player2', 'player4');
+            game.voteKick('player2', 'player4');
+            expect(game.toJSON().kickVotes).toEqual({ player4: 1 });
+
+            game.removePlayer('player2');
+            expect(game.toJSON().kickVotes).toEqual({});
+        });
+
+        test('should reject invalid votes', () => {
+            expect(() => game.voteKick('player2', 'player2')).toThrow('You cannot vote to kick yourself');
+            expect(() => game.voteKick('ghost', 'player2')).toThrow('Join the game before voting');
+        });
+
+        test('should keep bans, mutes, votes and the log in snapshots', () => {
+            game.banPlayer('player2', 'player1');
+            game.setPlayerMuted('player3', true, 'player1');
+            game.voteKick('player3', 'player4');
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(restored.isBanned('player2')).toBe(true);
+            expect(restored.isMuted('player3')).toBe(true);
+            expect(restored.toJSON().kickVotes).toEqual({ player4: 1 });
+            expect(restored.moderationLog).toEqual(game.moderationLog);
+        });
+    });
+
+    describe('Settings', () => {
+        test('should filter content moderately by default', () => {
+            expect(game.gameSettings.contentFilter).toBe('moderate');
+        });
+
+        test('should reject unknown content filter levels', () => {
+            expect(() => game.updateSettings({ contentFilter: 'extreme' }))
+                .toThrow('contentFilter must be one of: off, lenient, moderate, strict');
+        });
+
+        test('should read rounds and round time from its settings', () => {
+            game.updateSettings({ maxRounds: 3, roundTimeLimit: 90 });
+
+            expect(game.maxRounds).toBe(3);
+            expect(game.roundTimeLimit).toBe(90);
+        });
+
+        test('should keep its settings when any value in an update is invalid', () => {
+            expect(() => game.updateSettings({ maxRounds: 3, roundTimeLimit: 5 })).toThrow('roundTimeLimit must be a whole number');
+            expect(game.maxRounds).toBe(10);
+        });
+
+        test('should only change settings before the game starts', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.players.forEach(player => game.setPlayerReady(player.id, true));
+            game.startGame();
+
+            expect(() => game.updateSettings({ maxRounds: 3 })).toThrow('Settings can only be changed before the game starts');
+        });
+    });
+
+    describe('Removing teams', () => {
+        test('should keep players in the game without a team', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.setPlayerReady('player1', true);
+
+            game.removeTeam('team1');
+
+            const player = game.getPlayer('player1');
+            expect(game.getTeam('team1')).toBeUndefined();
+            expect(player.teamId).toBeNull();
+            expect(player.isReady).toBe(false);
+        });
+
+        test('should not allow removing a team once the game has started', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.setPlayerReady('player1', true);
+            game.setPlayerReady('player2', true);
+            game.startGame();
+
+            expect(() => game.removeTeam('team1'))
+                .toThrow('Teams can only be removed before the game starts');
+            expect(game.getPlayer('player1').teamId).toBe('team1');
+            expect(game.getTeam('team1').players).toHaveLength(1);
+        });
+    });
+
+    describe('Unique names', () => {
+        test('should refuse a team or player name already used in the game', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            expect(() => game.createTeam('team3', 'team alpha')).toThrow('Team name must be unique');
+            expect(() => game.addPlayer('player2', 'ALICE')).toThrow('Player name must be unique');
+            expect(() => game.addPlayer('player2', 'Team Beta')).toThrow('Player name must be unique');
+            expect(game.getPlayer('player2')).toBeUndefined();
+        });
+
+        test('should free names when teams and players leave', () => {
+            game.addPlayer('player1', 'Alice');
+            game.removePlayer('player1');
+            game.removeTeam('team1');
+
+            expect(game.addPlayer('player2', 'Alice').name).toBe('Alice');
+            expect(game.createTeam('team3', 'Team Alpha').name).toBe('Team Alpha');
+        });
+
+        test('should check renames against the other names in the game', () => {
+            const player = game.addPlayer('player1', 'Alice');
+
+            expect(() => player.updateName('Team Beta')).toThrow('Player name must be unique');
+            expect(player.name).toBe('Alice');
+
+            player.updateName('Alicia');
+            expect(game.addPlayer('player2', 'Alice').name).toBe('Alice');
+            expect(() => game.addPlayer('player3', 'alicia')).toThrow('Player name must be unique');
+        });
+
+        test('should count renamed names in graphemes in unicode mode', () => {
+            game.useNameRegistry(new NameRegistry({ validator: new NameValidator({ unicode: true }) }));
+            const player = game.addPlayer('player1', '𝒜'.repeat(30));
+
+            player.updateName('𝒷'.repeat(28));
+
+            expect(player.name).toBe('𝒷'.repeat(28));
+            expect(() => player.updateName('𝒷'.repeat(51))).toThrow('Name must be between 2 and 50 characters');
+        });
+    });
+
+    describe('Snapshots', () => {
+        const playRound = () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie');
+            game.players.filter(player => player.teamId).forEach(player => game.setPlayerReady(player.id, true));
+            game.setJoinCode('ABC234');
+            game.updateSettings({ wordPacks: ['animals'] });
+            game.startGame();
+            game.endRound();
+            game.nextRound();
+            game.setCurrentWord('giraffe');
+            game.revealHint();
+            game.drawingBoard.beginStroke({ id: 's1', color: '#000000', width: 4, points: [{ x: 1, y: 2, t: 0 }] });
+            game.getPlayer('player1').addScore(8);
+            game.getTeam('team1').addScore(8);
+            game.recordRound({ round: 1, word: 'cat', drawing: [] });
+        };
+
+        test('should rebuild teams, players, round and drawer from a snapshot', () => {
+            playRound();
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(JSON.parse(JSON.stringify(restored.toSnapshot()))).toEqual(JSON.parse(JSON.stringify(game.toSnapshot())));
+            expect(restored.currentDrawer.id).toBe('player2');
+            expect(restored.currentRound).toBe(2);
+            expect(restored.getWordHint()).toBe(game.getWordHint());
+            expect(restored.roundHistory).toEqual([{ round: 1, word: 'cat', drawing: [] }]);
+            expect(restored.gameSettings.wordPacks).toEqual(['animals']);
+            expect(restored.createdAt).toEqual(game.createdAt);
+        });
+
+        test('should share player objects between the game and its teams', () => {
+            playRound();
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+            restored.getPlayer('player1').addScore(2);
+
+            expect(restored.getTeam('team1').getPlayer('player1').score).toBe(10);
+            expect(restored.currentDrawer).toBe(restored.getPlayer('player2'));
+            expect(restored.getPlayer('player3').teamId).toBeNull();
+        });
+
+        test('should keep the restored drawing undoable', () => {
+            playRound();
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toSnapshot())));
+
+            expect(restored.drawingBoard.undo()).toEqual({ type: 'stroke' });
+            expect(restored.drawingBoard.toJSON().strokes).toEqual([]);
+        });
+
+        test('should rebuild a game from plain toJSON output', () => {
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+
+            expect(restored.gameState).toBe('lobby');
+            expect(restored.getTeam('team1').players.map(player => player.name)).toEqual(['Alice']);
+            expect(restored.drawingBoard.toJSON().strokes).toEqual([]);
+        });
+    });
+});
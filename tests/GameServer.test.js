@@ -0,0 +1,1397 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep archived games and snapshots out of the data directory
+process.env.HISTORY_STORAGE = 'memory';
+process.env.SNAPSHOT_INTERVAL = '0';
+process.env.ACCOUNTS_STORAGE = 'memory';
+
+const GameService = require('../src/core/GameService');
+const GameServer = require('../server');
+const IdleSweeper = require('../src/core/IdleSweeper');
+const SnapshotStore = require('../src/storage/SnapshotStore');
+
+/**
+ * Tests for GameServer
+ * Every suite runs against a fresh server. Sockets are replaced by fakes, either run
+ * through the Socket.IO connection handler (connect) or registered straight in
+ * connectedClients (addClient), the same map the connection handler fills in.
+ */
+let server;
+
+const createServer = () => {
+    GameService._instance = null;
+    return new GameServer();
+};
+
+const stopServer = (oldServer) => {
+    for (const engine of oldServer.roundEngines.values()) {
+        engine.stop();
+    }
+    for (const game of oldServer.gameService.listGames()) {
+        oldServer.sessions.removeGame(game.id);
+    }
+    oldServer.io.close();
+    oldServer.gameService._reset();
+};
+
+// Give each test of the calling suite a fresh server with console.log silenced
+const useFreshServer = () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = createServer();
+    });
+
+    afterEach(() => {
+        stopServer(server);
+        console.log.mockRestore();
+    });
+};
+
+// Run a fake socket through the connection handler and return its event handlers;
+// room records what the socket sends to the rest of its game's room
+const connect = (auth = null) => {
+    const handlers = {};
+    const room = { emit: jest.fn() };
+    const socket = {
+        id: `s${Math.random()}`,
+        data: auth ? { auth } : {},
+        emit: jest.fn(),
+        join: jest.fn(),
+        leave: jest.fn(),
+        use: jest.fn(),
+        to: jest.fn(() => room),
+        on: (event, handler) => { handlers[event] = handler; }
+    };
+    server.io.listeners('connection').forEach(listener => listener(socket));
+    return { socket, handlers, room };
+};
+
+// Register a fake socket in connectedClients as if it had already joined a game
+const addClient = (socketId, gameId = null, playerId = null) => {
+    const socket = { id: socketId, emit: jest.fn(), join: jest.fn(), leave: jest.fn(), to: jest.fn(() => ({ emit: jest.fn() })) };
+    server.connectedClients.set(socketId, { socket, gameId, playerId, connectedAt: new Date() });
+    return socket;
+};
+
+const emitted = (socket, event) => socket.emit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+
+const findRoute = (method, routePath) => server.app._router.stack
+    .find(layer => layer.route && layer.route.path === routePath && layer.route.methods[method])
+    .route.stack[0].handle;
+
+describe('GameServer gameUpdated payloads', () => {
+    let game;
+
+    const gameUpdatesFor = (socket) => emitted(socket, 'gameUpdated').map(payload => payload.game);
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Secret Word Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('drawer', 'Alice', 'team1');
+        game.addPlayer('guesser', 'Bob', 'team2');
+        game.players.forEach(player => player.setReady(true));
+        game.startGame();
+        game.setCurrentWord('giraffe');
+    });
+
+    test('should send the word only to the current drawer', () => {
+        const drawerSocket = addClient('s1', game.id, 'drawer');
+        const guesserSocket = addClient('s2', game.id, 'guesser');
+
+        server.broadcastGameUpdate(game);
+
+        const [drawerView] = gameUpdatesFor(drawerSocket);
+        const [guesserView] = gameUpdatesFor(guesserSocket);
+        expect(drawerView.currentWord).toBe('giraffe');
+        expect(guesserView.currentWord).toBeNull();
+        expect(guesserView.wordLength).toBe(7);
+        expect(guesserView.wordHint).toBe('_______');
+        expect(JSON.stringify(guesserView)).not.toContain('giraffe');
+    });
+
+    test('should not leak the word to sockets that have not joined as a player', () => {
+        const lobbySocket = addClient('s3', game.id, null);
+
+        server.broadcastGameUpdate(game);
+
+        const [view] = gameUpdatesFor(lobbySocket);
+        expect(JSON.stringify(view)).not.toContain('giraffe');
+    });
+
+    test('should only send updates to sockets in the game room', () => {
+        const otherRoomSocket = addClient('s4', 'another-game', 'drawer');
+
+        server.broadcastGameUpdate(game);
+
+        expect(gameUpdatesFor(otherRoomSocket)).toHaveLength(0);
+    });
+
+    test('should show revealed hint letters to guessers', () => {
+        const guesserSocket = addClient('s2', game.id, 'guesser');
+        const index = game.revealHint();
+
+        server.broadcastGameUpdate(game);
+
+        const [view] = gameUpdatesFor(guesserSocket);
+        expect(view.wordHint[index]).toBe('giraffe'[index]);
+        expect(view.wordHint.replace(/_/g, '')).toHaveLength(1);
+        expect(view.currentWord).toBeNull();
+    });
+
+    test('should keep the word out of round engine broadcasts', () => {
+        jest.useFakeTimers();
+        const drawerSocket = addClient('s1', game.id, 'drawer');
+        const guesserSocket = addClient('s2', game.id, 'guesser');
+
+        // Back to word selection so the engine deals the turn itself
+        game.restartRound();
+        const engine = server.createRoundEngine(game);
+        engine.start();
+        engine.chooseWord('drawer', engine.wordChoices[0].word);
+        const word = game.currentWord;
+
+        expect(gameUpdatesFor(drawerSocket).pop().currentWord).toBe(word);
+        for (const view of gameUpdatesFor(guesserSocket)) {
+            expect(view.currentWord).toBeNull();
+        }
+
+        jest.useRealTimers();
+    });
+
+    test('should offer the word choices only to the drawer', () => {
+        jest.useFakeTimers();
+        const drawerSocket = addClient('s1', game.id, 'drawer');
+        const guesserSocket = addClient('s2', game.id, 'guesser');
+
+        game.restartRound();
+        server.createRoundEngine(game).start();
+
+        const choiceEvents = (socket) => socket.emit.mock.calls.filter(([event]) => event === 'wordChoices');
+        expect(choiceEvents(drawerSocket)).toHaveLength(1);
+        expect(choiceEvents(drawerSocket)[0][1].choices).toHaveLength(3);
+        expect(choiceEvents(guesserSocket)).toHaveLength(0);
+
+        jest.useRealTimers();
+    });
+});
+
+describe('GameServer chat delivery', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Chat Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+    });
+
+    test('should deliver team messages only to that team', () => {
+        const aliceSocket = addClient('s1', game.id, 'alice');
+        const bobSocket = addClient('s2', game.id, 'bob');
+        const { message } = server.chatService.postMessage(game, 'alice', { text: 'plan', channel: 'team' });
+
+        server.sendChatMessage(game, message);
+
+        expect(aliceSocket.emit).toHaveBeenCalledWith('chatMessage', message);
+        expect(bobSocket.emit).not.toHaveBeenCalled();
+    });
+
+    test('should judge only the word in an intercepted message and never relay it', () => {
+        jest.useFakeTimers();
+        const roomEmit = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: roomEmit }));
+        const { socket, handlers, room } = connect();
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        const engine = server.createRoundEngine(game);
+        engine.start();
+        engine.chooseWord(game.currentDrawer.id, engine.wordChoices[0].word);
+        const word = game.currentWord;
+        const guesser = game.players.find(player => !game.isDrawer(player.id));
+        Object.assign(server.connectedClients.get(socket.id), { gameId: game.id, playerId: guesser.id });
+
+        handlers.chatMessage({ text: `is it a ${word} maybe`, channel: 'global' });
+
+        expect(socket.emit).toHaveBeenCalledWith('guessResult', expect.objectContaining({ correct: true }));
+        const relayed = [...roomEmit.mock.calls, ...room.emit.mock.calls]
+            .filter(([event]) => event === 'guessMade' || event === 'chatMessage');
+        expect(JSON.stringify(relayed)).not.toContain(word);
+        jest.useRealTimers();
+    });
+
+    // Starts a round with the word chosen and returns a chat socket for the given player
+    const startDrawing = (playerOf) => {
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        const engine = server.createRoundEngine(game);
+        engine.start();
+        engine.chooseWord(game.currentDrawer.id, engine.wordChoices[0].word);
+        const client = connect();
+        Object.assign(server.connectedClients.get(client.socket.id), { gameId: game.id, playerId: playerOf().id });
+        return client;
+    };
+
+    test('should not relay the drawer naming the word while the game is paused', () => {
+        jest.useFakeTimers();
+        const roomEmit = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: roomEmit }));
+        const { socket, handlers } = startDrawing(() => game.currentDrawer);
+        game.pauseGame();
+
+        handlers.chatMessage({ text: `it is ${game.currentWord}` });
+
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'You cannot say the word in chat' });
+        expect(roomEmit).not.toHaveBeenCalledWith('chatMessage', expect.anything());
+        jest.useRealTimers();
+    });
+
+    test('should post the word as chat once the round is over', () => {
+        jest.useFakeTimers();
+        const roomEmit = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: roomEmit }));
+        const { socket, handlers } = startDrawing(() => game.players.find(player => !game.isDrawer(player.id)));
+        game.endRound('timeout');
+
+        handlers.chatMessage({ text: `so it was ${game.currentWord}` });
+
+        expect(emitted(socket, 'gameError')).toEqual([]);
+        expect(roomEmit).toHaveBeenCalledWith('chatMessage', expect.objectContaining({ text: `so it was ${game.currentWord}` }));
+        jest.useRealTimers();
+    });
+});
+
+describe('GameServer session resume', () => {
+    let game;
+    let token;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        game = server.gameService.createGame('Resume Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+        game.addPlayer('carol', 'Carol', 'team2');
+        game.getPlayer('bob').addScore(7);
+        token = server.sessions.createSession(game.id, 'bob');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // A socket of one of the game's players, or one that has not joined yet
+    const connectAs = (socketId, playerId = null) => addClient(socketId, playerId ? game.id : null, playerId);
+
+    test('should mark a dropped player as disconnected but keep them in the game', () => {
+        const socket = connectAs('s1', 'bob');
+
+        server.handleDisconnect(socket);
+
+        expect(game.getPlayer('bob').isConnected).toBe(false);
+        expect(server.sessions.isInGracePeriod(token)).toBe(true);
+    });
+
+    test('should rebind a new socket to the player within the grace period', () => {
+        server.handleDisconnect(connectAs('s1', 'bob'));
+        const newSocket = connectAs('s2');
+
+        server.resumeSession(newSocket, token);
+
+        const player = game.getPlayer('bob');
+        expect(player.isConnected).toBe(true);
+        expect(server.connectedClients.get('s2')).toMatchObject({ gameId: game.id, playerId: 'bob' });
+        expect(newSocket.join).toHaveBeenCalledWith(game.id);
+
+        const [, resumed] = newSocket.emit.mock.calls.find(([event]) => event === 'sessionResumed');
+        expect(resumed.player).toMatchObject({ id: 'bob', teamId: 'team2', score: 7 });
+        expect(newSocket.emit).toHaveBeenCalledWith('canvasState', game.drawingBoard.toJSON());
+
+        jest.advanceTimersByTime(60000);
+        expect(server.sessions.getSession(token)).toBeDefined();
+    });
+
+    test('should not mark a player disconnected while another of their sockets is open', () => {
+        connectAs('s1', 'bob');
+        server.handleDisconnect(connectAs('s2', 'bob'));
+
+        expect(game.getPlayer('bob').isConnected).toBe(true);
+    });
+
+    test('should refuse expired sessions', () => {
+        server.handleDisconnect(connectAs('s1', 'bob'));
+        jest.advanceTimersByTime(30000);
+        const newSocket = connectAs('s2');
+
+        server.resumeSession(newSocket, token);
+
+        expect(newSocket.emit).toHaveBeenCalledWith('sessionExpired');
+        expect(server.connectedClients.get('s2').playerId).toBeNull();
+    });
+
+    test('should skip the drawing turn of a drawer who does not come back', () => {
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        const engine = server.createRoundEngine(game);
+        engine.start();
+        const drawerId = game.currentDrawer.id;
+        const drawerToken = server.sessions.createSession(game.id, drawerId);
+        const onEnd = jest.fn();
+        engine.on('roundEnded', onEnd);
+
+        server.handleDisconnect(connectAs('s1', drawerId));
+        jest.advanceTimersByTime(30000);
+
+        expect(server.sessions.getSession(drawerToken)).toBeUndefined();
+        expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ reason: 'drawerLeft' }));
+    });
+});
+
+describe('GameServer idle players', () => {
+    let game;
+    let engine;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        server.idleSweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180 });
+
+        game = server.gameService.createGame('Idle Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('dave', 'Dave', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+        game.addPlayer('carol', 'Carol', 'team2');
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        engine = server.createRoundEngine(game);
+        engine.start();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const idleExcept = (...activeIds) => {
+        jest.advanceTimersByTime(61 * 1000);
+        activeIds.forEach(playerId => game.getPlayer(playerId).recordActivity());
+    };
+
+    test('should pause a game with a team short of active players and resume it when they return', () => {
+        idleExcept('alice', 'dave', 'bob');
+        server.sweepIdleGame(game);
+
+        expect(game.gameState).toBe('paused');
+
+        game.getPlayer('carol').recordActivity();
+        server.sweepIdleGame(game);
+
+        expect(game.gameState).toBe('drawing');
+    });
+
+    test('should keep running a game whose teams started with one player each', () => {
+        const duo = server.gameService.createGame('Duo Game');
+        duo.createTeam('red', 'Red');
+        duo.createTeam('blue', 'Blue');
+        duo.addPlayer('erin', 'Erin', 'red');
+        duo.addPlayer('finn', 'Finn', 'blue');
+        duo.players.forEach(player => duo.setPlayerReady(player.id, true));
+        duo.startGame();
+
+        server.sweepIdleGame(duo);
+
+        expect(duo.gameState).toBe('word-selection');
+    });
+
+    test('should not resume a game that was paused by hand', () => {
+        game.pauseGame();
+        engine.pause();
+
+        server.sweepIdleGame(game);
+
+        expect(game.gameState).toBe('paused');
+    });
+
+    test('should end an understaffed game when configured to', () => {
+        server.idleSweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180, understaffedAction: 'end' });
+        const onEnded = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: onEnded }));
+        idleExcept('alice');
+
+        server.sweepIdleGame(game);
+
+        expect(server.gameService.getGame(game.id)).toBeNull();
+        expect(server.roundEngines.has(game.id)).toBe(false);
+        expect(onEnded).toHaveBeenCalledWith('gameEnded', expect.objectContaining({ reason: 'notEnoughPlayers' }));
+    });
+
+    test('should skip the turn of an idle drawer', () => {
+        // One active teammate is enough here, so the drawer idling does not pause the game
+        server.idleSweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180, minActivePlayers: 1 });
+        const onEnd = jest.fn();
+        engine.on('roundEnded', onEnd);
+        const others = game.players.filter(player => !game.isDrawer(player.id)).map(player => player.id);
+        idleExcept(...others);
+
+        server.sweepIdleGame(game);
+
+        expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ reason: 'drawerIdle' }));
+        expect(game.gameState).toBe('round-summary');
+    });
+
+    test('should remove long idle players and unbind their sockets', () => {
+        // Keep the drawer fixed while time passes
+        engine.stop();
+        const drawerId = game.currentDrawer.id;
+        const idleId = game.players.find(player => player.id !== drawerId).id;
+        const activeIds = game.players.filter(player => player.id !== idleId).map(player => player.id);
+        addClient('s1', game.id, idleId);
+        const token = server.sessions.createSession(game.id, idleId);
+
+        jest.advanceTimersByTime(181 * 1000);
+        activeIds.forEach(playerId => game.getPlayer(playerId).recordActivity());
+        server.sweepIdleGame(game);
+
+        expect(game.getPlayer(idleId)).toBeUndefined();
+        expect(server.connectedClients.get('s1').playerId).toBeNull();
+        expect(server.sessions.getSession(token)).toBeUndefined();
+    });
+});
+
+describe('GameServer snapshots', () => {
+    let directory;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-snapshot-'));
+        server.snapshotStore = new SnapshotStore(path.join(directory, 'state.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        jest.useRealTimers();
+    });
+
+    // Stop the server and start a new one on the same snapshot file
+    const restartServer = () => {
+        stopServer(server);
+        server = createServer();
+        server.snapshotStore = new SnapshotStore(path.join(directory, 'state.json'));
+        server.restoreSnapshot();
+    };
+
+    test('should resume a game in progress after a restart', () => {
+        const game = server.gameService.createGame('Snapshot Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        server.createRoundEngine(game).start();
+        game.getPlayer('bob').addScore(5);
+        const token = server.sessions.createSession(game.id, 'bob');
+        const drawerId = game.currentDrawer.id;
+
+        server.saveSnapshot();
+        restartServer();
+
+        const restored = server.gameService.getGame(game.joinCode);
+        expect(restored.id).toBe(game.id);
+        expect(restored.gameState).toBe('word-selection');
+        expect(restored.currentDrawer.id).toBe(drawerId);
+        expect(restored.getPlayer('bob').score).toBe(5);
+        expect(restored.getPlayer('bob').isConnected).toBe(false);
+        expect(server.roundEngines.get(game.id).isChoosingWord).toBe(true);
+
+        const socket = addClient('s1');
+        server.resumeSession(socket, token);
+
+        expect(restored.getPlayer('bob').isConnected).toBe(true);
+        expect(socket.emit).toHaveBeenCalledWith('sessionResumed', expect.objectContaining({ sessionToken: token }));
+    });
+
+    test('should move on to the next round when a game was saved between rounds', () => {
+        const game = server.gameService.createGame('Summary Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        const engine = server.createRoundEngine(game);
+        engine.start();
+        engine.endRound('timeUp');
+        const drawerId = game.currentDrawer.id;
+
+        server.saveSnapshot();
+        restartServer();
+
+        const restored = server.gameService.getGame(game.id);
+        expect(restored.currentRound).toBe(2);
+        expect(restored.currentDrawer.id).not.toBe(drawerId);
+        expect(restored.roundHistory.map(round => round.round)).toEqual([1]);
+        expect(server.roundEngines.get(game.id).isChoosingWord).toBe(true);
+    });
+
+    test('should start empty without a snapshot', () => {
+        server.restoreSnapshot();
+
+        expect(server.gameService.listGames()).toEqual([]);
+    });
+});
+
+describe('GameServer accounts', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Account Game');
+        game.createTeam('team1', 'Team Alpha');
+        server.accounts.register('Alice', 'correct horse');
+    });
+
+    // Run the socket's joinGame handler through a fake connection
+    const joinWith = (data) => {
+        const { socket, handlers } = connect();
+        handlers.joinGame({ gameId: game.id, ...data });
+        return socket;
+    };
+
+    test('should link a logged-in player to their account', () => {
+        const { token, account } = server.accounts.login('Alice', 'correct horse');
+
+        const socket = joinWith({ playerId: 'p1', accountToken: token, teamId: 'team1' });
+
+        expect(socket.emit).toHaveBeenCalledWith('playerJoined', expect.objectContaining({ success: true }));
+        expect(game.getPlayer('p1')).toMatchObject({ name: 'Alice', accountId: account.id });
+    });
+
+    test('should refuse an unknown login token', () => {
+        const socket = joinWith({ playerId: 'p1', playerName: 'Alice', accountToken: 'stale' });
+
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'Your login has expired, please log in again' });
+        expect(game.getPlayer('p1')).toBeUndefined();
+    });
+
+    test('should not let one account join a game twice', () => {
+        const { token } = server.accounts.login('Alice', 'correct horse');
+        joinWith({ playerId: 'p1', accountToken: token });
+
+        const socket = joinWith({ playerId: 'p2', accountToken: token });
+
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'This account is already in the game' });
+    });
+
+    test('should update profiles when a game room closes', () => {
+        const { token } = server.accounts.login('Alice', 'correct horse');
+        joinWith({ playerId: 'p1', accountToken: token, teamId: 'team1' });
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('p2', 'Bob', 'team2');
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        game.getPlayer('p1').addScore(4);
+        game.getTeam('team1').addScore(4);
+
+        server.closeGameRoom(server.gameService.endGame(game.id));
+
+        expect(server.accounts.getProfile('alice')).toMatchObject({ gamesPlayed: 1, wins: 1, totalPoints: 4 });
+    });
+});
+
+describe('GameServer drawing permissions', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Drawing Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('drawer', 'Alice', 'team1');
+        game.addPlayer('guesser', 'Bob', 'team2');
+        game.players.forEach(player => player.setReady(true));
+    });
+
+    const connectAs = (socketId, playerId) => addClient(socketId, game.id, playerId);
+
+    test('should only let the current drawer add strokes', () => {
+        game.startGame();
+        game.setCurrentWord('giraffe');
+        const drawerSocket = connectAs('s1', 'drawer');
+        const guesserSocket = connectAs('s2', 'guesser');
+        const action = jest.fn();
+
+        server.handleDrawing(guesserSocket, action);
+        server.handleDrawing(drawerSocket, action);
+
+        expect(action).toHaveBeenCalledTimes(1);
+        expect(guesserSocket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the current drawer can draw' });
+    });
+
+    test('should refuse drawing before the game starts', () => {
+        const socket = connectAs('s1', 'drawer');
+        const action = jest.fn();
+
+        server.handleDrawing(socket, action);
+
+        expect(action).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'No round is in progress' });
+    });
+
+    test('should not allow drawing while the drawer is still choosing a word', () => {
+        game.startGame();
+        const socket = connectAs('s1', 'drawer');
+        const action = jest.fn();
+
+        server.handleDrawing(socket, action);
+
+        expect(action).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'No round is in progress' });
+    });
+
+    test('should report invalid strokes back to the drawer', () => {
+        game.startGame();
+        game.setCurrentWord('giraffe');
+        const socket = connectAs('s1', 'drawer');
+
+        server.handleDrawing(socket, (currentGame) => currentGame.drawingBoard.beginStroke({ id: 'x' }));
+
+        expect(socket.emit).toHaveBeenCalledWith('gameError', { error: 'Stroke color must be a hex color like #000000' });
+    });
+
+    test('should relay only the points the board accepted', () => {
+        game.startGame();
+        game.setCurrentWord('giraffe');
+        const { socket, handlers, room } = connect();
+        Object.assign(server.connectedClients.get(socket.id), { gameId: game.id, playerId: 'drawer' });
+
+        handlers.strokeStart({ id: 'stroke1', color: '#000000', width: 3 });
+        handlers.strokePoints({ id: 'stroke1', points: [{ x: 1, y: 2, t: 3, note: 'x'.repeat(1000) }] });
+        handlers.strokePoints({ id: 'stroke1', points: [{ x: 'a', y: 2, t: 4 }] });
+
+        const relayed = room.emit.mock.calls.filter(([event]) => event === 'strokePoints').map(([, data]) => data);
+        expect(relayed).toEqual([{ id: 'stroke1', points: [{ x: 1, y: 2, t: 3 }] }]);
+    });
+});
+
+describe('GameServer host permissions', () => {
+    useFreshServer();
+
+    // A host creates a game with two teams and two ready players who joined from their own sockets
+    const setUpGame = () => {
+        const host = connect();
+        host.handlers.createGame({ name: 'Hosted Game' });
+        const game = server.gameService.listGames()[0];
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice', teamId: 'team1' });
+        const bob = connect();
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob', teamId: 'team2' });
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        return { game, host, alice, bob };
+    };
+
+    test('should record the creator as host and give them a signed token', () => {
+        const { game, host } = setUpGame();
+
+        const [created] = emitted(host.socket, 'gameCreated');
+        expect(game.hostId).toBeTruthy();
+        expect(server.tokens.verify(created.authToken)).toMatchObject({ gameId: game.id, sub: game.hostId });
+    });
+
+    test('should only let the host start, pause and end the game', () => {
+        const { game, host, alice } = setUpGame();
+
+        alice.handlers.startGame();
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can start the game' });
+        expect(game.gameState).toBe('lobby');
+
+        host.handlers.startGame();
+        expect(game.gameState).toBe('word-selection');
+
+        alice.handlers.pauseGame();
+        alice.handlers.endGame();
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can pause the game' });
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can end the game' });
+        expect(server.gameService.getGame(game.id)).toBe(game);
+    });
+
+    test('should let a co-host run the game once the host names them', () => {
+        const { game, host, alice, bob } = setUpGame();
+
+        bob.handlers.setCoHost({ playerId: 'p1' });
+        expect(bob.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host can choose co-hosts' });
+
+        host.handlers.setCoHost({ playerId: 'p1' });
+        alice.handlers.startGame();
+
+        expect(game.gameState).toBe('word-selection');
+        expect(emitted(alice.socket, 'gameUpdated').pop().canManage).toBe(true);
+        expect(emitted(bob.socket, 'gameUpdated').pop().canManage).toBe(false);
+    });
+
+    test('should leave the game in the lobby when its word deck cannot be made', () => {
+        const { game, host } = setUpGame();
+        server.wordBank = { createDeck: () => { throw new Error('No words match the selected word packs'); } };
+
+        host.handlers.startGame();
+
+        expect(emitted(host.socket, 'gameError')).toEqual([{ error: 'No words match the selected word packs' }]);
+        expect(game.gameState).toBe('lobby');
+        expect(server.roundEngines.has(game.id)).toBe(false);
+    });
+
+    test('should not keep a round engine for a game that cannot start', () => {
+        const { game, host } = setUpGame();
+        game.setPlayerReady('p2', false);
+
+        host.handlers.startGame();
+
+        expect(emitted(host.socket, 'gameError')).toEqual([{ error: 'All teams must be ready to start game' }]);
+        expect(server.roundEngines.has(game.id)).toBe(false);
+    });
+
+    test('should let the host pause and resume the game', () => {
+        const { game, host, alice } = setUpGame();
+        host.handlers.startGame();
+        const engine = server.roundEngines.get(game.id);
+
+        host.handlers.pauseGame();
+        expect(game.gameState).toBe('paused');
+        alice.handlers.resumeGame();
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can resume the game' });
+
+        host.handlers.resumeGame();
+        expect(game.gameState).toBe('word-selection');
+        expect(engine.isChoosingWord).toBe(true);
+    });
+
+    test('should report illegal state changes with their states', () => {
+        const { host } = setUpGame();
+
+        host.handlers.pauseGame();
+        host.handlers.resumeGame();
+
+        expect(emitted(host.socket, 'gameError')).toEqual([
+            { error: 'Cannot pause the game in the lobby state', code: 'ILLEGAL_STATE_TRANSITION', from: 'lobby', to: 'paused' },
+            { error: 'Cannot resume the game in the lobby state', code: 'ILLEGAL_STATE_TRANSITION', from: 'lobby', to: null }
+        ]);
+    });
+
+    test('should relay state changes to the game room', () => {
+        const { game, host } = setUpGame();
+        const relayed = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: relayed }));
+
+        host.handlers.startGame();
+        host.handlers.pauseGame();
+
+        expect(server.io.to).toHaveBeenCalledWith(game.id);
+        expect(relayed).toHaveBeenCalledWith('gameStateChanged', expect.objectContaining({ from: 'lobby', to: 'word-selection' }));
+        expect(relayed).toHaveBeenCalledWith('gameStateChanged', expect.objectContaining({ from: 'word-selection', to: 'paused' }));
+    });
+
+    test('should relay each state change exactly once', () => {
+        const { host } = setUpGame();
+        const relayed = jest.fn();
+        server.io.to = jest.fn(() => ({ emit: relayed }));
+
+        host.handlers.startGame();
+        host.handlers.pauseGame();
+        host.handlers.resumeGame();
+
+        const changes = relayed.mock.calls
+            .filter(([event]) => event === 'gameStateChanged')
+            .map(([, change]) => `${change.from}->${change.to}`);
+        expect(changes).toEqual(['lobby->word-selection', 'word-selection->paused', 'paused->word-selection']);
+    });
+
+    test('should make the first player host of a game created without one', () => {
+        const game = server.gameService.createGame('Open Game');
+
+        const first = connect();
+        first.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+        const second = connect();
+        second.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob' });
+
+        expect(game.hostId).toBe('p1');
+        expect(server.tokens.verify(emitted(first.socket, 'playerJoined')[0].authToken).sub).toBe('p1');
+    });
+
+    test('should not let a player take over the host by joining under the host id', () => {
+        const { game, host, alice } = setUpGame();
+        host.handlers.setCoHost({ playerId: 'p1' });
+        expect(emitted(alice.socket, 'gameUpdated').pop().game).not.toHaveProperty('hostId');
+
+        const intruder = connect();
+        intruder.handlers.joinGame({ gameId: game.id, playerId: game.hostId, playerName: 'Mallory' });
+        intruder.handlers.endGame();
+
+        expect(emitted(intruder.socket, 'gameError')[0]).toEqual({ error: 'This player id is not available' });
+        expect(emitted(intruder.socket, 'playerJoined')).toEqual([]);
+        expect(server.gameService.getGame(game.id)).toBe(game);
+    });
+
+    test('should let the host join as a player under their own id', () => {
+        const { game, host } = setUpGame();
+
+        host.handlers.joinGame({ gameId: game.id, playerId: game.hostId, playerName: 'Hannah' });
+
+        const [joined] = emitted(host.socket, 'playerJoined');
+        expect(server.tokens.verify(joined.authToken).sub).toBe(game.hostId);
+        expect(emitted(host.socket, 'gameUpdated').pop().game.players.find(player => player.isHost).name).toBe('Hannah');
+    });
+
+    test('should restore the host of a socket that reconnects with its token', () => {
+        const { game, host } = setUpGame();
+        const { authToken } = emitted(host.socket, 'gameCreated')[0];
+        server.handleDisconnect(host.socket);
+
+        const next = jest.fn();
+        const handshake = { handshake: { auth: { token: authToken } }, data: {} };
+        server.authenticateHandshake(handshake, next);
+        const reconnected = connect(handshake.data.auth);
+        reconnected.handlers.startGame();
+
+        expect(next).toHaveBeenCalledWith();
+        expect(game.gameState).toBe('word-selection');
+    });
+
+    test('should refuse a handshake with a bad token', () => {
+        const next = jest.fn();
+
+        server.authenticateHandshake({ handshake: { auth: { token: 'forged.token' } }, data: {} }, next);
+
+        expect(next).toHaveBeenCalledWith(new Error('Invalid token'));
+    });
+
+    test('should answer REST requests with 401 or 403 unless they come from the host', () => {
+        const { game, host, alice } = setUpGame();
+        const request = (token) => ({ get: (header) => (header === 'Authorization' && token ? `Bearer ${token}` : undefined) });
+        const response = () => {
+            const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+            return res;
+        };
+
+        const anonymous = response();
+        expect(server.authorizeRequest(request(null), anonymous, game, 'end the game')).toBe(false);
+        expect(anonymous.status).toHaveBeenCalledWith(401);
+
+        const player = response();
+        const playerToken = emitted(alice.socket, 'playerJoined')[0].authToken;
+        expect(server.authorizeRequest(request(playerToken), player, game, 'end the game')).toBe(false);
+        expect(player.status).toHaveBeenCalledWith(403);
+        expect(player.json).toHaveBeenCalledWith({ error: 'Only the host or a co-host can end the game' });
+
+        const hostToken = emitted(host.socket, 'gameCreated')[0].authToken;
+        expect(server.authorizeRequest(request(hostToken), response(), game, 'end the game')).toBe(true);
+    });
+
+    test('should only let the host create, rename and remove teams over sockets', () => {
+        const { game, host, alice } = setUpGame();
+
+        alice.handlers.createTeam({ teamName: 'Team Gamma' });
+        alice.handlers.renameTeam({ teamId: 'team1', name: 'Team Red' });
+        alice.handlers.removeTeam({ teamId: 'team2' });
+
+        expect(emitted(alice.socket, 'gameError')).toEqual([
+            { error: 'Only the host or a co-host can create teams' },
+            { error: 'Only the host or a co-host can rename teams' },
+            { error: 'Only the host or a co-host can remove teams' }
+        ]);
+        expect(game.teams.map(team => team.name)).toEqual(['Team Alpha', 'Team Beta']);
+
+        host.handlers.renameTeam({ teamId: 'team1', name: 'Team Red' });
+        expect(game.getTeam('team1').name).toBe('Team Red');
+    });
+
+    test('should require a host token for the team routes and the player\'s own token to update a player', () => {
+        const { game, host, alice } = setUpGame();
+        const hostToken = emitted(host.socket, 'gameCreated')[0].authToken;
+        const aliceToken = emitted(alice.socket, 'playerJoined')[0].authToken;
+        const call = (method, routePath, { token, params = {}, body = {} }) => {
+            const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+            findRoute(method, routePath)({
+                params: { gameId: game.id, ...params },
+                query: {},
+                body,
+                get: (header) => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+            }, res);
+            return res;
+        };
+
+        expect(call('post', '/api/games/:gameId/teams', { body: { name: 'Team Gamma' } }).status).toHaveBeenCalledWith(401);
+        expect(call('post', '/api/games/:gameId/teams', { token: aliceToken, body: { name: 'Team Gamma' } }).status)
+            .toHaveBeenCalledWith(403);
+        expect(call('patch', '/api/games/:gameId/teams/:teamId', { token: aliceToken, params: { teamId: 'team1' }, body: { name: 'Red' } }).status)
+            .toHaveBeenCalledWith(403);
+        expect(call('delete', '/api/games/:gameId/teams/:teamId', { token: aliceToken, params: { teamId: 'team2' } }).status)
+            .toHaveBeenCalledWith(403);
+        expect(game.teams).toHaveLength(2);
+
+        const notHers = call('patch', '/api/games/:gameId/players/:playerId', { token: aliceToken, params: { playerId: 'p2' }, body: { name: 'Robert' } });
+        expect(notHers.status).toHaveBeenCalledWith(403);
+        expect(notHers.json).toHaveBeenCalledWith({ error: 'Only the host, a co-host or the player can update this player' });
+        expect(game.getPlayer('p2').name).toBe('Bob');
+
+        call('patch', '/api/games/:gameId/players/:playerId', { token: aliceToken, params: { playerId: 'p1' }, body: { name: 'Alicia' } });
+        call('patch', '/api/games/:gameId/players/:playerId', { token: hostToken, params: { playerId: 'p2' }, body: { name: 'Robert' } });
+        expect(call('post', '/api/games/:gameId/teams', { token: hostToken, body: { name: 'Team Gamma' } }).status).toHaveBeenCalledWith(201);
+        expect(game.getPlayer('p1').name).toBe('Alicia');
+        expect(game.getPlayer('p2').name).toBe('Robert');
+        expect(game.teams).toHaveLength(3);
+    });
+});
+
+describe('GameServer moderation', () => {
+    let game;
+    let host;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        host = connect();
+        host.handlers.createGame({ name: 'Moderated Game' });
+        game = server.gameService.listGames()[0];
+        game.createTeam('team1', 'Team Alpha');
+    });
+
+    const join = (playerId, playerName) => {
+        const player = connect();
+        player.handlers.joinGame({ gameId: game.id, playerId, playerName, teamId: 'team1' });
+        return player;
+    };
+
+    test('should kick a player, tell the room and take their socket out of it', () => {
+        const alice = join('p1', 'Alice');
+        const bob = join('p2', 'Bob');
+        server.io.to = jest.fn(() => ({ emit: jest.fn() }));
+
+        host.handlers.kickPlayer({ playerId: 'p2', reason: 'rude' });
+
+        expect(game.getPlayer('p2')).toBeUndefined();
+        expect(server.io.to).toHaveBeenCalledWith(game.id);
+        expect(bob.socket.leave).toHaveBeenCalledWith(game.id);
+        expect(server.connectedClients.get(bob.socket.id)).toMatchObject({ gameId: null, playerId: null });
+        expect(server.connectedClients.get(alice.socket.id).gameId).toBe(game.id);
+        expect(game.moderationLog[0]).toMatchObject({ action: 'kick', playerId: 'p2', moderatorId: game.hostId, reason: 'rude' });
+    });
+
+    test('should keep banned players from joining again under a new player id', () => {
+        const bob = join('p2', 'Bob');
+        const { authToken } = emitted(bob.socket, 'playerJoined')[0];
+
+        host.handlers.banPlayer({ playerId: 'p2' });
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p9', playerName: 'Bobby', teamId: 'team1', authToken });
+
+        expect(bob.socket.emit).toHaveBeenCalledWith('gameError', { error: 'You are banned from this game' });
+        expect(game.getPlayer('p9')).toBeUndefined();
+    });
+
+    test('should keep banned players out when they reconnect with their token', () => {
+        const bob = join('p2', 'Bob');
+        const { authToken } = emitted(bob.socket, 'playerJoined')[0];
+        host.handlers.banPlayer({ playerId: 'p2' });
+
+        const { socket, handlers } = connect(server.tokens.verify(authToken));
+        handlers.joinGame({ gameId: game.id, playerId: 'p9', playerName: 'Bobby', teamId: 'team1' });
+        handlers.spectateGame({ gameId: game.id, spectatorId: 'watcher', name: 'Bobby' });
+
+        expect(emitted(socket, 'gameError')).toEqual([
+            { error: 'You are banned from this game' },
+            { error: 'You are banned from this game' }
+        ]);
+        expect(game.getPlayer('p9')).toBeUndefined();
+        expect(game.spectators).toHaveLength(0);
+    });
+
+    test('should keep banned players out when they come back from a new socket under the same id', () => {
+        join('p2', 'Bob');
+        host.handlers.banPlayer({ playerId: 'p2' });
+
+        const { socket, handlers } = connect();
+        handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob', teamId: 'team1' });
+        handlers.spectateGame({ gameId: game.id, spectatorId: 'p2', name: 'Bob' });
+
+        expect(emitted(socket, 'gameError')).toEqual([
+            { error: 'You are banned from this game' },
+            { error: 'You are banned from this game' }
+        ]);
+        expect(game.getPlayer('p2')).toBeUndefined();
+        expect(game.spectators).toHaveLength(0);
+    });
+
+    test('should keep banned players from watching the game', () => {
+        const bob = join('p2', 'Bob');
+        const { authToken } = emitted(bob.socket, 'playerJoined')[0];
+
+        host.handlers.banPlayer({ playerId: 'p2' });
+        bob.handlers.spectateGame({ gameId: game.id, spectatorId: 'watcher', name: 'Bobby', authToken });
+
+        expect(bob.socket.emit).toHaveBeenCalledWith('gameError', { error: 'You are banned from this game' });
+        expect(game.spectators).toHaveLength(0);
+    });
+
+    test('should only let the host moderate', () => {
+        const alice = join('p1', 'Alice');
+        join('p2', 'Bob');
+
+        alice.handlers.kickPlayer({ playerId: 'p2' });
+        alice.handlers.mutePlayer({ playerId: 'p2' });
+
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can kick players' });
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Only the host or a co-host can mute players' });
+        expect(game.getPlayer('p2')).toBeDefined();
+    });
+
+    test('should mute a player in chat and show it in gameUpdated', () => {
+        const bob = join('p2', 'Bob');
+
+        host.handlers.mutePlayer({ playerId: 'p2' });
+        bob.handlers.chatMessage({ text: 'hello' });
+
+        expect(bob.socket.emit).toHaveBeenCalledWith('gameError', { error: 'You have been muted in this game' });
+        const updates = host.socket.emit.mock.calls.filter(([event]) => event === 'gameUpdated');
+        expect(updates.pop()[1].game.mutedIds).toEqual(['p2']);
+    });
+
+    test('should only allow vote-kicks while no host is connected', () => {
+        const alice = join('p1', 'Alice');
+        const bob = join('p2', 'Bob');
+        join('p3', 'Charlie');
+
+        alice.handlers.voteKick({ playerId: 'p3' });
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Vote-kicks are only possible while no host is connected' });
+
+        server.handleDisconnect(host.socket);
+        alice.handlers.voteKick({ playerId: 'p3' });
+        expect(game.getPlayer('p3')).toBeDefined();
+        bob.handlers.voteKick({ playerId: 'p3' });
+
+        expect(game.getPlayer('p3')).toBeUndefined();
+        expect(game.moderationLog[0]).toMatchObject({ action: 'voteKick', playerId: 'p3' });
+    });
+
+    test('should end the round when the drawer is kicked', () => {
+        join('p1', 'Alice');
+        game.createTeam('team2', 'Team Beta');
+        const bob = connect();
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob', teamId: 'team2' });
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        host.handlers.startGame();
+        const drawerId = game.currentDrawer.id;
+        const engine = server.roundEngines.get(game.id);
+        jest.spyOn(engine, 'endRound');
+
+        host.handlers.kickPlayer({ playerId: drawerId });
+
+        expect(engine.endRound).toHaveBeenCalledWith('drawerLeft');
+    });
+});
+
+describe('GameServer content filter', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Clean Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+    });
+
+    test('should refuse offensive game, team and player names', () => {
+        const client = connect();
+
+        client.handlers.createGame({ name: 'Sh1t Show' });
+        client.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'f u c k' });
+        client.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+        client.handlers.createTeam({ teamName: 'Crap Crew' });
+
+        expect(client.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Game name is not allowed: contains offensive language' });
+        expect(client.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Player name is not allowed: contains offensive language' });
+        expect(client.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Team name is not allowed: contains offensive language' });
+        expect(game.players.map(player => player.name)).toEqual(['Alice']);
+        expect(game.teams).toHaveLength(2);
+    });
+
+    test('should follow the game\'s own strictness', () => {
+        game.updateSettings({ contentFilter: 'lenient' });
+        const client = connect();
+
+        client.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Crap Artist' });
+
+        expect(game.getPlayer('p1').name).toBe('Crap Artist');
+    });
+
+    test('should censor wrong guesses for the room and tell the guesser why', () => {
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice', teamId: 'team1' });
+        const bob = connect();
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob', teamId: 'team2' });
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        server.createRoundEngine(game).start();
+        const engine = server.roundEngines.get(game.id);
+        engine.chooseWord(game.currentDrawer.id, engine.wordChoices[0].word);
+        const guesser = game.isDrawer('p1') ? bob : alice;
+
+        server.handleGuess(guesser.socket, 'shit');
+
+        expect(guesser.socket.emit).toHaveBeenCalledWith('guessResult', expect.objectContaining({
+            correct: false,
+            filterReason: 'Contains offensive language'
+        }));
+        expect(guesser.room.emit).toHaveBeenCalledWith('guessMade', expect.objectContaining({ guess: '****' }));
+    });
+});
+
+describe('GameServer unique names', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Named Game');
+        game.createTeam('team1', 'Team Alpha');
+    });
+
+    test('should answer a taken name with a code and a suggestion', () => {
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+        const other = connect();
+
+        other.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'alice' });
+        other.handlers.createTeam({ teamName: 'Team Alpha' });
+
+        expect(other.socket.emit).toHaveBeenCalledWith('gameError', {
+            error: 'Player name must be unique',
+            code: 'NAME_TAKEN',
+            name: 'alice',
+            scope: game.nameScope,
+            suggestion: 'alice1'
+        });
+        expect(game.getPlayer('p2')).toBeUndefined();
+    });
+
+    test('should run the naming rules on new names', () => {
+        const client = connect();
+
+        client.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'admin' });
+        client.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+        client.handlers.createTeam({ teamName: 'Team--Beta' });
+
+        expect(client.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Player name cannot be a reserved word' });
+        expect(client.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Team name cannot have consecutive special characters' });
+        expect(game.teams).toHaveLength(1);
+    });
+
+    test('should check player and team renames', () => {
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+        const bob = connect();
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob' });
+
+        bob.handlers.renamePlayer({ name: 'Alice' });
+        alice.handlers.renameTeam({ teamId: 'team1', name: 'Bob' });
+        alice.handlers.renamePlayer({ name: 'Alicia' });
+        alice.handlers.renameTeam({ teamId: 'team1', name: 'Team Red' });
+
+        expect(bob.socket.emit).toHaveBeenCalledWith('gameError', expect.objectContaining({ error: 'Player name must be unique' }));
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', expect.objectContaining({ error: 'Team name must be unique' }));
+        expect(game.getPlayer('p1').name).toBe('Alicia');
+        expect(game.getPlayer('p2').name).toBe('Bob');
+        expect(game.getTeam('team1').name).toBe('Team Red');
+    });
+
+    test('should answer REST name clashes with 409', () => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+        try {
+            server.gameService.createGame('Named Game');
+        } catch (error) {
+            server.sendError(res, error);
+        }
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NAME_TAKEN', suggestion: 'Named Game1' }));
+    });
+});
+
+describe('GameServer spectators', () => {
+    let game;
+
+    useFreshServer();
+
+    beforeEach(() => {
+        game = server.gameService.createGame('Spectated Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+    });
+
+    const startRound = () => {
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice', teamId: 'team1' });
+        const bob = connect();
+        bob.handlers.joinGame({ gameId: game.id, playerId: 'p2', playerName: 'Bob', teamId: 'team2' });
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+        server.createRoundEngine(game).start();
+        const engine = server.roundEngines.get(game.id);
+        engine.chooseWord(game.currentDrawer.id, engine.wordChoices[0].word);
+        return { alice, bob };
+    };
+
+    test('should let a spectator join mid-round and see the drawing but not the word', () => {
+        startRound();
+        game.drawingBoard.beginStroke({ id: 's1', color: '#000000', width: 4, points: [{ x: 1, y: 2, t: 0 }] });
+        const sam = connect();
+
+        sam.handlers.spectateGame({ joinCode: game.joinCode, spectatorId: 'sp1', name: 'Sam' });
+
+        expect(emitted(sam.socket, 'spectatorJoined')[0].spectator).toMatchObject({ id: 'sp1', name: 'Sam' });
+        expect(emitted(sam.socket, 'canvasState')[0].strokes).toHaveLength(1);
+        expect(sam.socket.join).toHaveBeenCalledWith(game.id);
+        const view = emitted(sam.socket, 'gameUpdated').pop();
+        expect(view.game.currentWord).toBeNull();
+        expect(view.game.spectators).toHaveLength(1);
+        expect(view.canManage).toBe(false);
+        expect(game.players).toHaveLength(2);
+    });
+
+    test('should not let spectators guess', () => {
+        startRound();
+        const sam = connect();
+        sam.handlers.spectateGame({ gameId: game.id, spectatorId: 'sp1', name: 'Sam' });
+
+        sam.handlers.submitGuess({ guess: game.currentWord });
+
+        expect(sam.socket.emit).toHaveBeenCalledWith('gameError', { error: 'Spectators cannot guess' });
+    });
+
+    test('should deliver the spectators channel to spectators only', () => {
+        const { alice } = startRound();
+        const sam = connect();
+        sam.handlers.spectateGame({ gameId: game.id, spectatorId: 'sp1', name: 'Sam' });
+        const dana = connect();
+        dana.handlers.spectateGame({ gameId: game.id, spectatorId: 'sp2', name: 'Dana' });
+
+        sam.handlers.chatMessage({ text: 'what is it?' });
+
+        expect(emitted(dana.socket, 'chatMessage')).toEqual([expect.objectContaining({ channel: 'spectators', text: 'what is it?' })]);
+        expect(emitted(alice.socket, 'chatMessage')).toEqual([]);
+    });
+
+    test('should remove a spectator when their socket disconnects', () => {
+        const sam = connect();
+        sam.handlers.spectateGame({ gameId: game.id, spectatorId: 'sp1', name: 'Sam' });
+
+        sam.handlers.disconnect();
+
+        expect(game.spectators).toEqual([]);
+        expect(server.gameService.isNameUnique('Sam', game.nameScope)).toBe(true);
+    });
+
+    test('should refuse players spectating their own game', () => {
+        const alice = connect();
+        alice.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+
+        alice.handlers.spectateGame({ gameId: game.id, name: 'Watcher' });
+
+        expect(alice.socket.emit).toHaveBeenCalledWith('gameError', { error: 'You are already playing in this game' });
+        expect(game.spectators).toEqual([]);
+    });
+});
+
+describe('GameServer settings', () => {
+    useFreshServer();
+
+    test('should create a game with the settings from the create form', () => {
+        const host = connect();
+
+        host.handlers.createGame({ name: 'Quick Game', options: { maxRounds: 3, roundTimeLimit: 30, allowSpectators: false } });
+
+        const game = server.gameService.listGames()[0];
+        expect(game.maxRounds).toBe(3);
+        expect(game.roundTimeLimit).toBe(30);
+        expect(game.gameSettings.allowSpectators).toBe(false);
+    });
+
+    test('should refuse to create a game with invalid settings', () => {
+        const host = connect();
+
+        host.handlers.createGame({ name: 'Broken Game', options: { scoringMode: 'fastest' } });
+
+        expect(emitted(host.socket, 'gameError')).toEqual([{ error: 'scoringMode must be one of: speed, flat' }]);
+        expect(server.gameService.listGames()).toHaveLength(0);
+    });
+
+    test('should let the host change settings over the socket while waiting', () => {
+        const host = connect();
+        host.handlers.createGame({ name: 'Lobby Game' });
+        const game = server.gameService.listGames()[0];
+        const player = connect();
+        player.handlers.joinGame({ gameId: game.id, playerId: 'p1', playerName: 'Alice' });
+
+        player.handlers.updateSettings({ settings: { maxRounds: 2 } });
+        host.handlers.updateSettings({ settings: { maxRounds: 4, hintInterval: 0 } });
+
+        expect(emitted(player.socket, 'gameError')).toContainEqual({ error: 'Only the host or a co-host can change the settings' });
+        expect(game.maxRounds).toBe(4);
+        expect(game.gameSettings.hintInterval).toBe(0);
+    });
+
+    test('should update settings through the REST route', () => {
+        const host = connect();
+        host.handlers.createGame({ name: 'Rest Game' });
+        const game = server.gameService.listGames()[0];
+        const token = emitted(host.socket, 'gameCreated')[0].authToken;
+        const handle = findRoute('patch', '/api/games/:gameId/settings');
+        const request = (body) => ({
+            params: { gameId: 'current' },
+            query: {},
+            body,
+            get: (header) => ({ Authorization: `Bearer ${token}`, 'X-Game-Id': game.id }[header])
+        });
+        const response = () => {
+            const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+            return res;
+        };
+
+        const ok = response();
+        handle(request({ roundTimeLimit: 120 }), ok);
+        const bad = response();
+        handle(request({ roundTimeLimit: 5 }), bad);
+
+        expect(ok.json).toHaveBeenCalledWith({ success: true, settings: expect.objectContaining({ roundTimeLimit: 120 }) });
+        expect(bad.status).toHaveBeenCalledWith(400);
+        expect(game.roundTimeLimit).toBe(120);
+    });
+
+    test('should run rounds with the game\'s scoring mode and hint cadence', () => {
+        const game = server.gameService.createGame('Flat Game', { scoringMode: 'flat', hintInterval: 0 });
+
+        const engine = server.createRoundEngine(game);
+
+        expect(engine._scoring.mode).toBe('flat');
+        expect(engine._hintInterval).toBe(0);
+    });
+});
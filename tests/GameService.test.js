@@ -2,6 +2,7 @@ const GameService = require('../src/core/GameService');
 const Game = require('../src/entities/Game');
 const Team = require('../src/entities/Team');
 const Player = require('../src/entities/Player');
+const MemoryHistoryStore = require('../src/storage/MemoryHistoryStore');
 
 /**
  * Test suite for GameService Singleton pattern
@@ -71,8 +72,9 @@ describe('GameService Singleton Pattern Tests', () => {
         });
 
         test('should throw error for duplicate game names', () => {
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
             gameService.createGame('Duplicate Test');
-            gameService.endCurrentGame();
             
             expect(() => {
                 gameService.createGame('Duplicate Test');
@@ -88,6 +90,83 @@ describe('GameService Singleton Pattern Tests', () => {
                 gameService.createGame(null);
             }).toThrow('Valid game name is required');
         });
+
+        test('should create a game with the given settings', () => {
+            const game = gameService.createGame('Custom Game', { maxTeams: 3, maxRounds: 5, scoringMode: 'flat', enableChat: false });
+
+            expect(game.maxTeams).toBe(3);
+            expect(game.maxRounds).toBe(5);
+            expect(game.gameSettings.scoringMode).toBe('flat');
+            expect(game.gameSettings.enableChat).toBe(false);
+        });
+
+        test('should not create a game with invalid settings', () => {
+            expect(() => gameService.createGame('Bad Settings', { roundTimeLimit: 1 }))
+                .toThrow('roundTimeLimit must be a whole number from 15 to 300');
+            expect(gameService.listGames()).toHaveLength(0);
+            expect(gameService.isNameUnique('Bad Settings')).toBe(true);
+        });
+
+        test('should update a waiting game\'s settings by id or join code', () => {
+            const game = gameService.createGame('Settings Game');
+
+            gameService.updateGameSettings(game.joinCode, { hintInterval: 0 });
+
+            expect(game.gameSettings.hintInterval).toBe(0);
+            expect(() => gameService.updateGameSettings('missing', {})).toThrow('Game not found');
+        });
+    });
+
+    describe('Multi-Room Registry', () => {
+        beforeEach(() => {
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
+        });
+
+        test('should allow several active games when single-game mode is off', () => {
+            const game1 = gameService.createGame('Room One');
+            const game2 = gameService.createGame('Room Two');
+            
+            expect(gameService.isSingleGameMode()).toBe(false);
+            expect(gameService.listGames()).toEqual([game1, game2]);
+            expect(gameService.getStatistics().activeGameCount).toBe(2);
+        });
+
+        test('should look up games by id or join code', () => {
+            const game = gameService.createGame('Lookup Room');
+            
+            expect(game.joinCode).toMatch(/^[A-Z2-9]{6}$/);
+            expect(gameService.getGame(game.id)).toBe(game);
+            expect(gameService.getGame(game.joinCode)).toBe(game);
+            expect(gameService.getGame(game.joinCode.toLowerCase())).toBe(game);
+            expect(gameService.getGame('missing')).toBeNull();
+        });
+
+        test('should give every game a distinct join code', () => {
+            const codes = new Set();
+            for (let i = 0; i < 20; i++) {
+                codes.add(gameService.createGame(`Room ${i}`).joinCode);
+            }
+            expect(codes.size).toBe(20);
+        });
+
+        test('should end one game without touching the others', () => {
+            const game1 = gameService.createGame('Keep Me');
+            const game2 = gameService.createGame('End Me');
+            
+            const endedGame = gameService.endGame(game2.joinCode);
+            
+            expect(endedGame).toBe(game2);
+            expect(endedGame.gameState).toBe('finished');
+            expect(gameService.getGame(game2.id)).toBeNull();
+            expect(gameService.getGame(game1.id)).toBe(game1);
+            expect(gameService.getCurrentGame()).toBe(game1);
+            expect(gameService.getGameHistory()).toHaveLength(1);
+        });
+
+        test('should return null when ending an unknown game', () => {
+            expect(gameService.endGame('missing')).toBeNull();
+        });
     });
 
     describe('Name Validation and Uniqueness', () => {
@@ -111,6 +190,49 @@ describe('GameService Singleton Pattern Tests', () => {
             expect(gameService.isNameUnique('test name')).toBe(false);
             expect(gameService.isNameUnique('TEST NAME')).toBe(false);
         });
+
+        test('should scope team and player names to their game', () => {
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
+            const first = gameService.createGame('First Game');
+            const second = gameService.createGame('Second Game');
+            first.createTeam('team1', 'Red');
+
+            expect(gameService.isNameUnique('Red', first.nameScope)).toBe(false);
+            expect(gameService.isNameUnique('Red', second.nameScope)).toBe(true);
+            expect(second.createTeam('team2', 'Red').name).toBe('Red');
+        });
+
+        test('should suggest a free name when a game name is taken', () => {
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
+            gameService.createGame('Doodle Night');
+
+            let conflict = null;
+            try {
+                gameService.createGame('doodle night');
+            } catch (error) {
+                conflict = error;
+            }
+
+            expect(conflict.message).toBe('Game name must be unique');
+            expect(conflict.code).toBe('NAME_TAKEN');
+            expect(conflict.suggestion).toBe('doodle night1');
+            expect(gameService.suggestName('Doodle Night')).toBe('Doodle Night1');
+        });
+
+        test('should free the game, team and player names when a game ends', () => {
+            const game = gameService.createGame('Archived Game');
+            game.createTeam('team1', 'Red');
+            game.addPlayer('player1', 'Alice', 'team1');
+
+            gameService.endGame(game.id);
+
+            expect(gameService.isNameUnique('Archived Game')).toBe(true);
+            expect(gameService.isNameUnique('Red')).toBe(true);
+            expect(gameService.isNameUnique('Alice')).toBe(true);
+            expect(gameService.createGame('Archived Game').name).toBe('Archived Game');
+        });
     });
 
     describe('Game Lifecycle Management', () => {
@@ -140,6 +262,54 @@ describe('GameService Singleton Pattern Tests', () => {
             expect(history[0].game.name).toBe('Game 1');
             expect(history[1].game.name).toBe('Game 2');
         });
+
+        test('should archive into the configured history store and query it', () => {
+            const historyStore = new MemoryHistoryStore();
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false, historyStore });
+
+            const game = gameService.createGame('Stored Game');
+            game.createTeam('team1', 'Red');
+            game.addPlayer('player1', 'Alice', 'team1');
+            gameService.endGame(game.id);
+            gameService.createGame('Other Game');
+            gameService.endCurrentGame();
+
+            expect(historyStore.count()).toBe(2);
+            expect(gameService.getStatistics().totalGamesPlayed).toBe(2);
+            expect(gameService.getGameHistory({ player: 'alice' }).map(entry => entry.game.name)).toEqual(['Stored Game']);
+            expect(gameService.queryGameHistory({ order: 'desc', limit: 1 })).toMatchObject({
+                total: 2,
+                games: [{ game: { name: 'Other Game' } }]
+            });
+        });
+    });
+
+    describe('Snapshots', () => {
+        test('should restore games with their join codes and names', () => {
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
+            const game = gameService.createGame('Snapshot Game');
+            game.createTeam('team1', 'Red');
+            game.addPlayer('player1', 'Alice', 'team1');
+            const snapshot = JSON.parse(JSON.stringify(gameService.getSnapshot()));
+
+            gameService._reset();
+            gameService.initialize({ singleGameMode: false });
+            const [restored] = gameService.restoreSnapshot(snapshot);
+
+            expect(restored.id).toBe(game.id);
+            expect(gameService.getGame(game.joinCode)).toBe(restored);
+            expect(restored.getPlayer('player1').name).toBe('Alice');
+            expect(gameService.isNameUnique('Snapshot Game')).toBe(false);
+        });
+
+        test('should not restore a game that is already active', () => {
+            const game = gameService.createGame('Live Game');
+
+            expect(gameService.restoreSnapshot(gameService.getSnapshot())).toEqual([]);
+            expect(gameService.getGame(game.id)).toBe(game);
+        });
     });
 
     describe('Statistics and Monitoring', () => {
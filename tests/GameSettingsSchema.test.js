@@ -0,0 +1,64 @@
+const GameSettingsSchema = require('../src/utils/GameSettingsSchema');
+
+/**
+ * Test suite for the game settings schema
+ */
+describe('GameSettingsSchema', () => {
+    test('should give every setting its default', () => {
+        expect(GameSettingsSchema.defaults()).toEqual({
+            maxRounds: 10,
+            roundTimeLimit: 60,
+            hintInterval: 20,
+            scoringMode: 'speed',
+            wordPacks: [],
+            wordCategories: [],
+            wordDifficulties: [],
+            allowSpectators: true,
+            spectatorChat: true,
+            enableChat: true,
+            showScores: true,
+            contentFilter: 'moderate'
+        });
+    });
+
+    test('should merge a valid update into the current settings', () => {
+        const current = GameSettingsSchema.defaults();
+
+        const merged = GameSettingsSchema.validate({ maxRounds: 5, scoringMode: 'flat' }, current);
+
+        expect(merged.maxRounds).toBe(5);
+        expect(merged.scoringMode).toBe('flat');
+        expect(merged.roundTimeLimit).toBe(60);
+        expect(current.maxRounds).toBe(10);
+    });
+
+    test('should reject unknown settings', () => {
+        expect(() => GameSettingsSchema.validate({ maxRound: 5 })).toThrow('Unknown game setting: maxRound');
+    });
+
+    test('should reject numbers outside their limits or not whole', () => {
+        expect(() => GameSettingsSchema.validate({ maxRounds: 0 })).toThrow('maxRounds must be a whole number from 1 to 50');
+        expect(() => GameSettingsSchema.validate({ roundTimeLimit: 601 })).toThrow('roundTimeLimit must be a whole number from 15 to 300');
+        expect(() => GameSettingsSchema.validate({ hintInterval: 2.5 })).toThrow('hintInterval must be a whole number from 0 to 300');
+        expect(() => GameSettingsSchema.validate({ maxRounds: '5' })).toThrow('maxRounds must be a whole number');
+    });
+
+    test('should reject values of the wrong type', () => {
+        expect(() => GameSettingsSchema.validate({ enableChat: 'yes' })).toThrow('enableChat must be true or false');
+        expect(() => GameSettingsSchema.validate({ scoringMode: 'fastest' })).toThrow('scoringMode must be one of: speed, flat');
+        expect(() => GameSettingsSchema.validate({ wordPacks: 'animals' })).toThrow('wordPacks must be a list of names');
+        expect(() => GameSettingsSchema.validate(null)).toThrow('Settings must be an object');
+    });
+
+    test('should pick only known settings out of other options', () => {
+        expect(GameSettingsSchema.pick({ maxTeams: 3, maxRounds: 4, hostId: 'h1', enableChat: false }))
+            .toEqual({ maxRounds: 4, enableChat: false });
+    });
+
+    test('should describe each setting for clients', () => {
+        const description = GameSettingsSchema.describe();
+
+        expect(description.roundTimeLimit).toMatchObject({ type: 'integer', default: 60, min: 15, max: 300 });
+        expect(description.contentFilter.values).toEqual(['off', 'lenient', 'moderate', 'strict']);
+    });
+});
@@ -0,0 +1,94 @@
+const GameStateMachine = require('../src/core/GameStateMachine');
+const IllegalStateTransitionError = require('../src/utils/IllegalStateTransitionError');
+
+/**
+ * Test suite for the game state machine
+ */
+describe('GameStateMachine', () => {
+    let machine;
+
+    beforeEach(() => {
+        machine = new GameStateMachine();
+    });
+
+    test('should start in the lobby', () => {
+        expect(machine.state).toBe('lobby');
+        expect(machine.isPlaying).toBe(false);
+        expect(machine.isInProgress).toBe(false);
+    });
+
+    test('should follow a round from word selection to its summary', () => {
+        expect(machine.transition('word-selection')).toEqual({ from: 'lobby', to: 'word-selection' });
+        machine.transition('drawing');
+        machine.transition('round-summary');
+        machine.transition('word-selection');
+
+        expect(machine.state).toBe('word-selection');
+        expect(machine.isPlaying).toBe(true);
+    });
+
+    test('should refuse transitions the table does not list', () => {
+        expect(machine.can('drawing')).toBe(false);
+        expect(() => machine.transition('paused', 'pause the game')).toThrow(IllegalStateTransitionError);
+        expect(() => machine.transition('paused', 'pause the game')).toThrow('Cannot pause the game in the lobby state');
+        expect(machine.state).toBe('lobby');
+    });
+
+    test('should describe illegal transitions with both states', () => {
+        let error;
+        try {
+            machine.transition('round-summary');
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.message).toBe('Game cannot go from lobby to round-summary');
+        expect(error.toJSON()).toEqual({
+            error: 'Game cannot go from lobby to round-summary',
+            code: 'ILLEGAL_STATE_TRANSITION',
+            from: 'lobby',
+            to: 'round-summary'
+        });
+    });
+
+    test('should resume into the state it was paused in', () => {
+        machine.transition('word-selection');
+        machine.transition('drawing');
+        machine.transition('paused');
+
+        expect(machine.resumeState).toBe('drawing');
+        expect(machine.isInProgress).toBe(true);
+        expect(machine.resume()).toEqual({ from: 'paused', to: 'drawing' });
+        expect(machine.resumeState).toBeNull();
+    });
+
+    test('should move the resume state when the round changes while paused', () => {
+        machine.transition('word-selection');
+        machine.transition('drawing');
+        machine.transition('paused');
+
+        expect(machine.transition('round-summary')).toEqual({ from: 'paused', to: 'paused' });
+        expect(machine.state).toBe('paused');
+        expect(() => machine.transition('drawing')).toThrow(IllegalStateTransitionError);
+
+        machine.resume();
+        expect(machine.state).toBe('round-summary');
+    });
+
+    test('should only resume a paused game', () => {
+        expect(() => machine.resume('resume the game')).toThrow('Cannot resume the game in the lobby state');
+    });
+
+    test('should let nothing leave the finished state', () => {
+        machine.transition('finished');
+
+        for (const state of GameStateMachine.STATES) {
+            expect(machine.can(state)).toBe(false);
+        }
+    });
+
+    test('should reject unknown states', () => {
+        expect(() => machine.transition('playing')).toThrow('Unknown game state: playing');
+        expect(() => new GameStateMachine('paused', 'lobby')).toThrow('A game cannot be paused in lobby');
+    });
+});
@@ -0,0 +1,92 @@
+const GuessMatcher = require('../src/utils/GuessMatcher');
+
+/**
+ * Test suite for fuzzy guess matching
+ */
+describe('GuessMatcher', () => {
+    let matcher;
+
+    beforeEach(() => {
+        matcher = new GuessMatcher();
+    });
+
+    describe('Normalization', () => {
+        test('should ignore case, punctuation, extra whitespace and articles', () => {
+            expect(matcher.normalize('  The   CAT! ')).toBe('cat');
+            expect(matcher.normalize('an apple')).toBe('apple');
+        });
+
+        test('should reduce common plurals to the singular', () => {
+            expect(matcher.normalize('cats')).toBe('cat');
+            expect(matcher.normalize('butterflies')).toBe('butterfly');
+            expect(matcher.normalize('boxes')).toBe('box');
+            expect(matcher.normalize('glass')).toBe('glass');
+        });
+
+        test('should strip accents', () => {
+            expect(matcher.normalize('Café')).toBe('cafe');
+        });
+    });
+
+    describe('Matching', () => {
+        test('should accept guesses that only differ in form', () => {
+            expect(matcher.match('a cat', 'cat')).toBe('correct');
+            expect(matcher.match('Cats', 'cat')).toBe('correct');
+            expect(matcher.match('icecream', 'ice cream')).toBe('correct');
+        });
+
+        test('should forgive a single typo in longer words', () => {
+            expect(matcher.match('girafe', 'giraffe')).toBe('correct');
+        });
+
+        test('should forgive two swapped letters in shorter words', () => {
+            expect(matcher.match('hosue', 'house')).toBe('correct');
+        });
+
+        test('should not accept a different word one letter away as correct', () => {
+            expect(matcher.match('horse', 'house')).toBe('close');
+            expect(matcher.match('mouse', 'house')).toBe('close');
+            expect(matcher.match('handle', 'candle')).toBe('close');
+        });
+
+        test('should treat a typo that spells a known word as close', () => {
+            const wordMatcher = new GuessMatcher({ isKnownWord: word => word === 'pointer' });
+
+            expect(wordMatcher.match('pointer', 'painter')).toBe('close');
+            expect(wordMatcher.match('paintr', 'painter')).toBe('correct');
+        });
+
+        test('should treat nearly right guesses as close', () => {
+            expect(matcher.match('car', 'cat')).toBe('close');
+            expect(matcher.match('elefant', 'elephant')).toBe('close');
+        });
+
+        test('should reject different words', () => {
+            expect(matcher.match('dog', 'cat')).toBe('wrong');
+            expect(matcher.match('pen', 'penguin')).toBe('wrong');
+        });
+
+        test('should reject empty guesses and guesses made only of articles', () => {
+            expect(matcher.match('', 'cat')).toBe('wrong');
+            expect(matcher.match('the', 'cat')).toBe('wrong');
+        });
+    });
+
+    describe('Finding the word in a message', () => {
+        test('should find the word among other words', () => {
+            expect(matcher.containsWord('Is it a giraffe?', 'giraffe')).toBe(true);
+            expect(matcher.containsWord('I love ice cream', 'icecream')).toBe(true);
+        });
+
+        test('should not match words that only contain the word', () => {
+            expect(matcher.containsWord('concatenate', 'cat')).toBe(false);
+            expect(matcher.containsWord('what a car', 'cat')).toBe(false);
+        });
+    });
+
+    test('should compute the Levenshtein distance', () => {
+        expect(matcher.distance('kitten', 'sitting')).toBe(3);
+        expect(matcher.distance('', 'abc')).toBe(3);
+        expect(matcher.distance('same', 'same')).toBe(0);
+    });
+});
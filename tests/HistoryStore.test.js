@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryHistoryStore = require('../src/storage/MemoryHistoryStore');
+const FileHistoryStore = require('../src/storage/FileHistoryStore');
+
+/**
+ * Test suite for game history storage
+ */
+const record = (name, endedAt, players = [], teams = []) => ({
+    game: {
+        id: `id-${name}`,
+        name,
+        players: players.map(playerName => ({ id: playerName.toLowerCase(), name: playerName, score: 3 })),
+        teams: teams.map(teamName => ({ id: teamName.toLowerCase(), name: teamName, score: 3 }))
+    },
+    rounds: [{ round: 1, word: 'cat', drawing: [{ id: 's1', points: [{ x: 1, y: 2, t: 0 }] }] }],
+    endedAt: new Date(endedAt)
+});
+
+describe('MemoryHistoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryHistoryStore();
+        store.save(record('Monday Game', '2026-03-02T18:00:00Z', ['Alice', 'Bob'], ['Red', 'Blue']));
+        store.save(record('Tuesday Game', '2026-03-03T18:00:00Z', ['Alice', 'Carol'], ['Red', 'Green']));
+        store.save(record('Friday Game', '2026-03-06T18:00:00Z', ['Dave', 'Erin'], ['Blue', 'Green']));
+    });
+
+    test('should return every game oldest first by default', () => {
+        const result = store.query();
+
+        expect(result.total).toBe(3);
+        expect(result.games.map(entry => entry.game.name)).toEqual(['Monday Game', 'Tuesday Game', 'Friday Game']);
+        expect(store.count()).toBe(3);
+    });
+
+    test('should keep rounds and drawings', () => {
+        const [first] = store.query().games;
+
+        expect(first.rounds[0].drawing[0].points).toEqual([{ x: 1, y: 2, t: 0 }]);
+        expect(first.endedAt).toBe('2026-03-02T18:00:00.000Z');
+    });
+
+    test('should page through games', () => {
+        const result = store.query({ offset: 1, limit: 1 });
+
+        expect(result).toMatchObject({ total: 3, offset: 1, limit: 1 });
+        expect(result.games.map(entry => entry.game.name)).toEqual(['Tuesday Game']);
+    });
+
+    test('should list newest first on request', () => {
+        const result = store.query({ order: 'desc', limit: 2 });
+
+        expect(result.games.map(entry => entry.game.name)).toEqual(['Friday Game', 'Tuesday Game']);
+    });
+
+    test('should filter by date range', () => {
+        const result = store.query({ from: '2026-03-03', to: '2026-03-05' });
+
+        expect(result.games.map(entry => entry.game.name)).toEqual(['Tuesday Game']);
+    });
+
+    test('should filter by player and team name ignoring case', () => {
+        expect(store.query({ player: 'alice' }).total).toBe(2);
+        expect(store.query({ team: ' GREEN ' }).games.map(entry => entry.game.name))
+            .toEqual(['Tuesday Game', 'Friday Game']);
+        expect(store.query({ player: 'Alice', team: 'Blue' }).total).toBe(1);
+    });
+
+    test('should count every match, not just the page', () => {
+        const result = store.query({ player: 'Alice', limit: 1 });
+
+        expect(result.total).toBe(2);
+        expect(result.games).toHaveLength(1);
+    });
+
+    test('should not let callers change stored records', () => {
+        store.query().games[0].game.name = 'Changed';
+
+        expect(store.query().games[0].game.name).toBe('Monday Game');
+    });
+
+    test('should reject invalid queries', () => {
+        expect(() => store.query({ from: 'yesterday-ish' })).toThrow('Invalid date: yesterday-ish');
+        expect(() => store.query({ limit: -1 })).toThrow('Limit must be a whole number of at least 0');
+        expect(() => store.query({ offset: 'abc' })).toThrow('Offset must be a whole number of at least 0');
+        expect(() => store.query({ order: 'random' })).toThrow('Order must be one of: asc, desc');
+    });
+
+    test('should require a game to save', () => {
+        expect(() => store.save({})).toThrow('History record requires a game');
+    });
+});
+
+describe('FileHistoryStore', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+        filePath = path.join(directory, 'nested', 'games.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should write one JSON line per game', () => {
+        const store = new FileHistoryStore(filePath);
+        store.save(record('Monday Game', '2026-03-02T18:00:00Z', ['Alice']));
+        store.save(record('Tuesday Game', '2026-03-03T18:00:00Z', ['Bob']));
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        expect(lines).toHaveLength(2);
+        expect(JSON.parse(lines[1]).game.name).toBe('Tuesday Game');
+    });
+
+    test('should keep history across instances', () => {
+        new FileHistoryStore(filePath).save(record('Monday Game', '2026-03-02T18:00:00Z', ['Alice']));
+
+        const reopened = new FileHistoryStore(filePath);
+        const result = reopened.query({ player: 'alice' });
+
+        expect(result.total).toBe(1);
+        expect(result.games[0].rounds[0].word).toBe('cat');
+    });
+
+    test('should skip a line cut short and keep appending after it', () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, `${JSON.stringify(record('Monday Game', '2026-03-02T18:00:00Z'))}\n{"game":{"id":`);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const store = new FileHistoryStore(filePath);
+        store.save(record('Tuesday Game', '2026-03-03T18:00:00Z'));
+
+        expect(store.count()).toBe(2);
+        expect(new FileHistoryStore(filePath).query().games.map(entry => entry.game.name))
+            .toEqual(['Monday Game', 'Tuesday Game']);
+        console.warn.mockRestore();
+    });
+
+    test('should start empty without a file', () => {
+        const store = new FileHistoryStore(filePath);
+
+        expect(store.count()).toBe(0);
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+});
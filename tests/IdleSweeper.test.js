@@ -0,0 +1,217 @@
+const IdleSweeper = require('../src/core/IdleSweeper');
+const Game = require('../src/entities/Game');
+
+/**
+ * Test suite for idle player detection
+ */
+describe('IdleSweeper', () => {
+    let sweeper;
+    let game;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+        sweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180 });
+
+        game = new Game('game1', 'Idle Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('alice', 'Alice', 'team1');
+        game.addPlayer('bob', 'Bob', 'team2');
+        game.addPlayer('carol', 'Carol', 'team2');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const startGame = () => {
+        game.players.forEach(player => game.setPlayerReady(player.id, true));
+        game.startGame();
+    };
+
+    test('should leave recently active players alone', () => {
+        startGame();
+        jest.advanceTimersByTime(59 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report.idle).toEqual([]);
+        expect(report.activePlayers).toBe(3);
+        expect(game.players.some(player => player.isIdle)).toBe(false);
+    });
+
+    test('should mark players idle after the idle threshold', () => {
+        startGame();
+        jest.advanceTimersByTime(30 * 1000);
+        game.getPlayer('alice').recordActivity();
+        jest.advanceTimersByTime(31 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report.idle).toEqual(['bob', 'carol']);
+        expect(game.getPlayer('bob').isIdle).toBe(true);
+        expect(game.getPlayer('alice').isIdle).toBe(false);
+        expect(report.activePlayers).toBe(1);
+    });
+
+    test('should only report a player as newly idle once', () => {
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+        sweeper.sweep(game);
+
+        expect(sweeper.sweep(game).idle).toEqual([]);
+    });
+
+    test('should wake an idle player up on activity', () => {
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+        sweeper.sweep(game);
+
+        game.getPlayer('bob').recordActivity();
+
+        expect(game.getPlayer('bob').isIdle).toBe(false);
+        expect(sweeper.sweep(game).activePlayers).toBe(1);
+    });
+
+    test('should remove players after the removal threshold', () => {
+        startGame();
+        jest.advanceTimersByTime(120 * 1000);
+        game.getPlayer('alice').recordActivity();
+        jest.advanceTimersByTime(61 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report.removed).toEqual([
+            { playerId: 'bob', playerName: 'Bob' },
+            { playerId: 'carol', playerName: 'Carol' }
+        ]);
+        expect(game.getPlayer('bob')).toBeUndefined();
+        expect(game.getTeam('team2').players).toEqual([]);
+    });
+
+    test('should report an idle drawer instead of removing them', () => {
+        startGame();
+        const drawerId = game.currentDrawer.id;
+        jest.advanceTimersByTime(181 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report.drawerIdle).toBe(true);
+        expect(game.getPlayer(drawerId)).toBeDefined();
+        expect(report.removed.map(removed => removed.playerId)).not.toContain(drawerId);
+    });
+
+    test('should report a running game without enough active players as understaffed', () => {
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+        game.getPlayer('alice').recordActivity();
+
+        const report = sweeper.sweep(game);
+
+        expect(report.hasEnoughPlayers).toBe(false);
+        expect(report.understaffed).toBe(true);
+    });
+
+    test('should report a game with a fully idle team as understaffed', () => {
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+        game.getPlayer('bob').recordActivity();
+        game.getPlayer('carol').recordActivity();
+
+        const report = sweeper.sweep(game);
+
+        expect(report).toMatchObject({ activePlayers: 2, understaffedTeams: ['team1'], understaffed: true });
+    });
+
+    test('should not report a team that started with a single active member', () => {
+        startGame();
+
+        expect(sweeper.sweep(game)).toMatchObject({ activePlayers: 3, understaffedTeams: [], understaffed: false });
+    });
+
+    test('should report a team once it drops below the minimum it reached', () => {
+        startGame();
+        sweeper.sweep(game);
+        game.getPlayer('carol').setConnected(false);
+
+        expect(sweeper.sweep(game)).toMatchObject({ understaffedTeams: ['team2'], understaffed: true });
+    });
+
+    test('should check each team against the minimum', () => {
+        sweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180, minActivePlayers: 1 });
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+        game.getPlayer('alice').recordActivity();
+        game.getPlayer('bob').recordActivity();
+
+        expect(sweeper.sweep(game)).toMatchObject({ understaffedTeams: [], hasEnoughPlayers: true, understaffed: false });
+    });
+
+    test('should never report understaffed games with a minimum of 0', () => {
+        sweeper = new IdleSweeper({ idleAfter: 60, removeAfter: 180, minActivePlayers: 0 });
+        startGame();
+        jest.advanceTimersByTime(61 * 1000);
+
+        expect(sweeper.sweep(game)).toMatchObject({ activePlayers: 0, understaffed: false });
+    });
+
+    test('should not count disconnected players as active', () => {
+        startGame();
+        game.getPlayer('bob').setConnected(false);
+        game.getPlayer('carol').setConnected(false);
+
+        expect(sweeper.sweep(game).understaffed).toBe(true);
+    });
+
+    test('should leave players waiting in the lobby alone', () => {
+        jest.advanceTimersByTime(181 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report).toMatchObject({ idle: [], removed: [], understaffed: false });
+        expect(game.players).toHaveLength(3);
+        expect(game.players.some(player => player.isIdle)).toBe(false);
+    });
+
+    test('should only count active players while the game is paused', () => {
+        startGame();
+        game.pauseGame();
+        jest.advanceTimersByTime(181 * 1000);
+        game.getPlayer('alice').recordActivity();
+
+        const report = sweeper.sweep(game);
+
+        expect(report).toMatchObject({ idle: [], removed: [], activePlayers: 1, hasEnoughPlayers: false, understaffed: false });
+        expect(game.players).toHaveLength(3);
+        expect(game.players.some(player => player.isIdle)).toBe(false);
+    });
+
+    test('should not count time in the lobby or a pause towards idling', () => {
+        jest.advanceTimersByTime(181 * 1000);
+        startGame();
+        game.pauseGame();
+        jest.advanceTimersByTime(181 * 1000);
+        game.resumeGame();
+        jest.advanceTimersByTime(59 * 1000);
+
+        const report = sweeper.sweep(game);
+
+        expect(report.idle).toEqual([]);
+        expect(report.removed).toEqual([]);
+        expect(report.activePlayers).toBe(3);
+    });
+
+    test('should validate its configuration', () => {
+        expect(() => new IdleSweeper({ idleAfter: 120, removeAfter: 60 }))
+            .toThrow('Idle players cannot be removed before they are idle');
+        expect(() => new IdleSweeper({ understaffedAction: 'kick' }))
+            .toThrow('Understaffed action must be one of: pause, end');
+        expect(() => new IdleSweeper({ idleAfter: 0 }))
+            .toThrow('Idle thresholds and the sweep interval must be positive numbers of seconds');
+        expect(() => new IdleSweeper({ interval: NaN }))
+            .toThrow('Idle thresholds and the sweep interval must be positive numbers of seconds');
+        expect(() => new IdleSweeper({ minActivePlayers: -1 }))
+            .toThrow('Minimum active players must be a whole number, 0 or more');
+    });
+});
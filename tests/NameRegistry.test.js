@@ -0,0 +1,99 @@
+const NameRegistry = require('../src/core/NameRegistry');
+const NameConflictError = require('../src/utils/NameConflictError');
+const NameValidator = require('../src/utils/NameValidator');
+
+/**
+ * Test suite for scoped name uniqueness
+ */
+describe('NameRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new NameRegistry();
+    });
+
+    test('should keep names unique within a scope, ignoring case and spacing', () => {
+        registry.register('Team Alpha', 'game:1', { ownerId: 'team1' });
+
+        expect(registry.isAvailable(' team alpha ', 'game:1')).toBe(false);
+        expect(registry.isAvailable('Team Alpha', 'game:2')).toBe(true);
+        expect(registry.isRegisteredAnywhere('TEAM ALPHA')).toBe(true);
+    });
+
+    test('should throw a conflict with a suggestion when a name is taken', () => {
+        registry.register('Alice', 'game:1', { ownerId: 'p1' });
+        registry.register('Alice1', 'game:1', { ownerId: 'p2' });
+
+        let conflict = null;
+        try {
+            registry.register('alice', 'game:1', { ownerId: 'p3', type: 'Player' });
+        } catch (error) {
+            conflict = error;
+        }
+
+        expect(conflict).toBeInstanceOf(NameConflictError);
+        expect(conflict.toJSON()).toEqual({
+            error: 'Player name must be unique',
+            code: 'NAME_TAKEN',
+            name: 'alice',
+            scope: 'game:1',
+            suggestion: 'alice2'
+        });
+    });
+
+    test('should require a name', () => {
+        expect(() => registry.register('  ')).toThrow('Valid name is required');
+        expect(() => registry.register(null)).toThrow('Valid name is required');
+    });
+
+    test('should let an owner rename to another spelling of its own name', () => {
+        registry.register('Bob', 'game:1', { ownerId: 'p1' });
+        registry.rename('Bob', 'BOB', 'game:1', { ownerId: 'p1' });
+
+        expect(registry.names('game:1')).toEqual(['BOB']);
+    });
+
+    test('should keep the old name when a rename clashes', () => {
+        registry.register('Bob', 'game:1', { ownerId: 'p1' });
+        registry.register('Carol', 'game:1', { ownerId: 'p2' });
+
+        expect(() => registry.rename('Bob', 'carol', 'game:1', { ownerId: 'p1', type: 'Player' }))
+            .toThrow('Player name must be unique');
+        expect(registry.names('game:1')).toEqual(['Bob', 'Carol']);
+    });
+
+    test('should only release a name held by the given owner', () => {
+        registry.register('Bob', 'game:1', { ownerId: 'p1' });
+
+        registry.release('Bob', 'game:1', 'p2');
+        expect(registry.isAvailable('Bob', 'game:1')).toBe(false);
+
+        registry.release('Bob', 'game:1', 'p1');
+        expect(registry.isAvailable('Bob', 'game:1')).toBe(true);
+    });
+
+    test('should release every name in a scope and nothing else', () => {
+        registry.register('Alice', NameRegistry.gameScope('g1'));
+        registry.register('Bob', NameRegistry.gameScope('g1'));
+        registry.register('Alice', NameRegistry.gameScope('g10'));
+        registry.register('Doodle Night');
+
+        registry.releaseScope(NameRegistry.gameScope('g1'));
+
+        expect(registry.names(NameRegistry.gameScope('g1'))).toEqual([]);
+        expect(registry.names(NameRegistry.gameScope('g10'))).toEqual(['Alice']);
+        expect(registry.names()).toEqual(['Doodle Night']);
+        expect(registry.size).toBe(2);
+    });
+});
+
+describe('NameRegistry with a unicode validator', () => {
+    test('should refuse a name that only differs by confusable letters', () => {
+        const registry = new NameRegistry({ validator: new NameValidator({ unicode: true }) });
+        registry.register('Team', 'game:1', { ownerId: 'team1' });
+
+        expect(() => registry.register('Tеam', 'game:1', { ownerId: 'team2', type: 'Team' }))
+            .toThrow('Team name must be unique');
+        expect(registry.suggest('Tеam', 'game:1')).toBe('Tеam1');
+    });
+});
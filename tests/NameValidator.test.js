@@ -0,0 +1,90 @@
+const NameValidator = require('../src/utils/NameValidator');
+const ContentFilter = require('../src/utils/ContentFilter');
+
+/**
+ * Test suite for name validation
+ */
+describe('NameValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new NameValidator({
+            contentFilter: new ContentFilter({ terms: ['crap', { word: 'shit', severity: 'severe' }] })
+        });
+    });
+
+    test('should accept clean names', () => {
+        expect(validator.validateName('Team Alpha', 'Team')).toMatchObject({ isValid: true, normalizedName: 'team alpha' });
+    });
+
+    test('should reject offensive names with a reason', () => {
+        expect(validator.validateName('Sh1t Squad', 'Team')).toMatchObject({
+            isValid: false,
+            message: 'Team name is not allowed: contains offensive language',
+            reason: 'Contains offensive language'
+        });
+    });
+
+    test('should apply the requested strictness', () => {
+        expect(validator.validateName('Crap Team', 'Team', { strictness: 'lenient' }).isValid).toBe(true);
+        expect(validator.validateName('Crap Team', 'Team', { strictness: 'moderate' }).isValid).toBe(false);
+    });
+
+    test('should only check content without a filter configured', () => {
+        expect(new NameValidator().checkContent('shit', 'Player')).toEqual({ isValid: true, message: 'Name is valid', reason: null });
+    });
+});
+
+describe('NameValidator unicode mode', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new NameValidator({
+            unicode: true,
+            contentFilter: new ContentFilter({ terms: [{ word: 'shit', severity: 'severe' }] })
+        });
+    });
+
+    test('should keep ASCII-only names without the option', () => {
+        expect(new NameValidator().validateName('José', 'Player').message)
+            .toBe('Player name can only contain letters, numbers, spaces, hyphens, and underscores');
+    });
+
+    test('should accept letters from any script', () => {
+        expect(validator.validateName('José Müller', 'Player')).toMatchObject({ isValid: true, originalName: 'José Müller' });
+        expect(validator.validateName('Фёдор', 'Player').isValid).toBe(true);
+        expect(validator.validateName('東京チーム', 'Team').isValid).toBe(true);
+        expect(validator.validateName('Team ★', 'Team').isValid).toBe(false);
+    });
+
+    test('should NFKC normalize names', () => {
+        expect(validator.validateName('ＴｅａｍＡ', 'Team').originalName).toBe('TeamA');
+    });
+
+    test('should count grapheme clusters rather than UTF-16 units', () => {
+        expect(validator.measureLength('é')).toBe(1);
+        expect(validator.measureLength('👍🏽')).toBe(1);
+        expect(validator.validateName('é', 'Player').message).toBe('Player name must be at least 2 characters long');
+        expect(validator.validateName('é'.repeat(50), 'Player').isValid).toBe(true);
+    });
+
+    test('should case fold names for comparison', () => {
+        expect(validator.areNamesEquivalent('STRASSE', 'straße')).toBe(true);
+        expect(validator.areNamesEquivalent('ΟΔΟΣ', 'οδος')).toBe(true);
+    });
+
+    test('should treat confusable letters from other scripts as the same name', () => {
+        expect(validator.areNamesEquivalent('Tеam', 'Team')).toBe(true);
+        expect(validator.areNamesEquivalent('ΑΒΕ', 'abe')).toBe(true);
+        expect(validator.areNamesEquivalent('José', 'Jose')).toBe(false);
+        expect(validator.validateName('аdmin', 'Player').message).toBe('Player name cannot be a reserved word');
+    });
+
+    test('should read confusable letters when checking content', () => {
+        expect(validator.checkContent('ѕhit', 'Player').isValid).toBe(false);
+    });
+
+    test('should suggest names that do not collide with a confusable', () => {
+        expect(validator.generateUniqueName('Tеam', new Set(['team']))).toBe('Tеam1');
+    });
+});
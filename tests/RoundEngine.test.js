@@ -0,0 +1,458 @@
+const Game = require('../src/entities/Game');
+const RoundEngine = require('../src/core/RoundEngine');
+const WordDeck = require('../src/core/WordDeck');
+
+/**
+ * Test suite for the server-authoritative round engine
+ */
+describe('RoundEngine', () => {
+    let game;
+    let engine;
+
+    const createStartedGame = () => {
+        const newGame = new Game('game1', 'Round Test Game');
+        newGame.createTeam('team1', 'Team Alpha');
+        newGame.createTeam('team2', 'Team Beta');
+        newGame.addPlayer('player1', 'Alice', 'team1');
+        newGame.addPlayer('player2', 'Bob', 'team2');
+        newGame.players.forEach(player => player.setReady(true));
+        newGame.startGame();
+        return newGame;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        game = createStartedGame();
+        engine = new RoundEngine(game, { words: ['cat'], intermission: 3 });
+    });
+
+    afterEach(() => {
+        engine.stop();
+        jest.useRealTimers();
+    });
+
+    test('should start a round with a word and emit roundStarted', () => {
+        const onStart = jest.fn();
+        engine.on('roundStarted', onStart);
+
+        engine.start();
+
+        expect(game.currentWord).toBe('cat');
+        expect(engine.isRoundActive).toBe(true);
+        expect(onStart).toHaveBeenCalledWith({
+            round: 1,
+            maxRounds: 10,
+            drawerId: 'player1',
+            duration: 60,
+            wordLength: 3,
+            wordHint: '___'
+        });
+    });
+
+    test('should reveal hint letters on the hint cadence without giving the word away', () => {
+        const onHint = jest.fn();
+        engine = new RoundEngine(game, { words: ['zebra'], hintInterval: 10 });
+        engine.on('hintRevealed', onHint);
+        engine.start();
+
+        jest.advanceTimersByTime(9000);
+        expect(onHint).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+        expect(onHint).toHaveBeenCalledTimes(1);
+        expect(onHint.mock.calls[0][0].wordHint.replace(/_/g, '')).toHaveLength(1);
+
+        jest.advanceTimersByTime(49000);
+        const lastHint = onHint.mock.calls[onHint.mock.calls.length - 1][0].wordHint;
+        expect(lastHint).toContain('_');
+    });
+
+    test('should refuse to start rounds before the game has started', () => {
+        const waitingGame = new Game('game2', 'Waiting Game');
+        const waitingEngine = new RoundEngine(waitingGame);
+
+        expect(() => waitingEngine.start()).toThrow('Game must be started to start rounds');
+    });
+
+    test('should tick once per second and end the round when time expires', () => {
+        const onTick = jest.fn();
+        const onEnd = jest.fn();
+        engine.on('roundTick', onTick);
+        engine.on('roundEnded', onEnd);
+        engine.start();
+
+        jest.advanceTimersByTime(1000);
+        expect(onTick).toHaveBeenLastCalledWith({ round: 1, timeRemaining: 59 });
+
+        jest.advanceTimersByTime(59000);
+        expect(onTick).toHaveBeenCalledTimes(60);
+        expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({
+            round: 1,
+            word: 'cat',
+            reason: 'timeUp',
+            guesserId: null
+        }));
+        expect(engine.isRoundActive).toBe(false);
+    });
+
+    test('should award points and end the round on a correct guess', () => {
+        const onEnd = jest.fn();
+        engine.on('roundEnded', onEnd);
+        engine.start();
+
+        const result = engine.submitGuess('player2', '  CAT ');
+
+        expect(result).toEqual({ correct: true, close: false, points: 10 });
+        expect(game.getPlayer('player2').score).toBe(10);
+        expect(game.getPlayer('player1').score).toBe(5);
+        expect(game.getTeam('team2').score).toBe(10);
+        expect(game.getTeam('team1').score).toBe(5);
+        expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({
+            reason: 'guessed',
+            guesserId: 'player2'
+        }));
+    });
+
+    test('should keep the round going on a wrong guess', () => {
+        engine.start();
+
+        expect(engine.submitGuess('player2', 'dog')).toEqual({ correct: false, close: false, points: 0 });
+        expect(engine.isRoundActive).toBe(true);
+        expect(game.getPlayer('player2').score).toBe(0);
+    });
+
+    test('should accept plurals and articles as correct guesses', () => {
+        engine.start();
+
+        expect(engine.submitGuess('player2', 'the cats')).toEqual({ correct: true, close: false, points: 10 });
+    });
+
+    test('should flag nearly right guesses as close without scoring them', () => {
+        engine.start();
+
+        expect(engine.submitGuess('player2', 'car')).toEqual({ correct: false, close: true, points: 0 });
+        expect(engine.isRoundActive).toBe(true);
+        expect(game.getPlayer('player2').score).toBe(0);
+    });
+
+    test('should reject guesses from the drawer and outside a round', () => {
+        expect(() => engine.submitGuess('player2', 'cat')).toThrow('No round is in progress');
+
+        engine.start();
+        expect(() => engine.submitGuess('player1', 'cat')).toThrow('The drawer cannot guess');
+        expect(() => engine.submitGuess('ghost', 'cat')).toThrow('Player not found');
+        expect(() => engine.submitGuess('player2', '')).toThrow('Valid guess is required');
+    });
+
+    test('should advance to the next round with a new drawer after the intermission', () => {
+        const onStart = jest.fn();
+        engine.on('roundStarted', onStart);
+        engine.start();
+        engine.submitGuess('player2', 'cat');
+
+        jest.advanceTimersByTime(3000);
+
+        expect(game.currentRound).toBe(2);
+        expect(game.currentDrawer.id).toBe('player2');
+        expect(game.getPlayer('player1').isDrawing).toBe(false);
+        expect(onStart).toHaveBeenLastCalledWith(expect.objectContaining({ round: 2, drawerId: 'player2' }));
+    });
+
+    test('should emit gameFinished after the last round', () => {
+        const onFinished = jest.fn();
+        engine.on('gameFinished', onFinished);
+        engine.start();
+
+        for (let round = 1; round <= game.maxRounds; round++) {
+            engine.submitGuess(game.currentDrawer.id === 'player1' ? 'player2' : 'player1', 'cat');
+            jest.advanceTimersByTime(3000);
+        }
+
+        expect(game.gameState).toBe('finished');
+        expect(onFinished).toHaveBeenCalledTimes(1);
+    });
+
+    test('should freeze the countdown while paused', () => {
+        engine.start();
+        jest.advanceTimersByTime(5000);
+
+        engine.pause();
+        jest.advanceTimersByTime(10000);
+        expect(engine.timeRemaining).toBe(55);
+        expect(() => engine.submitGuess('player2', 'cat')).toThrow('No round is in progress');
+
+        engine.resume();
+        jest.advanceTimersByTime(1000);
+        expect(engine.timeRemaining).toBe(54);
+    });
+
+    test('should hold the next round until a paused game resumes', () => {
+        engine.start();
+        engine.submitGuess('player2', 'cat');
+        game.pauseGame();
+        engine.pause();
+
+        jest.advanceTimersByTime(3000);
+        expect(game.currentRound).toBe(1);
+
+        game.resumeGame();
+        engine.resume();
+        expect(game.currentRound).toBe(2);
+        expect(engine.isRoundActive).toBe(true);
+    });
+
+    test('should move the game through word selection, drawing and the round summary', () => {
+        engine = new RoundEngine(game, { words: ['cat', 'dog', 'sun'], intermission: 3 });
+        const states = [];
+        game.on('stateChanged', change => states.push(change.to));
+
+        engine.start();
+        expect(game.gameState).toBe('word-selection');
+
+        engine.chooseWord('player1', engine.wordChoices[0].word);
+        engine.submitGuess('player2', game.currentWord);
+        expect(game.gameState).toBe('round-summary');
+
+        jest.advanceTimersByTime(3000);
+        expect(states).toEqual(['drawing', 'round-summary', 'word-selection']);
+    });
+
+    test('should keep each finished round with its drawing in the game history', () => {
+        engine.start();
+        game.drawingBoard.beginStroke({ id: 's1', color: '#000000', width: 4, points: [{ x: 10, y: 20, t: 0 }] });
+        engine.submitGuess('player2', 'cat');
+
+        const [round] = game.roundHistory;
+        expect(round).toMatchObject({
+            round: 1,
+            word: 'cat',
+            reason: 'guessed',
+            drawerId: 'player1',
+            guesserIds: ['player2']
+        });
+        expect(round.points.map(entry => entry.role)).toEqual(['guesser', 'drawer']);
+        expect(round.drawing[0].points).toEqual([{ x: 10, y: 20, t: 0 }]);
+
+        // The next round starts with a clean board but the history keeps the drawing
+        jest.advanceTimersByTime(3000);
+        expect(game.drawingBoard.toJSON().strokes).toEqual([]);
+        expect(game.roundHistory[0].drawing).toHaveLength(1);
+    });
+
+    test('should restart an interrupted turn with the same drawer', () => {
+        engine.start();
+        game.drawingBoard.beginStroke({ id: 's1', color: '#000000', width: 4 });
+        engine.stop();
+
+        engine = new RoundEngine(game, { words: ['cat', 'dog'], choiceCount: 1 });
+        game.recordRound({ round: 1, word: 'dog' });
+        engine.restartRound();
+
+        expect(game.currentRound).toBe(1);
+        expect(game.currentDrawer.id).toBe('player1');
+        expect(game.currentWord).toBe('cat');
+        expect(game.drawingBoard.toJSON().strokes).toEqual([]);
+        expect(engine.isRoundActive).toBe(true);
+    });
+
+    test('should wait for resume before restarting the turn of a paused game', () => {
+        game.pauseGame();
+        engine.restartRound();
+
+        expect(engine.isRoundActive).toBe(false);
+
+        game.resumeGame();
+        engine.resume();
+        expect(engine.isRoundActive).toBe(true);
+    });
+
+    test('should move a game restored between rounds on to the next round', () => {
+        engine.start();
+        engine.endRound('timeUp');
+        engine.stop();
+
+        engine = new RoundEngine(game, { words: ['cat', 'dog'], choiceCount: 1 });
+        engine.resumeRestored();
+
+        expect(game.currentRound).toBe(2);
+        expect(game.currentDrawer.id).toBe('player2');
+        expect(game.currentWord).toBe('dog');
+        expect(game.roundHistory.map(round => round.round)).toEqual([1]);
+        expect(engine.isRoundActive).toBe(true);
+    });
+
+    test('should wait for resume before moving a paused game restored between rounds on', () => {
+        engine.start();
+        engine.endRound('timeUp');
+        game.pauseGame();
+        engine.stop();
+
+        engine = new RoundEngine(game, { words: ['cat', 'dog'], choiceCount: 1 });
+        engine.resumeRestored();
+        expect(game.currentRound).toBe(1);
+
+        game.resumeGame();
+        engine.resume();
+        expect(game.currentRound).toBe(2);
+        expect(engine.isRoundActive).toBe(true);
+    });
+
+    describe('Several guessers', () => {
+        beforeEach(() => {
+            game = new Game('game3', 'Crowded Game');
+            game.createTeam('team1', 'Team Alpha');
+            game.createTeam('team2', 'Team Beta');
+            game.addPlayer('player1', 'Alice', 'team1');
+            game.addPlayer('player2', 'Bob', 'team2');
+            game.addPlayer('player3', 'Charlie', 'team2');
+            game.players.forEach(player => player.setReady(true));
+            game.startGame();
+            engine = new RoundEngine(game, { words: ['cat'], intermission: 3 });
+        });
+
+        test('should keep the round going until every guesser has the word', () => {
+            const onGuessed = jest.fn();
+            engine.on('wordGuessed', onGuessed);
+            engine.start();
+
+            engine.submitGuess('player2', 'cat');
+            expect(engine.isRoundActive).toBe(true);
+            expect(onGuessed).toHaveBeenCalledWith({ round: 1, playerId: 'player2', playerName: 'Bob', points: 10 });
+            expect(() => engine.submitGuess('player2', 'cat')).toThrow('You have already guessed the word');
+
+            jest.advanceTimersByTime(30000);
+            engine.submitGuess('player3', 'cat');
+            expect(engine.isRoundActive).toBe(false);
+            expect(game.getPlayer('player3').score).toBe(6);
+        });
+
+        test('should emit a score breakdown when the round ends', () => {
+            const onScores = jest.fn();
+            const onEnd = jest.fn();
+            engine.on('roundScores', onScores);
+            engine.on('roundEnded', onEnd);
+            engine.start();
+            engine.submitGuess('player2', 'cat');
+
+            jest.advanceTimersByTime(60000);
+
+            const breakdown = onScores.mock.calls[0][0];
+            expect(breakdown.round).toBe(1);
+            expect(breakdown.entries.map(entry => [entry.playerId, entry.role, entry.points])).toEqual([
+                ['player2', 'guesser', 10],
+                ['player1', 'drawer', 3]
+            ]);
+            expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ reason: 'timeUp', guesserIds: ['player2'] }));
+        });
+    });
+
+    describe('Word choice', () => {
+        const tieredDeck = () => new WordDeck([
+            { word: 'cat', category: 'animals', difficulty: 'easy' },
+            { word: 'giraffe', category: 'animals', difficulty: 'medium' },
+            { word: 'platypus', category: 'animals', difficulty: 'hard' },
+            { word: 'dog', category: 'animals', difficulty: 'easy' }
+        ]);
+
+        beforeEach(() => {
+            engine = new RoundEngine(game, { deck: tieredDeck(), choiceTime: 10, intermission: 3 });
+        });
+
+        test('should offer the drawer one word from each difficulty', () => {
+            const onChoices = jest.fn();
+            const onStart = jest.fn();
+            engine.on('wordChoices', onChoices);
+            engine.on('roundStarted', onStart);
+
+            engine.start();
+
+            const { drawerId, choices } = onChoices.mock.calls[0][0];
+            expect(drawerId).toBe('player1');
+            expect(choices.map(choice => choice.difficulty).sort()).toEqual(['easy', 'hard', 'medium']);
+            expect(engine.isChoosingWord).toBe(true);
+            expect(game.currentWord).toBeNull();
+            expect(onStart).not.toHaveBeenCalled();
+        });
+
+        test('should start the round with the word the drawer picks', () => {
+            const onStart = jest.fn();
+            engine.on('roundStarted', onStart);
+            engine.start();
+
+            engine.chooseWord('player1', 'platypus');
+
+            expect(game.currentWord).toBe('platypus');
+            expect(engine.isRoundActive).toBe(true);
+            expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ wordLength: 8 }));
+        });
+
+        test('should only accept offered words from the drawer', () => {
+            engine.start();
+
+            expect(() => engine.chooseWord('player2', 'cat')).toThrow('Only the current drawer can choose the word');
+            expect(() => engine.chooseWord('player1', 'zebra')).toThrow('Word must be one of the offered choices');
+        });
+
+        test('should pick a word for the drawer when the choice times out', () => {
+            const onChoices = jest.fn();
+            engine.on('wordChoices', onChoices);
+            engine.start();
+
+            jest.advanceTimersByTime(10000);
+
+            const offered = onChoices.mock.calls[0][0].choices.map(choice => choice.word);
+            expect(offered).toContain(game.currentWord);
+            expect(engine.isChoosingWord).toBe(false);
+        });
+
+        test('should not run the choice timeout while paused', () => {
+            engine.start();
+            engine.pause();
+
+            jest.advanceTimersByTime(30000);
+            expect(game.currentWord).toBeNull();
+
+            engine.resume();
+            jest.advanceTimersByTime(10000);
+            expect(game.currentWord).not.toBeNull();
+        });
+
+        test('should not let the drawer choose while paused', () => {
+            engine.start();
+            game.pauseGame();
+            engine.pause();
+
+            expect(() => engine.chooseWord('player1', 'platypus')).toThrow('The game is paused');
+            expect(game.currentWord).toBeNull();
+            expect(engine.isChoosingWord).toBe(true);
+        });
+
+        test('should skip the turn when it ends before a word is chosen', () => {
+            const onEnd = jest.fn();
+            const onScores = jest.fn();
+            engine.on('roundEnded', onEnd);
+            engine.on('roundScores', onScores);
+            engine.start();
+
+            engine.endRound('drawerLeft');
+
+            expect(engine.isChoosingWord).toBe(false);
+            expect(onScores).not.toHaveBeenCalled();
+            expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ reason: 'drawerLeft', word: null }));
+
+            jest.advanceTimersByTime(3000);
+            expect(game.currentRound).toBe(2);
+            expect(engine.isChoosingWord).toBe(true);
+        });
+
+        test('should award more points for harder words', () => {
+            engine.start();
+            engine.chooseWord('player1', 'platypus');
+
+            engine.submitGuess('player2', 'platypus');
+
+            expect(game.getPlayer('player2').score).toBe(20);
+            expect(game.getPlayer('player1').score).toBe(10);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const Game = require('../src/entities/Game');
+const ScoringEngine = require('../src/core/ScoringEngine');
+
+/**
+ * Test suite for round scoring
+ */
+describe('ScoringEngine', () => {
+    let game;
+    let scoring;
+
+    beforeEach(() => {
+        game = new Game('game1', 'Scoring Game');
+        game.createTeam('team1', 'Team Alpha');
+        game.createTeam('team2', 'Team Beta');
+        game.addPlayer('drawer', 'Alice', 'team1');
+        game.addPlayer('fast', 'Bob', 'team2');
+        game.addPlayer('slow', 'Charlie', 'team2');
+        game.addPlayer('teammate', 'Dana', 'team1');
+
+        scoring = new ScoringEngine({ guesserPoints: 100, minGuesserFraction: 0.2, drawerPoints: 60 });
+        scoring.startRound({ round: 1, duration: 60 });
+    });
+
+    test('should award faster guesses more points', () => {
+        const fast = scoring.recordGuess(game, game.getPlayer('fast'), 60);
+        const slow = scoring.recordGuess(game, game.getPlayer('slow'), 15);
+
+        expect(fast).toBe(100);
+        expect(slow).toBe(40);
+        expect(game.getPlayer('fast').score).toBe(100);
+    });
+
+    test('should still award the minimum share at the last second', () => {
+        expect(scoring.recordGuess(game, game.getPlayer('fast'), 0)).toBe(20);
+    });
+
+    test('should award every guess full points in flat mode', () => {
+        const flat = new ScoringEngine({ mode: 'flat', guesserPoints: 100 });
+        flat.startRound({ round: 1, duration: 60 });
+
+        expect(flat.recordGuess(game, game.getPlayer('fast'), 60)).toBe(100);
+        expect(flat.recordGuess(game, game.getPlayer('slow'), 0)).toBe(100);
+    });
+
+    test('should reject unknown scoring modes', () => {
+        expect(() => new ScoringEngine({ mode: 'fastest' })).toThrow('Scoring mode must be one of: speed, flat');
+    });
+
+    test('should reward the drawer for the share of players who guessed', () => {
+        scoring.recordGuess(game, game.getPlayer('fast'), 30);
+
+        const breakdown = scoring.finishRound(game, game.getPlayer('drawer'), 3);
+
+        expect(game.getPlayer('drawer').score).toBe(20);
+        expect(breakdown.entries).toContainEqual({
+            playerId: 'drawer',
+            teamId: 'team1',
+            role: 'drawer',
+            points: 20,
+            guessed: 1
+        });
+    });
+
+    test('should give the drawer nothing when nobody guesses', () => {
+        const breakdown = scoring.finishRound(game, game.getPlayer('drawer'), 3);
+
+        expect(game.getPlayer('drawer').score).toBe(0);
+        expect(breakdown.entries).toEqual([]);
+    });
+
+    test('should roll points up to teams and report them per round', () => {
+        scoring.recordGuess(game, game.getPlayer('fast'), 60);
+        scoring.recordGuess(game, game.getPlayer('teammate'), 30);
+
+        const breakdown = scoring.finishRound(game, game.getPlayer('drawer'), 3);
+
+        expect(game.getTeam('team2').score).toBe(100);
+        expect(game.getTeam('team1').score).toBe(60 + 40);
+        expect(breakdown.teams).toEqual([
+            { teamId: 'team1', teamName: 'Team Alpha', points: 100, score: 100 },
+            { teamId: 'team2', teamName: 'Team Beta', points: 100, score: 100 }
+        ]);
+    });
+
+    test('should apply the word difficulty multiplier', () => {
+        scoring.startRound({ round: 2, duration: 60, difficulty: 'hard' });
+
+        expect(scoring.recordGuess(game, game.getPlayer('fast'), 60)).toBe(200);
+    });
+
+    test('should not score the same guesser twice in a round', () => {
+        scoring.recordGuess(game, game.getPlayer('fast'), 60);
+
+        expect(() => scoring.recordGuess(game, game.getPlayer('fast'), 50)).toThrow('Player has already guessed the word');
+    });
+
+    test('should require a round to be started', () => {
+        scoring.finishRound(game, null, 0);
+
+        expect(() => scoring.recordGuess(game, game.getPlayer('fast'), 10)).toThrow('No round is being scored');
+    });
+});
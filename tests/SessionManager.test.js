@@ -0,0 +1,86 @@
+const SessionManager = require('../src/core/SessionManager');
+
+/**
+ * Test suite for reconnect sessions
+ */
+describe('SessionManager', () => {
+    let sessions;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        sessions = new SessionManager({ gracePeriod: 10 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should issue a token that resolves to the player', () => {
+        const token = sessions.createSession('game1', 'player1');
+
+        expect(token).toMatch(/^[0-9a-f]{48}$/);
+        expect(sessions.getSession(token)).toEqual({ token, gameId: 'game1', playerId: 'player1' });
+    });
+
+    test('should replace the previous token of a player', () => {
+        const first = sessions.createSession('game1', 'player1');
+        const second = sessions.createSession('game1', 'player1');
+
+        expect(sessions.getSession(first)).toBeUndefined();
+        expect(sessions.findSession('game1', 'player1').token).toBe(second);
+    });
+
+    test('should expire the session when the grace period runs out', () => {
+        const token = sessions.createSession('game1', 'player1');
+        const onExpire = jest.fn();
+
+        sessions.startGracePeriod(token, onExpire);
+        jest.advanceTimersByTime(9999);
+        expect(onExpire).not.toHaveBeenCalled();
+        expect(sessions.isInGracePeriod(token)).toBe(true);
+
+        jest.advanceTimersByTime(1);
+        expect(onExpire).toHaveBeenCalledWith({ token, gameId: 'game1', playerId: 'player1' });
+        expect(sessions.getSession(token)).toBeUndefined();
+    });
+
+    test('should keep the session when the player comes back in time', () => {
+        const token = sessions.createSession('game1', 'player1');
+        const onExpire = jest.fn();
+        sessions.startGracePeriod(token, onExpire);
+
+        expect(sessions.cancelGracePeriod(token)).toBe(true);
+        jest.advanceTimersByTime(20000);
+
+        expect(onExpire).not.toHaveBeenCalled();
+        expect(sessions.getSession(token)).toBeDefined();
+    });
+
+    test('should drop every session of an ended game', () => {
+        const token = sessions.createSession('game1', 'player1');
+        const other = sessions.createSession('game2', 'player1');
+        const onExpire = jest.fn();
+        sessions.startGracePeriod(token, onExpire);
+
+        sessions.removeGame('game1');
+        jest.advanceTimersByTime(20000);
+
+        expect(sessions.getSession(token)).toBeUndefined();
+        expect(sessions.getSession(other)).toBeDefined();
+        expect(onExpire).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown tokens', () => {
+        expect(sessions.getSession('nope')).toBeUndefined();
+        expect(() => sessions.startGracePeriod('nope', jest.fn())).toThrow('Session not found');
+    });
+
+    test('should validate the grace period', () => {
+        expect(new SessionManager().gracePeriod).toBe(30);
+        expect(new SessionManager({ gracePeriod: 0 }).gracePeriod).toBe(0);
+        expect(() => new SessionManager({ gracePeriod: NaN }))
+            .toThrow('Reconnect grace period must be a number of seconds, 0 or more');
+        expect(() => new SessionManager({ gracePeriod: -5 }))
+            .toThrow('Reconnect grace period must be a number of seconds, 0 or more');
+    });
+});
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../src/storage/SnapshotStore');
+
+/**
+ * Test suite for the snapshot file
+ */
+describe('SnapshotStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+        store = new SnapshotStore(path.join(directory, 'state', 'snapshot.json'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should have nothing to load before the first save', () => {
+        expect(store.load()).toBeNull();
+    });
+
+    test('should replace the previous snapshot', () => {
+        store.save({ games: [{ id: 'game1' }] });
+        store.save({ games: [{ id: 'game2' }] });
+
+        expect(store.load()).toEqual({ games: [{ id: 'game2' }] });
+        expect(fs.readdirSync(path.dirname(store.filePath))).toEqual(['snapshot.json']);
+    });
+
+    test('should ignore an unreadable snapshot', () => {
+        fs.mkdirSync(path.dirname(store.filePath), { recursive: true });
+        fs.writeFileSync(store.filePath, '{"games": [');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(store.load()).toBeNull();
+        console.warn.mockRestore();
+    });
+
+    test('should clear the snapshot', () => {
+        store.save({ games: [] });
+        store.clear();
+
+        expect(store.load()).toBeNull();
+    });
+});
@@ -0,0 +1,54 @@
+const TokenSigner = require('../src/utils/TokenSigner');
+
+/**
+ * Test suite for signed auth tokens
+ */
+describe('TokenSigner', () => {
+    let signer;
+
+    beforeEach(() => {
+        signer = new TokenSigner({ secret: 'test-secret', ttl: 60 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should return the payload of a token it signed', () => {
+        const token = signer.sign({ gameId: 'game1', sub: 'host1' });
+
+        expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+        expect(signer.verify(token)).toMatchObject({ gameId: 'game1', sub: 'host1' });
+    });
+
+    test('should reject a token with a changed payload', () => {
+        const [, signature] = signer.sign({ gameId: 'game1', sub: 'player1' }).split('.');
+        const forged = Buffer.from(JSON.stringify({ gameId: 'game1', sub: 'host1', exp: 9999999999 }))
+            .toString('base64').replace(/=+$/, '');
+
+        expect(() => signer.verify(`${forged}.${signature}`)).toThrow('Invalid token');
+    });
+
+    test('should reject tokens signed with another secret', () => {
+        const token = new TokenSigner({ secret: 'other-secret' }).sign({ sub: 'host1' });
+
+        expect(() => signer.verify(token)).toThrow('Invalid token');
+    });
+
+    test('should reject malformed tokens', () => {
+        expect(() => signer.verify('not-a-token')).toThrow('Invalid token');
+        expect(() => signer.verify('a.b.c')).toThrow('Invalid token');
+        expect(() => signer.verify(null)).toThrow('Invalid token');
+    });
+
+    test('should reject a token once it expires', () => {
+        jest.useFakeTimers();
+        const token = signer.sign({ sub: 'host1' });
+
+        jest.advanceTimersByTime(59 * 1000);
+        expect(signer.verify(token).sub).toBe('host1');
+
+        jest.advanceTimersByTime(1000);
+        expect(() => signer.verify(token)).toThrow('Token has expired');
+    });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WordBank = require('../src/core/WordBank');
+const WordDeck = require('../src/core/WordDeck');
+const GameService = require('../src/core/GameService');
+
+/**
+ * Test suite for word packs and per-game word decks
+ */
+describe('WordBank', () => {
+    let wordBank;
+    let tempDir;
+
+    const writePack = (fileName, content) => {
+        fs.writeFileSync(path.join(tempDir, fileName), content);
+    };
+
+    beforeEach(() => {
+        wordBank = new WordBank();
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpacks-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('Loading packs', () => {
+        test('should load JSON packs keyed by difficulty', () => {
+            writePack('animals.json', JSON.stringify({
+                name: 'Animals',
+                category: 'animals',
+                words: { easy: ['Cat', 'dog'], hard: ['platypus'] }
+            }));
+
+            wordBank.loadDirectory(tempDir);
+
+            expect(wordBank.listPacks()).toEqual([{
+                id: 'animals',
+                name: 'Animals',
+                wordCount: 3,
+                categories: ['animals'],
+                difficulties: ['easy', 'hard']
+            }]);
+            expect(wordBank.getWords()).toContainEqual({ word: 'cat', category: 'animals', difficulty: 'easy', pack: 'animals' });
+        });
+
+        test('should load CSV packs with a header row', () => {
+            writePack('nature.csv', 'word,category,difficulty\nsun,nature,easy\ntornado,weather,hard\n');
+
+            wordBank.loadDirectory(tempDir);
+
+            expect(wordBank.getPackSummary('nature').categories).toEqual(['nature', 'weather']);
+            expect(wordBank.getWords({ wordCategories: ['weather'] }).map(entry => entry.word)).toEqual(['tornado']);
+        });
+
+        test('should ignore files that are not word packs', () => {
+            writePack('notes.txt', 'not a pack');
+            writePack('pack.csv', 'word,category,difficulty\nsun,nature,easy\n');
+
+            expect(wordBank.loadDirectory(tempDir)).toBe(1);
+        });
+
+        test('should name the file when a pack is invalid', () => {
+            writePack('broken.csv', 'word,category,difficulty\nsun,nature,impossible\n');
+
+            expect(() => wordBank.loadDirectory(tempDir))
+                .toThrow('Invalid word pack broken.csv: Difficulty must be one of: easy, medium, hard');
+        });
+
+        test('should reject words with digits or symbols', () => {
+            expect(() => wordBank.addPack({ id: 'bad', words: [{ word: 'r2d2', difficulty: 'easy' }] }))
+                .toThrow('Words may only contain letters and spaces: r2d2');
+        });
+
+        test('should load the packs shipped with the game', () => {
+            wordBank.loadDirectory(path.join(__dirname, '..', 'data', 'wordpacks'));
+
+            expect(wordBank.packCount).toBeGreaterThan(0);
+            for (const level of WordBank.DIFFICULTIES) {
+                expect(wordBank.getWords({ wordDifficulties: [level] }).length).toBeGreaterThan(0);
+            }
+        });
+    });
+
+    describe('Selecting words', () => {
+        beforeEach(() => {
+            wordBank.addPack({ id: 'animals', words: [
+                { word: 'cat', category: 'animals', difficulty: 'easy' },
+                { word: 'platypus', category: 'animals', difficulty: 'hard' }
+            ] });
+            wordBank.addPack({ id: 'objects', words: [
+                { word: 'cup', category: 'objects', difficulty: 'easy' }
+            ] });
+        });
+
+        test('should filter by pack and difficulty', () => {
+            expect(wordBank.getWords({ wordPacks: ['animals'], wordDifficulties: ['easy'] }).map(entry => entry.word))
+                .toEqual(['cat']);
+        });
+
+        test('should use every pack when none are chosen', () => {
+            expect(wordBank.getWords()).toHaveLength(3);
+        });
+
+        test('should know which words are in any pack', () => {
+            expect(wordBank.hasWord('Cup')).toBe(true);
+            expect(wordBank.hasWord('cap')).toBe(false);
+        });
+
+        test('should reject unknown packs and empty selections', () => {
+            expect(() => wordBank.validateSelection({ wordPacks: ['missing'] })).toThrow('Unknown word pack: missing');
+            expect(() => wordBank.validateSelection({ wordPacks: ['objects'], wordDifficulties: ['hard'] }))
+                .toThrow('No words match the selected word packs');
+        });
+    });
+
+    describe('Word decks', () => {
+        test('should not repeat a word until every word has been dealt', () => {
+            const deck = WordDeck.fromWords(['a', 'b', 'c', 'd']);
+
+            const dealt = [deck.draw(), deck.draw(), deck.draw(), deck.draw()].map(entry => entry.word);
+
+            expect(dealt.sort()).toEqual(['a', 'b', 'c', 'd']);
+        });
+
+        test('should not deal the same word twice in a row across reshuffles', () => {
+            const deck = WordDeck.fromWords(['a', 'b']);
+            let previous = deck.draw().word;
+
+            for (let i = 0; i < 20; i++) {
+                const next = deck.draw().word;
+                expect(next).not.toBe(previous);
+                previous = next;
+            }
+        });
+
+        test('should skip words a restored game already played', () => {
+            const deck = WordDeck.fromWords(['a', 'b', 'c', 'd']);
+
+            deck.skipWords(['a', 'c']);
+
+            expect([deck.draw(), deck.draw()].map(entry => entry.word).sort()).toEqual(['b', 'd']);
+        });
+    });
+
+    describe('Game creation options', () => {
+        let gameService;
+
+        beforeEach(() => {
+            GameService._instance = null;
+            gameService = GameService.getInstance();
+            wordBank.addPack({ id: 'animals', words: [{ word: 'cat', category: 'animals', difficulty: 'easy' }] });
+            gameService.initialize({ wordBank });
+        });
+
+        afterEach(() => {
+            gameService._reset();
+        });
+
+        test('should store the chosen packs in the game settings', () => {
+            const game = gameService.createGame('Animal Game', { wordPacks: ['animals'] });
+
+            expect(game.gameSettings.wordPacks).toEqual(['animals']);
+        });
+
+        test('should refuse to create a game with an unknown pack', () => {
+            expect(() => gameService.createGame('Bad Game', { wordPacks: ['missing'] })).toThrow('Unknown word pack: missing');
+            expect(gameService.listGames()).toHaveLength(0);
+        });
+    });
+});